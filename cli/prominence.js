@@ -0,0 +1,181 @@
+#!/usr/bin/env node
+/**
+ * Prominence CLI - Headless prominence analysis of WAV files
+ * Runs recordings through the same Wasm detector as the browser app
+ * (realtime mode off) and writes the prominence event stream as JSON
+ *
+ *   prominence analyze input.wav --out events.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+const SyllableModule = require('../wasm/syllable.js');
+const ProminenceDetectorWasm = require('../js/prominence-detector.js');
+const { readWav, resample } = require('./wav-reader.js');
+
+// Same tuning as the browser app (initProminenceDetector)
+const DEFAULTS = {
+    sampleRate: 48000,
+    prominenceThreshold: 0.88,
+    minSyllableDistMs: 150,
+    minEnergyThreshold: 0.001,
+    snrThreshold: 6.0
+};
+
+const USAGE = `Usage: prominence analyze <input.wav...> [options]
+
+Options:
+  --out <file>         Write events to <file> (single input, default: stdout)
+  --out-dir <dir>      Write <name>.events.json per input into <dir>
+  --threshold <n>      Prominence threshold (default ${DEFAULTS.prominenceThreshold})
+  --min-dist <ms>      Minimum distance between events (default ${DEFAULTS.minSyllableDistMs})
+  --min-energy <n>     Minimum frame energy (default ${DEFAULTS.minEnergyThreshold})
+  --snr <db>           Detector SNR threshold (default ${DEFAULTS.snrThreshold})
+  --sample-rate <hz>   Detector sample rate (default ${DEFAULTS.sampleRate})
+  --no-calibrate       Skip noise-floor calibration on the first 2 seconds
+  --pretty             Indent the JSON output
+  -h, --help           Show this help
+`;
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+    const options = { ...DEFAULTS, inputs: [], calibrate: true, pretty: false };
+    const numeric = {
+        '--threshold': 'prominenceThreshold',
+        '--min-dist': 'minSyllableDistMs',
+        '--min-energy': 'minEnergyThreshold',
+        '--snr': 'snrThreshold',
+        '--sample-rate': 'sampleRate'
+    };
+
+    options.command = argv[0];
+
+    for (let i = 1; i < argv.length; i++) {
+        const arg = argv[i];
+
+        if (numeric[arg]) {
+            const value = parseFloat(argv[++i]);
+            if (Number.isNaN(value)) {
+                throw new Error(`${arg} expects a number`);
+            }
+            options[numeric[arg]] = value;
+        } else if (arg === '--out') {
+            options.out = argv[++i];
+        } else if (arg === '--out-dir') {
+            options.outDir = argv[++i];
+        } else if (arg === '--no-calibrate') {
+            options.calibrate = false;
+        } else if (arg === '--pretty') {
+            options.pretty = true;
+        } else if (arg === '-h' || arg === '--help') {
+            options.help = true;
+        } else if (arg.startsWith('-')) {
+            throw new Error(`Unknown option: ${arg}`);
+        } else {
+            options.inputs.push(arg);
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Analyze one WAV file and return the JSON report
+ */
+async function analyzeFile(inputPath, options) {
+    const wav = readWav(inputPath);
+    const samples = resample(wav.samples, wav.sampleRate, options.sampleRate);
+
+    const detector = new ProminenceDetectorWasm({
+        moduleFactory: SyllableModule,
+        sampleRate: options.sampleRate,
+        prominenceThreshold: options.prominenceThreshold,
+        minSyllableDistMs: options.minSyllableDistMs,
+        minEnergyThreshold: options.minEnergyThreshold,
+        snrThreshold: options.snrThreshold,
+        onError: (error) => {
+            throw error;
+        }
+    });
+
+    try {
+        const events = await detector.analyzeBuffer(samples, { calibrate: options.calibrate });
+
+        return {
+            input: path.basename(inputPath),
+            durationMs: Math.round(wav.durationMs),
+            sourceSampleRate: wav.sampleRate,
+            config: {
+                ...detector.config,
+                calibrate: options.calibrate
+            },
+            events: events.map(event => ({
+                timestamp: Math.round(event.timestamp * 10) / 10,
+                fusionScore: event.fusionScore,
+                features: event.features
+            }))
+        };
+    } finally {
+        detector.destroy();
+    }
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`Error: ${error.message}\n\n${USAGE}`);
+        process.exit(2);
+    }
+
+    if (options.help || !options.command) {
+        process.stdout.write(USAGE);
+        return;
+    }
+    if (options.command !== 'analyze') {
+        console.error(`Unknown command: ${options.command}\n\n${USAGE}`);
+        process.exit(2);
+    }
+    if (options.inputs.length === 0) {
+        console.error(`Error: no input files\n\n${USAGE}`);
+        process.exit(2);
+    }
+    if (options.inputs.length > 1 && !options.outDir) {
+        console.error('Error: use --out-dir when analyzing several files');
+        process.exit(2);
+    }
+
+    if (options.outDir) {
+        fs.mkdirSync(options.outDir, { recursive: true });
+    }
+
+    let failures = 0;
+
+    for (const input of options.inputs) {
+        try {
+            const report = await analyzeFile(input, options);
+            const json = JSON.stringify(report, null, options.pretty ? 2 : 0) + '\n';
+
+            if (options.outDir) {
+                const name = path.basename(input, path.extname(input));
+                fs.writeFileSync(path.join(options.outDir, `${name}.events.json`), json);
+            } else if (options.out) {
+                fs.writeFileSync(options.out, json);
+            } else {
+                process.stdout.write(json);
+            }
+
+            console.error(`[prominence] ${input}: ${(report.durationMs / 1000).toFixed(1)}s, ${report.events.length} events`);
+        } catch (error) {
+            console.error(`[prominence] ${input}: ${error.message}`);
+            failures++;
+        }
+    }
+
+    process.exitCode = failures > 0 ? 1 : 0;
+}
+
+main();
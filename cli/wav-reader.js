@@ -0,0 +1,118 @@
+/**
+ * WAV Reader - Minimal RIFF/WAVE decoder for the prominence CLI
+ * Supports PCM 8/16/24/32-bit and IEEE float 32/64-bit, mixed down to mono
+ */
+
+const fs = require('fs');
+
+const FORMAT_PCM = 1;
+const FORMAT_FLOAT = 3;
+const FORMAT_EXTENSIBLE = 0xFFFE;
+
+/**
+ * Read a WAV file and return {samples: Float32Array (mono), sampleRate, channels, durationMs}
+ */
+function readWav(filePath) {
+    const buffer = fs.readFileSync(filePath);
+
+    if (buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+        throw new Error(`${filePath}: not a RIFF/WAVE file`);
+    }
+
+    let format = null;
+    let data = null;
+    let offset = 12;
+
+    while (offset + 8 <= buffer.length) {
+        const chunkId = buffer.toString('ascii', offset, offset + 4);
+        const chunkSize = buffer.readUInt32LE(offset + 4);
+        const body = offset + 8;
+
+        if (chunkId === 'fmt ') {
+            format = {
+                audioFormat: buffer.readUInt16LE(body),
+                channels: buffer.readUInt16LE(body + 2),
+                sampleRate: buffer.readUInt32LE(body + 4),
+                bitsPerSample: buffer.readUInt16LE(body + 14)
+            };
+            if (format.audioFormat === FORMAT_EXTENSIBLE && chunkSize >= 26) {
+                // First two bytes of the SubFormat GUID carry the real format
+                format.audioFormat = buffer.readUInt16LE(body + 24);
+            }
+        } else if (chunkId === 'data') {
+            data = buffer.subarray(body, Math.min(body + chunkSize, buffer.length));
+        }
+
+        // Chunks are word-aligned
+        offset = body + chunkSize + (chunkSize % 2);
+    }
+
+    if (!format || !data) {
+        throw new Error(`${filePath}: missing fmt or data chunk`);
+    }
+
+    const readSample = sampleReader(format);
+    const bytesPerSample = format.bitsPerSample / 8;
+    const frameSize = bytesPerSample * format.channels;
+    const numFrames = Math.floor(data.length / frameSize);
+    const samples = new Float32Array(numFrames);
+
+    for (let i = 0; i < numFrames; i++) {
+        let sum = 0;
+        for (let ch = 0; ch < format.channels; ch++) {
+            sum += readSample(data, i * frameSize + ch * bytesPerSample);
+        }
+        samples[i] = sum / format.channels;
+    }
+
+    return {
+        samples,
+        sampleRate: format.sampleRate,
+        channels: format.channels,
+        durationMs: (numFrames / format.sampleRate) * 1000
+    };
+}
+
+/**
+ * Pick a sample decoder for the WAV format, returning floats in [-1, 1]
+ */
+function sampleReader({ audioFormat, bitsPerSample }) {
+    if (audioFormat === FORMAT_PCM) {
+        switch (bitsPerSample) {
+            case 8: return (buf, pos) => (buf.readUInt8(pos) - 128) / 128;
+            case 16: return (buf, pos) => buf.readInt16LE(pos) / 32768;
+            case 24: return (buf, pos) => buf.readIntLE(pos, 3) / 8388608;
+            case 32: return (buf, pos) => buf.readInt32LE(pos) / 2147483648;
+        }
+    }
+    if (audioFormat === FORMAT_FLOAT) {
+        switch (bitsPerSample) {
+            case 32: return (buf, pos) => buf.readFloatLE(pos);
+            case 64: return (buf, pos) => buf.readDoubleLE(pos);
+        }
+    }
+    throw new Error(`Unsupported WAV format ${audioFormat} with ${bitsPerSample}-bit samples`);
+}
+
+/**
+ * Linear-interpolation resampler (the detector expects its configured rate)
+ */
+function resample(samples, fromRate, toRate) {
+    if (fromRate === toRate) return samples;
+
+    const ratio = fromRate / toRate;
+    const length = Math.floor(samples.length / ratio);
+    const output = new Float32Array(length);
+
+    for (let i = 0; i < length; i++) {
+        const position = i * ratio;
+        const index = Math.floor(position);
+        const frac = position - index;
+        const next = index + 1 < samples.length ? samples[index + 1] : samples[index];
+        output[i] = samples[index] + (next - samples[index]) * frac;
+    }
+
+    return output;
+}
+
+module.exports = { readWav, resample };
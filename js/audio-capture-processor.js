@@ -0,0 +1,116 @@
+/**
+ * Audio Capture Processor - AudioWorklet side of the shared audio pipeline
+ * Collects 128-sample render quanta into fixed-size frames, optionally
+ * resamples (averaging decimator) and converts to Int16, then posts each
+ * frame as a transferable buffer - to the main thread, or to a MessagePort
+ * handed over with {type: 'connect', port} (e.g. the detector worker).
+ *
+ * processorOptions:
+ *   frameSize        - samples per posted frame (at the output rate)
+ *   targetSampleRate - output rate (defaults to the context rate)
+ *   format           - 'float32' or 'int16'
+ */
+
+class AudioCaptureProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+        const opts = options.processorOptions || {};
+
+        this.frameSize = opts.frameSize || 1024;
+        this.targetSampleRate = opts.targetSampleRate || sampleRate;
+        this.format = opts.format || 'float32';
+        this.ratio = sampleRate / this.targetSampleRate;
+
+        this.frame = new Float32Array(this.frameSize);
+        this.frameFill = 0;
+        this.frameStartInput = 0;   // Input sample index of the frame's first sample
+        this.quantumStartInput = 0; // Input sample index at the start of this render quantum
+
+        // Resampler state: output sample n covers input [n * ratio, (n + 1) * ratio)
+        this.inputIndex = 0;
+        this.outputIndex = 0;
+        this.accumulator = 0;
+        this.accumulatorCount = 0;
+
+        // Frames go to the node's port unless another port is connected
+        this.target = this.port;
+        this.port.onmessage = (event) => {
+            if (event.data.type === 'connect') {
+                this.target = event.data.port;
+            }
+        };
+    }
+
+    process(inputs) {
+        const input = inputs[0];
+        if (!input || input.length === 0) return true;
+
+        const channel = input[0];
+        this.quantumStartInput = this.inputIndex;
+
+        for (let i = 0; i < channel.length; i++) {
+            if (this.ratio === 1) {
+                this.push(channel[i]);
+            } else {
+                this.accumulator += channel[i];
+                this.accumulatorCount++;
+                if (this.inputIndex + 1 >= (this.outputIndex + 1) * this.ratio) {
+                    this.push(this.accumulator / this.accumulatorCount);
+                    this.outputIndex++;
+                    this.accumulator = 0;
+                    this.accumulatorCount = 0;
+                }
+            }
+            this.inputIndex++;
+        }
+
+        return true;
+    }
+
+    /**
+     * Append one output sample, posting the frame when full
+     */
+    push(sample) {
+        if (this.frameFill === 0) {
+            this.frameStartInput = this.inputIndex;
+        }
+        this.frame[this.frameFill++] = sample;
+        if (this.frameFill === this.frameSize) {
+            this.flush();
+        }
+    }
+
+    /**
+     * Post the completed frame
+     */
+    flush() {
+        const samples = this.format === 'int16'
+            ? toInt16(this.frame, this.frameFill)
+            : this.frame.slice(0, this.frameFill);
+
+        // contextTime is the AudioContext time of the frame's first sample
+        this.target.postMessage({
+            samples: samples.buffer,
+            format: this.format,
+            sampleRate: this.targetSampleRate,
+            contextTime: currentTime + (this.frameStartInput - this.quantumStartInput) / sampleRate
+        }, [samples.buffer]);
+
+        this.frameFill = 0;
+    }
+}
+
+/**
+ * Convert Float32 samples to Int16 (LINEAR16)
+ */
+function toInt16(float32Array, length) {
+    const int16Array = new Int16Array(length);
+    for (let i = 0; i < length; i++) {
+        // Clamp and convert
+        const s = Math.max(-1, Math.min(1, float32Array[i]));
+        int16Array[i] = s < 0 ? s * 0x8000 : s * 0x7FFF;
+    }
+    return int16Array;
+}
+
+registerProcessor('audio-capture-processor', AudioCaptureProcessor);
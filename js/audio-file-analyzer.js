@@ -0,0 +1,89 @@
+/**
+ * Audio File Analyzer - Offline prominence analysis of recorded media
+ * Decodes a WAV/MP3/WebM file and runs it through the Wasm detector
+ * faster than real time, with media-relative timestamps
+ */
+
+class AudioFileAnalyzer {
+    constructor(options = {}) {
+        this.sampleRate = options.sampleRate || 48000;
+        this.detectorConfig = options.detectorConfig || {};
+
+        // Callbacks
+        this.onProgress = options.onProgress || (() => { });
+        this.onError = options.onError || ((err) => console.error(err));
+
+        this.detector = null;
+    }
+
+    /**
+     * Decode a File/Blob to mono Float32 samples at the detector sample rate
+     */
+    async decode(file) {
+        const arrayBuffer = await file.arrayBuffer();
+
+        // decodeAudioData resamples to the context rate
+        const context = new OfflineAudioContext(1, 1, this.sampleRate);
+        const audioBuffer = await context.decodeAudioData(arrayBuffer);
+
+        const samples = new Float32Array(audioBuffer.length);
+        for (let ch = 0; ch < audioBuffer.numberOfChannels; ch++) {
+            const data = audioBuffer.getChannelData(ch);
+            for (let i = 0; i < data.length; i++) {
+                samples[i] += data[i] / audioBuffer.numberOfChannels;
+            }
+        }
+
+        return {
+            samples,
+            durationMs: audioBuffer.duration * 1000
+        };
+    }
+
+    /**
+     * Decode and analyze a file
+     * Returns {durationMs, events}: every syllable onset (isProminent marks prominence events),
+     * timestamps in ms from the start of the file
+     */
+    async analyze(file) {
+        try {
+            const { samples, durationMs } = await this.decode(file);
+
+            // A dedicated detector so the live pipeline's state is untouched
+            if (!this.detector) {
+                this.detector = new ProminenceDetectorWasm({
+                    ...this.detectorConfig,
+                    sampleRate: this.sampleRate,
+                    onError: this.onError
+                });
+            }
+
+            const events = await this.detector.analyzeBuffer(samples, {
+                onProgress: this.onProgress,
+                allSyllables: true // Forced alignment needs every onset
+            });
+
+            console.log(`[FileAnalyzer] ${(durationMs / 1000).toFixed(1)}s analyzed, ${events.length} events`);
+            return { durationMs, events };
+
+        } catch (error) {
+            this.onError(error);
+            throw error;
+        }
+    }
+
+    /**
+     * Release the offline detector
+     */
+    destroy() {
+        if (this.detector) {
+            this.detector.destroy();
+            this.detector = null;
+        }
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AudioFileAnalyzer;
+}
@@ -0,0 +1,157 @@
+/**
+ * Audio Pipeline - One microphone capture graph shared by all consumers
+ * A single getUserMedia stream and AudioContext feed one AudioWorklet node
+ * per consumer (e.g. the Wasm detector at 48 kHz and the STT uplink
+ * resampled to 16 kHz Int16), so every consumer shares one clock.
+ * Frames carry their AudioContext time; this.clock maps it to performance.now().
+ */
+
+class AudioPipeline {
+    constructor(options = {}) {
+        this.sampleRate = options.sampleRate || 48000;
+        this.workletUrl = options.workletUrl || 'js/audio-capture-processor.js';
+
+        // One constraint set for the device. The detector needs the raw signal,
+        // so echo cancellation / noise suppression / AGC are off by default.
+        this.audioConstraints = {
+            channelCount: 1,
+            echoCancellation: false,
+            noiseSuppression: false,
+            autoGainControl: false,
+            sampleRate: this.sampleRate,
+            ...options.audioConstraints
+        };
+
+        // State
+        this.audioContext = null;
+        this.mediaStream = null;
+        this.source = null;
+        this.clock = null;
+        this.consumers = new Map();
+        this.isRunning = false;
+        this._startPromise = null;
+    }
+
+    /**
+     * Open the microphone and load the worklet (safe to call repeatedly)
+     */
+    async start() {
+        if (!this._startPromise) {
+            this._startPromise = this._start().catch((error) => {
+                this._startPromise = null;
+                throw error;
+            });
+        }
+        return this._startPromise;
+    }
+
+    async _start() {
+        this.mediaStream = await navigator.mediaDevices.getUserMedia({
+            audio: this.audioConstraints
+        });
+
+        this.audioContext = new (window.AudioContext || window.webkitAudioContext)({
+            sampleRate: this.sampleRate
+        });
+        await this.audioContext.audioWorklet.addModule(this.workletUrl);
+
+        this.source = this.audioContext.createMediaStreamSource(this.mediaStream);
+
+        const [track] = this.mediaStream.getAudioTracks();
+        const settings = track && track.getSettings ? track.getSettings() : {};
+        this.clock = new MediaClock(this.audioContext, {
+            inputLatencyMs: (settings.latency || 0) * 1000
+        });
+        this.clock.start();
+        this.isRunning = true;
+
+        console.log(`[AudioPipeline] Capturing at ${this.audioContext.sampleRate} Hz, input latency ${this.clock.inputLatencyMs.toFixed(1)} ms`);
+        return true;
+    }
+
+    /**
+     * Attach a consumer
+     * options: {frameSize, targetSampleRate, format: 'float32'|'int16', onFrame(samples, frame), port}
+     * onFrame receives a typed array and the frame metadata ({contextTime, sampleRate}).
+     * With port (a MessagePort), frames bypass the main thread and go straight to it.
+     */
+    async addConsumer(name, options = {}) {
+        await this.start();
+        this.removeConsumer(name);
+
+        const node = new AudioWorkletNode(this.audioContext, 'audio-capture-processor', {
+            numberOfInputs: 1,
+            numberOfOutputs: 0, // Sink node - processed without a path to the destination
+            channelCount: 1,
+            channelCountMode: 'explicit',
+            processorOptions: {
+                frameSize: options.frameSize || 1024,
+                targetSampleRate: options.targetSampleRate || this.audioContext.sampleRate,
+                format: options.format || 'float32'
+            }
+        });
+
+        if (options.port) {
+            node.port.postMessage({ type: 'connect', port: options.port }, [options.port]);
+        } else {
+            const onFrame = options.onFrame || (() => { });
+            node.port.onmessage = (event) => {
+                const frame = event.data;
+                const samples = frame.format === 'int16'
+                    ? new Int16Array(frame.samples)
+                    : new Float32Array(frame.samples);
+                onFrame(samples, frame);
+            };
+        }
+
+        this.source.connect(node);
+        this.consumers.set(name, node);
+        return node;
+    }
+
+    /**
+     * Detach a consumer
+     */
+    removeConsumer(name) {
+        const node = this.consumers.get(name);
+        if (!node) return;
+
+        node.port.onmessage = null;
+        if (this.source) {
+            this.source.disconnect(node);
+        }
+        this.consumers.delete(name);
+    }
+
+    /**
+     * Stop capture and release the microphone
+     */
+    stop() {
+        if (this.clock) {
+            this.clock.stop();
+            this.clock = null;
+        }
+
+        for (const name of [...this.consumers.keys()]) {
+            this.removeConsumer(name);
+        }
+
+        if (this.mediaStream) {
+            this.mediaStream.getTracks().forEach(track => track.stop());
+            this.mediaStream = null;
+        }
+        if (this.audioContext) {
+            this.audioContext.close();
+            this.audioContext = null;
+        }
+
+        this.source = null;
+        this.isRunning = false;
+        this._startPromise = null;
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AudioPipeline;
+}
@@ -0,0 +1,284 @@
+/**
+ * Calibration Wizard - Guided per-speaker fit of the size thresholds
+ * The speaker reads prompt sentences whose stressed words are known
+ * (written in CAPITALS). Each take's syllable onsets are force-aligned to
+ * the prompt, so every word gets the speaker's strongest fusion score.
+ * Takes that are too quiet, too noisy, unalignable or show no stress
+ * contrast are rejected; the accepted ones fit the large/small thresholds
+ * (and optionally a score normalization curve) and a quality report.
+ */
+
+const CALIBRATION_PROMPTS = [
+    'The QUICK brown FOX jumps OVER the LAZY dog',
+    'I asked for COFFEE, not TEA',
+    'She NEVER said he took the MONEY',
+    'We will meet on MONDAY at NOON',
+    'Put the RED box on the TOP shelf'
+];
+
+class CalibrationWizard {
+    constructor(options = {}) {
+        this.aligner = options.aligner || new ForcedAligner();
+        this.prompts = (options.prompts || CALIBRATION_PROMPTS).map(text => CalibrationWizard.parsePrompt(text));
+        this.minTakes = options.minTakes || 3;
+
+        // Take rejection limits
+        this.minSyllableRatio = 0.5;   // Detected / expected syllables
+        this.maxSyllableRatio = 2.0;
+        this.minAlignmentConfidence = 0.3;
+
+        this.start();
+    }
+
+    /**
+     * Split a prompt into words; words in CAPITALS (2+ letters) are the stressed targets
+     */
+    static parsePrompt(text) {
+        const words = text.split(/\s+/).filter(w => w.length > 0);
+        const stressed = words.map(w => {
+            const letters = w.replace(/[^\p{L}]/gu, '');
+            return letters.length > 1 && letters === letters.toUpperCase();
+        });
+        return { text, words, stressed };
+    }
+
+    /**
+     * Reset to the first prompt
+     */
+    start() {
+        this.step = 0;
+        this.takes = [];
+        this.syllables = [];
+        this.isRecording = false;
+    }
+
+    get currentPrompt() {
+        return this.prompts[this.step] || null;
+    }
+
+    get acceptedTakes() {
+        return this.takes.filter(take => take.accepted);
+    }
+
+    get isComplete() {
+        return this.step >= this.prompts.length;
+    }
+
+    get canFit() {
+        return this.acceptedTakes.length >= this.minTakes;
+    }
+
+    startTake() {
+        this.syllables = [];
+        this.isRecording = true;
+    }
+
+    /**
+     * Record one syllable event ({timestamp, score}) during a take
+     */
+    addSyllable(syllable) {
+        if (this.isRecording) {
+            this.syllables.push(syllable);
+        }
+    }
+
+    /**
+     * Finish the take for the current prompt
+     * Returns {accepted, reason, stressedScores, unstressedScores, ...}; accepted takes advance the prompt
+     */
+    endTake() {
+        this.isRecording = false;
+
+        const prompt = this.currentPrompt;
+        const take = { prompt: prompt.text, accepted: false, reason: null, syllableCount: this.syllables.length };
+
+        const expected = prompt.words.reduce((sum, w) => sum + this.aligner.countSyllables(w), 0);
+        const ratio = this.syllables.length / expected;
+
+        if (ratio < this.minSyllableRatio) {
+            take.reason = `Only ${this.syllables.length} of ~${expected} syllables detected - speak louder or closer to the microphone`;
+        } else if (ratio > this.maxSyllableRatio) {
+            take.reason = `${this.syllables.length} onsets for ~${expected} syllables - too much background noise`;
+        } else {
+            const aligned = this.aligner.align(prompt.words, this.syllables);
+            const confidence = aligned.reduce((sum, a) => sum + a.confidence, 0) / aligned.length;
+            const wordScore = a => a.events.length > 0 ? Math.max(...a.events.map(e => e.score)) : null;
+
+            take.alignmentConfidence = confidence;
+            take.stressedScores = aligned.filter((a, i) => prompt.stressed[i]).map(wordScore).filter(s => s !== null);
+            take.unstressedScores = aligned.filter((a, i) => !prompt.stressed[i]).map(wordScore).filter(s => s !== null);
+
+            const contrast = CalibrationWizard.mean(take.stressedScores) - CalibrationWizard.mean(take.unstressedScores);
+
+            if (confidence < this.minAlignmentConfidence) {
+                take.reason = 'The take could not be matched to the sentence - read it once, at an even pace';
+            } else if (take.stressedScores.length === 0 || take.unstressedScores.length === 0) {
+                take.reason = 'Not enough words were detected';
+            } else if (!(contrast > 0)) {
+                take.reason = 'The CAPITALIZED words were not stronger than the others - emphasize them more';
+            } else {
+                take.accepted = true;
+                take.contrast = contrast;
+            }
+        }
+
+        this.takes.push(take);
+        if (take.accepted) {
+            this.step++;
+        }
+        console.log(`[Calibration] Take "${take.prompt}": ${take.accepted ? 'accepted' : 'rejected - ' + take.reason}`);
+        return take;
+    }
+
+    /**
+     * Move on without an accepted take for this prompt
+     */
+    skipPrompt() {
+        this.isRecording = false;
+        this.step++;
+    }
+
+    /**
+     * Fit thresholds from the accepted takes
+     * With normalize, scores are first mapped through a per-speaker
+     * quantile curve (empirical CDF), and the thresholds live on that scale.
+     * Returns {sensitivityThreshold, calibratedMin, calibratedMax, normalization, report}
+     */
+    fit(options = {}) {
+        if (!this.canFit) {
+            throw new Error(`Need ${this.minTakes} accepted takes, have ${this.acceptedTakes.length}`);
+        }
+
+        let stressed = this.acceptedTakes.flatMap(take => take.stressedScores);
+        let unstressed = this.acceptedTakes.flatMap(take => take.unstressedScores);
+
+        let normalization = null;
+        if (options.normalize) {
+            normalization = CalibrationWizard.fitNormalization([...stressed, ...unstressed]);
+            stressed = stressed.map(s => CalibrationWizard.normalize(s, normalization));
+            unstressed = unstressed.map(s => CalibrationWizard.normalize(s, normalization));
+        }
+
+        const all = [...stressed, ...unstressed].sort((a, b) => a - b);
+        const largeThreshold = CalibrationWizard.bestThreshold(stressed, unstressed).value;
+        const smallThreshold = Math.min(
+            CalibrationWizard.percentile(unstressed, 0.25),
+            largeThreshold - 0.01
+        );
+
+        const report = this.qualityReport(stressed, unstressed, largeThreshold);
+
+        return {
+            sensitivityThreshold: {
+                smallMax: smallThreshold,
+                normalMax: largeThreshold
+            },
+            calibratedMin: CalibrationWizard.percentile(all, 0.05),
+            calibratedMax: CalibrationWizard.percentile(all, 0.95),
+            normalization,
+            report
+        };
+    }
+
+    /**
+     * Separation statistics for the fitted threshold
+     */
+    qualityReport(stressed, unstressed, threshold) {
+        const mean = CalibrationWizard.mean;
+        const variance = values => {
+            const m = mean(values);
+            return values.reduce((sum, v) => sum + (v - m) ** 2, 0) / Math.max(1, values.length - 1);
+        };
+
+        const pooledSd = Math.sqrt((variance(stressed) + variance(unstressed)) / 2) || 1e-6;
+        const dPrime = (mean(stressed) - mean(unstressed)) / pooledSd;
+        const hitRate = stressed.filter(s => s >= threshold).length / stressed.length;
+        const falseAlarmRate = unstressed.filter(s => s >= threshold).length / unstressed.length;
+
+        let rating = 'poor';
+        if (dPrime >= 1.5) rating = 'good';
+        else if (dPrime >= 0.8) rating = 'fair';
+
+        return {
+            takesAccepted: this.acceptedTakes.length,
+            takesRejected: this.takes.length - this.acceptedTakes.length,
+            stressedWords: stressed.length,
+            unstressedWords: unstressed.length,
+            stressedMean: mean(stressed),
+            unstressedMean: mean(unstressed),
+            dPrime,
+            hitRate,
+            falseAlarmRate,
+            rating
+        };
+    }
+
+    /**
+     * Threshold with the best balanced accuracy between stressed (>= t) and unstressed (< t)
+     */
+    static bestThreshold(stressed, unstressed) {
+        const values = [...new Set([...stressed, ...unstressed])].sort((a, b) => a - b);
+        let best = { value: CalibrationWizard.mean(stressed), accuracy: 0 };
+
+        for (let i = 0; i < values.length; i++) {
+            const t = i === 0 ? values[0] : (values[i - 1] + values[i]) / 2;
+            const hit = stressed.filter(s => s >= t).length / stressed.length;
+            const correctReject = unstressed.filter(s => s < t).length / unstressed.length;
+            const accuracy = (hit + correctReject) / 2;
+            if (accuracy > best.accuracy) {
+                best = { value: t, accuracy };
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Quantile curve: knots [raw, normalized] at fixed quantiles of the scores
+     */
+    static fitNormalization(scores) {
+        const levels = [0, 0.1, 0.25, 0.5, 0.75, 0.9, 1];
+        const knots = [];
+        for (const level of levels) {
+            const raw = CalibrationWizard.percentile(scores, level);
+            // Keep the curve strictly increasing in raw score
+            if (knots.length === 0 || raw > knots[knots.length - 1][0]) {
+                knots.push([raw, level]);
+            }
+        }
+        return { knots };
+    }
+
+    /**
+     * Map a raw score through a normalization curve (linear between knots, clamped)
+     */
+    static normalize(score, curve) {
+        const knots = curve.knots;
+        if (knots.length === 0) return score;
+        if (knots.length === 1 || score <= knots[0][0]) return knots[0][1];
+
+        for (let i = 1; i < knots.length; i++) {
+            const [x1, y1] = knots[i];
+            if (score <= x1) {
+                const [x0, y0] = knots[i - 1];
+                return y0 + (y1 - y0) * (score - x0) / (x1 - x0);
+            }
+        }
+        return knots[knots.length - 1][1];
+    }
+
+    static mean(values) {
+        return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : NaN;
+    }
+
+    static percentile(values, p) {
+        if (values.length === 0) return NaN;
+        const sorted = [...values].sort((a, b) => a - b);
+        const index = Math.min(sorted.length - 1, Math.max(0, Math.round(p * (sorted.length - 1))));
+        return sorted[index];
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CalibrationWizard, CALIBRATION_PROMPTS };
+}
@@ -0,0 +1,298 @@
+/**
+ * Caption Layout - Line breaking and broadcast-style caption modes
+ * Words are measured by the caller at the size they are rendered (prominence
+ * makes widths vary a lot) and broken into lines that fit both the caption
+ * width and maxCharsPerLine. When a line overflows, it breaks after the last
+ * phrase boundary (punctuation from the recognizer) in its second half rather
+ * than before the overflowing word, and a new speaker always starts a line.
+ *
+ * roll-up  The last maxLines lines are shown and grow with interim words; a
+ *          full line scrolls off once it has been on screen minDisplayMs.
+ * pop-on   Committed words are grouped into blocks of up to maxLines lines
+ *          that end at a sentence end or a pause. A block appears complete and
+ *          stays until the next one is ready and it has been shown minDisplayMs.
+ *          Interim words are not shown.
+ *
+ * The layout keeps an anchor (the first word still needed) so callers can drop
+ * the words before startIndex; timers call onExpire when a held line or block
+ * may move on.
+ */
+
+const CAPTION_MODES = ['roll-up', 'pop-on'];
+
+// Words ending a phrase (line break candidates) or a sentence (pop-on block ends)
+const PHRASE_END = /[,;:.?!…、，；：。？！—–]["'”’)\]」』）]*$/;
+const SENTENCE_END = /[.?!…。？！]["'”’)\]」』）]*$/;
+
+// East Asian wide characters take two columns of maxCharsPerLine
+const WIDE_CHARS = /[\u1100-\u115F\u2E80-\u303E\u3041-\u33FF\u3400-\u4DBF\u4E00-\u9FFF\uAC00-\uD7A3\uF900-\uFAFF\uFE30-\uFE4F\uFF00-\uFF60\uFFE0-\uFFE6]/g;
+
+class CaptionLayout {
+    constructor(options = {}) {
+        this.mode = 'roll-up';
+        this.maxLines = 2;
+        this.maxCharsPerLine = 42;
+        this.minDisplayMs = 1500;
+        this.pauseMs = options.pauseMs || 1200; // Pop-on: silence that ends a block
+        this.setOptions(options);
+
+        this.onExpire = options.onExpire || null;
+        this.keyOf = options.keyOf || (word => word.renderKey);
+
+        this.timer = null;
+        this.timerAt = 0;
+        this.reset();
+    }
+
+    /**
+     * Update {mode, maxLines, maxCharsPerLine, minDisplayMs}; a new mode starts over
+     */
+    setOptions(options) {
+        const mode = CAPTION_MODES.includes(options.mode) ? options.mode : this.mode;
+        if (mode !== this.mode) {
+            this.mode = mode;
+            this.reset();
+        }
+        if (options.maxLines > 0) this.maxLines = Math.round(options.maxLines);
+        if (options.maxCharsPerLine > 0) this.maxCharsPerLine = Math.round(options.maxCharsPerLine);
+        if (options.minDisplayMs >= 0) this.minDisplayMs = options.minDisplayMs;
+    }
+
+    reset() {
+        this.anchorKey = null;
+        this.lineShownAt = new Map(); // Roll-up: first word key -> when the line appeared
+        this.shownAt = null;          // Pop-on: when the block at the anchor appeared
+        this.pauseBreaks = new Set(); // Pop-on: keys of words that ended a block by a pause
+        this.lastSeen = null;
+        this.lastChangeAt = 0;
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Lines to show for the committed words followed by the interim ones
+     * measure(words) returns one {width, labelWidth, speaker} per word, in px;
+     * labelWidth is the speaker label that may precede the word at a line start.
+     * Returns {lines: [[word, ...], ...], startIndex} - words before startIndex are no longer needed
+     */
+    layout({ words, committedCount, measure, maxWidth, gap = 0, spaceless = false, now = performance.now() }) {
+        let start = this.indexOfKey(words, this.anchorKey);
+        if (start === -1) {
+            this.reset();
+            start = 0;
+        }
+
+        const measured = measure(words.slice(start));
+        const units = measured.map((metrics, i) => ({
+            ...metrics,
+            word: words[start + i],
+            index: start + i,
+            columns: CaptionLayout.columns(words[start + i].text)
+        }));
+        const metrics = { maxWidth: maxWidth > 0 ? maxWidth : Infinity, gap, separator: spaceless ? 0 : 1 };
+
+        const result = this.mode === 'pop-on'
+            ? this.popOn(units, committedCount, words.length > committedCount, metrics, now)
+            : this.rollUp(units, committedCount, metrics, now);
+
+        this.anchorKey = result.startIndex < words.length ? this.keyOf(words[result.startIndex]) : null;
+        return {
+            lines: result.lines.map(line => line.map(unit => unit.word)),
+            startIndex: result.startIndex
+        };
+    }
+
+    rollUp(units, committedCount, metrics, now) {
+        const lines = this.breakLines(units, metrics);
+        let top = Math.max(0, lines.length - this.maxLines);
+
+        // A full line stays (one line over maxLines) until it could be read
+        if (top > 0) {
+            const shownAt = this.lineShownAt.get(this.lineKey(lines[top - 1]));
+            if (shownAt !== undefined && now - shownAt < this.minDisplayMs) {
+                top--;
+                this.schedule(shownAt + this.minDisplayMs, now);
+            }
+        }
+
+        const visible = lines.slice(top);
+        const shownAt = new Map();
+        for (const line of visible) {
+            const key = this.lineKey(line);
+            shownAt.set(key, this.lineShownAt.get(key) ?? now);
+        }
+        this.lineShownAt = shownAt;
+
+        // Interim words may still change, so only committed words are let go
+        let startIndex = units.length > 0 ? units[0].index : committedCount;
+        for (let i = 0; i <= top && i < lines.length; i++) {
+            if (lines[i][0].index <= committedCount) startIndex = lines[i][0].index;
+        }
+        return { lines: visible, startIndex };
+    }
+
+    popOn(units, committedCount, hasInterim, metrics, now) {
+        const committed = units.filter(unit => unit.index < committedCount);
+        const last = committed[committed.length - 1];
+
+        // A pause: nothing new for pauseMs and nobody speaking
+        const seen = `${last ? this.keyOf(last.word) : ''}|${hasInterim}`;
+        if (seen !== this.lastSeen) {
+            this.lastSeen = seen;
+            this.lastChangeAt = now;
+        }
+        if (last && !hasInterim) {
+            if (now - this.lastChangeAt >= this.pauseMs) {
+                this.pauseBreaks.add(this.keyOf(last.word));
+            } else {
+                this.schedule(this.lastChangeAt + this.pauseMs, now);
+            }
+        }
+
+        const blocks = this.splitBlocks(committed, metrics);
+
+        if (this.shownAt === null) {
+            if (blocks.length > 0 && blocks[0].complete) this.shownAt = now;
+        } else if (blocks.length > 1 && blocks[1].complete) {
+            if (now - this.shownAt >= this.minDisplayMs) {
+                blocks.shift();
+                this.shownAt = now;
+                if (blocks.length > 1 && blocks[1].complete) this.schedule(now + this.minDisplayMs, now);
+            } else {
+                this.schedule(this.shownAt + this.minDisplayMs, now);
+            }
+        }
+
+        const anchor = blocks.length > 0 ? blocks[0].lines[0][0].index : committedCount;
+        const keys = new Set(committed.map(unit => this.keyOf(unit.word)));
+        for (const key of this.pauseBreaks) {
+            if (!keys.has(key)) this.pauseBreaks.delete(key);
+        }
+
+        return {
+            lines: this.shownAt !== null && blocks.length > 0 ? blocks[0].lines : [],
+            startIndex: Math.min(anchor, committedCount)
+        };
+    }
+
+    /**
+     * Pop-on blocks: sentences (or pause-ended runs) broken into lines, maxLines at a time
+     * A block is complete once words follow it or its sentence has ended
+     */
+    splitBlocks(units, metrics) {
+        const blocks = [];
+        let sentence = [];
+
+        const flush = (ended) => {
+            const lines = this.breakLines(sentence, metrics);
+            for (let i = 0; i < lines.length; i += this.maxLines) {
+                blocks.push({ lines: lines.slice(i, i + this.maxLines), complete: ended || i + this.maxLines < lines.length });
+            }
+            sentence = [];
+        };
+
+        for (const unit of units) {
+            sentence.push(unit);
+            if (SENTENCE_END.test(unit.word.text) || this.pauseBreaks.has(this.keyOf(unit.word))) {
+                flush(true);
+            }
+        }
+        if (sentence.length > 0) flush(false);
+        return blocks;
+    }
+
+    /**
+     * Greedy line breaking by measured width and character columns
+     */
+    breakLines(units, { maxWidth, gap, separator }) {
+        const lines = [];
+        let line = [];
+
+        const fits = (candidate) => {
+            const width = candidate.reduce((sum, unit) => sum + unit.width, 0) +
+                gap * (candidate.length - 1) +
+                (candidate[0].labelWidth > 0 ? candidate[0].labelWidth + gap : 0);
+            const columns = candidate.reduce((sum, unit) => sum + unit.columns, 0) + separator * (candidate.length - 1);
+            return width <= maxWidth && columns <= this.maxCharsPerLine;
+        };
+
+        for (const unit of units) {
+            const previous = line[line.length - 1];
+            if (previous && unit.labelWidth > 0 && unit.speaker !== previous.speaker) {
+                lines.push(line);
+                line = [];
+            }
+            if (line.length === 0 || fits([...line, unit])) {
+                line.push(unit);
+                continue;
+            }
+
+            // Carry the words after a phrase boundary over to the next line
+            const split = this.phraseSplit(line);
+            const carried = split > 0 ? line.slice(split) : [];
+            if (carried.length > 0 && fits([...carried, unit])) {
+                lines.push(line.slice(0, split));
+                line = [...carried, unit];
+            } else {
+                lines.push(line);
+                line = [unit];
+            }
+        }
+        if (line.length > 0) lines.push(line);
+        return lines;
+    }
+
+    /**
+     * Index after the last phrase-ending word in the second half of the line, or 0
+     */
+    phraseSplit(line) {
+        const total = line.reduce((sum, unit) => sum + unit.width, 0);
+        let width = total;
+        for (let i = line.length - 1; i > 0; i--) {
+            width -= line[i].width;
+            if (width < total / 2) break;
+            if (PHRASE_END.test(line[i - 1].word.text)) return i;
+        }
+        return 0;
+    }
+
+    lineKey(line) {
+        return this.keyOf(line[0].word);
+    }
+
+    indexOfKey(words, key) {
+        if (key === null) return 0;
+        return words.findIndex(word => this.keyOf(word) === key);
+    }
+
+    /**
+     * Call onExpire at `at` (earliest pending deadline wins)
+     */
+    schedule(at, now) {
+        if (this.timer && this.timerAt <= at) return;
+        if (this.timer) clearTimeout(this.timer);
+
+        this.timerAt = at;
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            if (this.onExpire) this.onExpire();
+        }, Math.max(0, at - now) + 20);
+    }
+
+    /**
+     * Character columns of a word (wide characters count twice)
+     */
+    static columns(text) {
+        const wide = text.match(WIDE_CHARS);
+        return text.length + (wide ? wide.length : 0);
+    }
+}
+
+CaptionLayout.MODES = CAPTION_MODES;
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CaptionLayout;
+}
@@ -0,0 +1,153 @@
+/**
+ * Caption Renderer - Keyed, diff-based rendering of caption words
+ * Every interim result replaces the interim word list, which used to rebuild
+ * every span: words snapped between sizes and the line reflowed constantly.
+ * Here each word carries a renderKey that survives from one interim to the
+ * next (matched by text and start time) and into the committed words, so its
+ * span is reused and only changed classes and style variables are written;
+ * CSS transitions then animate size changes. A word whose end time is older
+ * than stabilityWindowMs is locked: later interims keep its prominence, so it
+ * no longer changes size while the rest of the sentence is still recognized.
+ */
+
+class CaptionRenderer {
+    constructor(container, options = {}) {
+        this.container = container;
+        this.stabilityWindowMs = options.stabilityWindowMs ?? 600; // 0 disables locking
+        this.matchToleranceMs = options.matchToleranceMs || 250;   // Start-time drift between interims of one word
+        this.animate = options.animate !== false;
+
+        this.nodes = new Map(); // key -> {el, className, text, vars}
+        this.nextKey = 0;
+    }
+
+    /**
+     * Carry keys and locked prominence from the previous interim words to the next ones
+     * now is on the words' timeline (ms since session start); null carries keys only. Returns next.
+     */
+    stabilize(previous, next, now) {
+        let from = 0;
+        for (const word of next) {
+            const match = this.findMatch(previous, word, from);
+            if (match === -1) {
+                this.keyOf(word);
+                continue;
+            }
+
+            const old = previous[match];
+            from = match + 1;
+            word.renderKey = this.keyOf(old);
+
+            if (old.prominenceLocked || this.isSettled(old, now)) {
+                word.prominenceLocked = true;
+                word.prominenceScore = old.prominenceScore;
+                if (old.prosody !== undefined) word.prosody = old.prosody;
+                if (old.alignmentConfidence !== undefined) word.alignmentConfidence = old.alignmentConfidence;
+            }
+        }
+        return next;
+    }
+
+    /**
+     * Index of the previous word that is the same word as `word`, searching forward from `from`
+     * Without timings, the word at the same position with the same text matches
+     */
+    findMatch(previous, word, from) {
+        for (let i = from; i < previous.length; i++) {
+            const old = previous[i];
+            if (old.text !== word.text) continue;
+            if (old.startTime === undefined || word.startTime === undefined) {
+                return i === from ? i : -1;
+            }
+            if (Math.abs(old.startTime - word.startTime) <= this.matchToleranceMs) return i;
+        }
+        return -1;
+    }
+
+    isSettled(word, now) {
+        return now !== null &&
+            this.stabilityWindowMs > 0 &&
+            word.endTime !== undefined &&
+            word.endTime < now - this.stabilityWindowMs;
+    }
+
+    keyOf(word) {
+        if (word.renderKey === undefined) {
+            word.renderKey = `w${this.nextKey++}`;
+        }
+        return word.renderKey;
+    }
+
+    /**
+     * Bring the container in line with entries, reusing the spans of known keys
+     * entry: {key, text, className, vars: {'--word-size': '24.0px', ...}}
+     */
+    render(entries) {
+        const seen = new Set();
+        let cursor = this.container.firstChild;
+
+        for (const entry of entries) {
+            if (seen.has(entry.key)) {
+                entry.key = `${entry.key}-${this.nextKey++}`; // One span per entry
+            }
+            seen.add(entry.key);
+            let node = this.nodes.get(entry.key);
+            if (!node) {
+                node = { el: document.createElement('span'), className: null, text: null, vars: {} };
+                this.nodes.set(entry.key, node);
+                if (this.animate) node.entering = true;
+            }
+            this.update(node, entry);
+
+            if (node.el === cursor) {
+                cursor = cursor.nextSibling;
+            } else {
+                this.container.insertBefore(node.el, cursor);
+            }
+        }
+
+        // Whatever follows the last entry is gone
+        while (cursor) {
+            const stale = cursor;
+            cursor = cursor.nextSibling;
+            this.container.removeChild(stale);
+        }
+        for (const key of this.nodes.keys()) {
+            if (!seen.has(key)) this.nodes.delete(key);
+        }
+    }
+
+    update(node, entry) {
+        const className = node.entering ? `${entry.className} entering` : entry.className;
+        if (node.entering) {
+            node.entering = false;
+            node.el.addEventListener('animationend', () => {
+                node.el.classList.remove('entering');
+                node.className = node.el.className;
+            }, { once: true });
+        }
+
+        if (node.className !== className) {
+            node.el.className = className;
+            node.className = className;
+        }
+        if (node.text !== entry.text) {
+            node.el.textContent = entry.text;
+            node.text = entry.text;
+        }
+
+        const vars = entry.vars || {};
+        for (const name of Object.keys(node.vars)) {
+            if (!(name in vars)) node.el.style.removeProperty(name);
+        }
+        for (const [name, value] of Object.entries(vars)) {
+            if (node.vars[name] !== value) node.el.style.setProperty(name, value);
+        }
+        node.vars = vars;
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CaptionRenderer;
+}
@@ -0,0 +1,353 @@
+/**
+ * Caption Room Client - Broadcast captions to remote viewers
+ * A presenter publishes its aligned words into a named room on the server;
+ * viewers subscribe and receive the recent history followed by live updates.
+ * Uses its own WebSocket, so it works in browser and server STT mode alike.
+ * Messages are validated against js/protocol.js; the socket opens with `hello`.
+ * A dropped connection is retried with backoff like SpeechClient's, and the
+ * room is joined again; the server replays its history to returning viewers.
+ */
+
+class CaptionRoomClient {
+    constructor(options = {}) {
+        this.serverUrl = options.serverUrl || 'ws://localhost:3001';
+        this.token = options.token || null; // Needed to publish when the server requires auth; viewers may omit it
+
+        // Callbacks
+        this.onCaptions = options.onCaptions || (() => { });     // {final, interim, settings?}
+        this.onSubscribed = options.onSubscribed || (() => { }); // {history, interim, settings, presenterOnline}
+        this.onPresenter = options.onPresenter || (() => { });   // online (boolean)
+        this.onRoomStatus = options.onRoomStatus || (() => { }); // {viewers}
+        this.onError = options.onError || (() => { });
+        this.onStatusChange = options.onStatusChange || (() => { }); // connecting | connected | reconnecting | disconnected
+        this.onReconnected = options.onReconnected || (() => { });   // The room has been joined again
+
+        // Reconnection (exponential backoff with jitter) and heartbeat
+        this.autoReconnect = options.autoReconnect !== false;
+        this.reconnectDelayMs = options.reconnectDelayMs || 1000;
+        this.maxReconnectDelayMs = options.maxReconnectDelayMs || 30000;
+        this.maxReconnectAttempts = options.maxReconnectAttempts ?? Infinity;
+        this.heartbeatIntervalMs = options.heartbeatIntervalMs || 10000;
+        this.heartbeatTimeoutMs = options.heartbeatTimeoutMs || 5000;
+
+        // State
+        this.ws = null;
+        this.isConnected = false;
+        this.isReconnecting = false;
+        this.closedByUser = false;
+        this.reconnectAttempts = 0;
+        this.reconnectTimer = null;
+        this.heartbeatTimer = null;
+        this.pongTimer = null;
+        this.room = null;
+        this.role = null; // 'presenter' | 'viewer'
+        this.capabilities = null;
+    }
+
+    /**
+     * Connect to the server
+     */
+    async connect() {
+        this.closedByUser = false;
+        this.onStatusChange('connecting');
+        return this.open();
+    }
+
+    /**
+     * Open the WebSocket; handlers ignore sockets that have since been replaced
+     */
+    open() {
+        return new Promise((resolve, reject) => {
+            try {
+                const ws = new WebSocket(SpeechClient.withToken(this.serverUrl, this.token));
+                this.ws = ws;
+
+                ws.onopen = () => {
+                    if (this.ws !== ws) return;
+                    console.log('[CaptionRoom] Connected to server');
+                    this.isConnected = true;
+                    this.reconnectAttempts = 0;
+                    this.send({ type: 'hello', protocol: Protocol.VERSION, client: 'prominence-subtitle-rooms' });
+                    this.startHeartbeat();
+                    this.onStatusChange('connected');
+                    resolve(true);
+                };
+
+                ws.onclose = (event) => {
+                    this.handleClose(ws, event);
+                    reject(new Error('WebSocket closed'));
+                };
+
+                ws.onerror = (error) => {
+                    console.error('[CaptionRoom] WebSocket error:', error);
+                    if (!this.isReconnecting) {
+                        this.onError('WebSocket connection failed');
+                    }
+                    reject(error);
+                };
+
+                ws.onmessage = (event) => {
+                    if (this.ws !== ws) return;
+                    this.receive(event.data);
+                };
+
+            } catch (error) {
+                console.error('[CaptionRoom] Connection error:', error);
+                this.onStatusChange('disconnected');
+                reject(error);
+            }
+        });
+    }
+
+    /**
+     * Connection lost: retry unless disconnect() was called or the server refused us
+     * (close codes 4000-4999, e.g. 4401 for a missing or expired token)
+     */
+    handleClose(ws, event = null) {
+        if (this.ws !== ws) return;
+
+        const wasConnected = this.isConnected;
+        this.ws = null;
+        this.isConnected = false;
+        this.stopHeartbeat();
+
+        const refused = event && event.code >= 4000 && event.code < 5000;
+        if (refused) {
+            console.error(`[CaptionRoom] Server closed the connection: ${event.reason} (${event.code})`);
+            this.isReconnecting = false;
+            this.onStatusChange('disconnected');
+            this.onError(event.reason || 'Connection refused by server');
+        } else if (!this.closedByUser && this.autoReconnect && this.room && (wasConnected || this.isReconnecting)) {
+            if (wasConnected) console.log('[CaptionRoom] Connection lost');
+            this.scheduleReconnect();
+        } else {
+            console.log('[CaptionRoom] Disconnected from server');
+            this.onStatusChange('disconnected');
+        }
+    }
+
+    scheduleReconnect() {
+        if (this.reconnectAttempts >= this.maxReconnectAttempts) {
+            console.error('[CaptionRoom] Giving up after', this.reconnectAttempts, 'reconnect attempts');
+            this.isReconnecting = false;
+            this.onStatusChange('disconnected');
+            this.onError('Lost connection to server');
+            return;
+        }
+
+        const backoff = Math.min(this.maxReconnectDelayMs, this.reconnectDelayMs * 2 ** this.reconnectAttempts);
+        const delay = backoff * (0.8 + Math.random() * 0.4); // Jitter so viewers don't retry in lockstep
+        this.reconnectAttempts++;
+        this.isReconnecting = true;
+        this.onStatusChange('reconnecting');
+        console.log(`[CaptionRoom] Reconnecting in ${Math.round(delay)} ms (attempt ${this.reconnectAttempts})`);
+
+        this.reconnectTimer = setTimeout(() => this.reconnect(), delay);
+    }
+
+    async reconnect() {
+        this.reconnectTimer = null;
+        try {
+            await this.open();
+        } catch (error) {
+            return; // handleClose has scheduled the next attempt
+        }
+
+        this.isReconnecting = false;
+        if (this.room) {
+            this.join(this.room, this.role, this.role === 'presenter' ? 'publish' : 'subscribe');
+        }
+        console.log('[CaptionRoom] Reconnected');
+        this.onReconnected();
+    }
+
+    /**
+     * Ping the server periodically; a missing pong means the connection is dead
+     */
+    startHeartbeat() {
+        this.stopHeartbeat();
+        this.heartbeatTimer = setInterval(() => {
+            if (this.pongTimer) return;
+
+            this.send({ type: 'ping' });
+            this.pongTimer = setTimeout(() => {
+                console.warn('[CaptionRoom] Heartbeat timed out');
+                this.pongTimer = null;
+                const ws = this.ws;
+                this.handleClose(ws); // Don't wait for the close handshake of a dead socket
+                if (ws) ws.close();
+            }, this.heartbeatTimeoutMs);
+        }, this.heartbeatIntervalMs);
+    }
+
+    stopHeartbeat() {
+        clearInterval(this.heartbeatTimer);
+        clearTimeout(this.pongTimer);
+        this.heartbeatTimer = null;
+        this.pongTimer = null;
+    }
+
+    /**
+     * Parse and validate a server message; malformed or unknown messages are skipped
+     */
+    receive(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            console.warn('[CaptionRoom] Ignoring non-JSON message');
+            return;
+        }
+
+        const invalid = Protocol.validate(data, 'server');
+        if (invalid) {
+            console.warn(`[CaptionRoom] Ignoring message: ${invalid.message}`);
+            return;
+        }
+        this.handleMessage(data);
+    }
+
+    /**
+     * Handle incoming messages from server
+     */
+    handleMessage(data) {
+        switch (data.type) {
+            case 'hello':
+                this.capabilities = data.capabilities;
+                break;
+
+            case 'pong':
+                clearTimeout(this.pongTimer);
+                this.pongTimer = null;
+                break;
+
+            case 'published':
+                console.log(`[CaptionRoom] Publishing to "${data.room}"`);
+                this.onRoomStatus({ viewers: data.viewers });
+                break;
+
+            case 'subscribed':
+                console.log(`[CaptionRoom] Watching "${data.room}" (${data.history.length} words of history)`);
+                this.onSubscribed(data);
+                break;
+
+            case 'captions':
+                this.onCaptions(data);
+                break;
+
+            case 'presenter':
+                this.onPresenter(data.online);
+                break;
+
+            case 'room-status':
+                this.onRoomStatus({ viewers: data.viewers });
+                break;
+
+            case 'error':
+                console.error(`[CaptionRoom] Server error (${data.code}):`, data.message);
+                this.onError(data.message);
+                break;
+        }
+    }
+
+    /**
+     * Join a room as its presenter
+     */
+    publish(room) {
+        this.join(room, 'presenter', 'publish');
+    }
+
+    /**
+     * Join a room as a viewer
+     */
+    subscribe(room) {
+        this.join(room, 'viewer', 'subscribe');
+    }
+
+    join(room, role, type) {
+        if (!this.isConnected) {
+            throw new Error('Not connected to server');
+        }
+        this.room = room;
+        this.role = role;
+        this.send({ type, room });
+    }
+
+    /**
+     * Presenter: send newly finalized words and the current interim words
+     * settings is only included when the display settings changed
+     */
+    sendCaptions(final, interim, settings = null) {
+        if (this.role !== 'presenter') return;
+
+        this.send({
+            type: 'captions',
+            final,
+            interim,
+            ...(settings ? { settings } : {})
+        });
+    }
+
+    send(message) {
+        if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+            this.ws.send(JSON.stringify(message));
+        }
+    }
+
+    /**
+     * Leave the room and close the connection
+     */
+    disconnect() {
+        if (this.room) {
+            this.send({ type: 'leave' });
+        }
+        this.room = null;
+        this.role = null;
+        this.closedByUser = true;
+        this.isReconnecting = false;
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        this.stopHeartbeat();
+
+        if (this.ws) {
+            this.ws.close();
+            this.ws = null;
+        }
+
+        this.isConnected = false;
+    }
+
+    /**
+     * Room name from the page URL (?view=<room>), or null
+     */
+    static viewRoomFromUrl(location = window.location) {
+        return new URLSearchParams(location.search).get('view');
+    }
+
+    /**
+     * Server for a viewer page: ?server=<ws url>, else port 3001 on the host that served the page
+     */
+    static viewerServerUrl(location = window.location) {
+        const server = new URLSearchParams(location.search).get('server');
+        if (server) return server;
+
+        const protocol = location.protocol === 'https:' ? 'wss:' : 'ws:';
+        return `${protocol}//${location.hostname || 'localhost'}:3001`;
+    }
+
+    /**
+     * Link that opens this page as a viewer of the room
+     */
+    static viewerUrl(room, location = window.location) {
+        const url = new URL(location.href);
+        url.search = '';
+        url.hash = '';
+        url.searchParams.set('view', room);
+        return url.toString();
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CaptionRoomClient;
+}
@@ -0,0 +1,236 @@
+/**
+ * Composite Recorder - Records the webcam with the captions burned in
+ * Every animation frame the video is drawn onto a canvas, followed by the
+ * subtitle elements exactly as renderSubtitles laid them out: position,
+ * size, weight, colour, letter-spacing and transform are read back from the
+ * DOM, so the recording matches the screen. The canvas stream and the mic
+ * audio are captured with MediaRecorder into a WebM file.
+ */
+
+class CompositeRecorder {
+    constructor(options = {}) {
+        this.videoWrapper = options.videoWrapper;             // Element the layout is measured against
+        this.subtitleEl = options.subtitleEl;                 // Container of the rendered words
+        this.getVideo = options.getVideo || (() => null);     // Video element to draw (webcam or file)
+        this.getAudioTracks = options.getAudioTracks || (() => []);
+
+        this.width = options.width || 1280;
+        this.height = options.height || 720;
+        this.fps = options.fps || 30;
+        this.videoBitsPerSecond = options.videoBitsPerSecond || 5000000;
+
+        // State
+        this.canvas = null;
+        this.ctx = null;
+        this.recorder = null;
+        this.chunks = [];
+        this.frameRequest = null;
+        this.startTime = 0;
+    }
+
+    get isRecording() {
+        return this.recorder !== null && this.recorder.state === 'recording';
+    }
+
+    /**
+     * Elapsed recording time in milliseconds
+     */
+    get elapsedMs() {
+        return this.isRecording ? performance.now() - this.startTime : 0;
+    }
+
+    /**
+     * First WebM variant this browser can record
+     */
+    static pickMimeType() {
+        const candidates = ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm'];
+        return candidates.find(type => MediaRecorder.isTypeSupported(type)) || '';
+    }
+
+    /**
+     * Start compositing and recording
+     */
+    start() {
+        if (this.isRecording) return;
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = this.width;
+        this.canvas.height = this.height;
+        this.ctx = this.canvas.getContext('2d');
+
+        const stream = this.canvas.captureStream(this.fps);
+        for (const track of this.getAudioTracks()) {
+            stream.addTrack(track.clone());
+        }
+
+        const mimeType = CompositeRecorder.pickMimeType();
+        this.recorder = new MediaRecorder(stream, {
+            ...(mimeType ? { mimeType } : {}),
+            videoBitsPerSecond: this.videoBitsPerSecond
+        });
+        this.chunks = [];
+        this.recorder.ondataavailable = (event) => {
+            if (event.data.size > 0) {
+                this.chunks.push(event.data);
+            }
+        };
+
+        const loop = () => {
+            this.drawFrame();
+            this.frameRequest = requestAnimationFrame(loop);
+        };
+        loop();
+
+        this.recorder.start(1000); // Collect data every second so a crash loses little
+        this.startTime = performance.now();
+        console.log(`[Recorder] Recording ${this.width}x${this.height} @ ${this.fps} fps (${this.recorder.mimeType})`);
+    }
+
+    /**
+     * Stop recording; resolves with the WebM blob
+     */
+    stop() {
+        return new Promise((resolve) => {
+            if (!this.recorder) {
+                resolve(null);
+                return;
+            }
+
+            const recorder = this.recorder;
+            recorder.onstop = () => {
+                const blob = new Blob(this.chunks, { type: recorder.mimeType || 'video/webm' });
+                recorder.stream.getTracks().forEach(track => track.stop());
+                this.chunks = [];
+                console.log(`[Recorder] Stopped: ${(blob.size / 1048576).toFixed(1)} MB`);
+                resolve(blob);
+            };
+
+            cancelAnimationFrame(this.frameRequest);
+            this.frameRequest = null;
+            recorder.stop();
+            this.recorder = null;
+        });
+    }
+
+    /**
+     * Draw one composited frame
+     */
+    drawFrame() {
+        const ctx = this.ctx;
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, this.width, this.height);
+
+        const video = this.getVideo();
+        if (video && video.readyState >= 2 && video.videoWidth > 0) {
+            this.drawVideo(video);
+        }
+
+        this.drawSubtitles();
+    }
+
+    /**
+     * Draw the video scaled to cover the frame (object-fit: cover)
+     */
+    drawVideo(video) {
+        const ctx = this.ctx;
+        const scale = Math.max(this.width / video.videoWidth, this.height / video.videoHeight);
+        const w = video.videoWidth * scale;
+        const h = video.videoHeight * scale;
+
+        ctx.save();
+        if (video.classList.contains('mirror')) {
+            ctx.translate(this.width, 0);
+            ctx.scale(-1, 1);
+        }
+        ctx.drawImage(video, (this.width - w) / 2, (this.height - h) / 2, w, h);
+        ctx.restore();
+    }
+
+    /**
+     * Draw the subtitle overlay and words where the page shows them
+     */
+    drawSubtitles() {
+        const ctx = this.ctx;
+        const frame = this.videoWrapper.getBoundingClientRect();
+        if (frame.width === 0 || frame.height === 0) return;
+
+        const sx = this.width / frame.width;
+        const sy = this.height / frame.height;
+
+        // Shading behind the captions (.subtitle-overlay gradient)
+        const overlay = this.subtitleEl.parentElement;
+        if (overlay && getComputedStyle(overlay).backgroundImage !== 'none') {
+            const rect = overlay.getBoundingClientRect();
+            const top = (rect.top - frame.top) * sy;
+            const bottom = (rect.bottom - frame.top) * sy;
+            const gradient = ctx.createLinearGradient(0, bottom, 0, top);
+            gradient.addColorStop(0, 'rgba(0, 0, 0, 0.7)');
+            gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
+            ctx.fillStyle = gradient;
+            ctx.fillRect((rect.left - frame.left) * sx, top, rect.width * sx, bottom - top);
+        }
+
+        for (const el of this.subtitleEl.children) {
+            this.drawTextElement(el, frame, sx, sy);
+        }
+    }
+
+    /**
+     * Draw one word or label with its computed style
+     */
+    drawTextElement(el, frame, sx, sy) {
+        const ctx = this.ctx;
+        const style = getComputedStyle(el);
+        const rect = el.getBoundingClientRect();
+        if (rect.width === 0 || style.display === 'none') return;
+
+        const cx = (rect.left - frame.left + rect.width / 2) * sx;
+        const cy = (rect.top - frame.top + rect.height / 2) * sy;
+        const fontSize = parseFloat(style.fontSize) * sy;
+
+        ctx.save();
+        ctx.globalAlpha = parseFloat(style.opacity);
+
+        // Baseline shift / slant (the rect already contains the translation)
+        const matrix = style.transform && style.transform !== 'none' ? new DOMMatrix(style.transform) : null;
+        ctx.translate(cx, cy);
+        if (matrix) {
+            ctx.transform(matrix.a, matrix.b, matrix.c, matrix.d, 0, 0);
+        }
+
+        // Label box
+        if (style.backgroundColor && !/rgba\(.*,\s*0\)$/.test(style.backgroundColor) && style.backgroundColor !== 'transparent') {
+            const w = (matrix ? el.offsetWidth : rect.width) * sx;
+            const h = (matrix ? el.offsetHeight : rect.height) * sy;
+            ctx.fillStyle = style.backgroundColor;
+            ctx.fillRect(-w / 2, -h / 2, w, h);
+        }
+
+        ctx.font = `${style.fontStyle} ${style.fontWeight} ${fontSize}px ${style.fontFamily}`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        if ('letterSpacing' in ctx) {
+            const spacing = parseFloat(style.letterSpacing);
+            ctx.letterSpacing = `${Number.isFinite(spacing) ? spacing * sx : 0}px`;
+        }
+
+        // The page outlines words with a text-shadow in the outline colour
+        const outline = (style.textShadow.match(/rgba?\([^)]*\)|#[0-9a-f]+/i) || [])[0];
+        if (outline && style.textShadow !== 'none') {
+            ctx.strokeStyle = outline;
+            ctx.lineWidth = 4 * sy;
+            ctx.lineJoin = 'round';
+            ctx.strokeText(el.textContent, 0, 0);
+        }
+
+        ctx.fillStyle = style.color;
+        ctx.fillText(el.textContent, 0, 0);
+        ctx.restore();
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CompositeRecorder;
+}
@@ -0,0 +1,347 @@
+/**
+ * Forced Aligner - Matches recognized words to detected syllable onsets
+ * Used in browser mode, where the Web Speech API gives words but no timing.
+ *
+ * Each word's expected syllable count (language-aware) and the onsets
+ * reported by the Wasm detector define an HMM-like segmentation: every word
+ * takes a contiguous run of syllables, stray onsets before/after the
+ * utterance may be skipped as noise. Viterbi picks the best segmentation.
+ * A word's confidence rests on its own evidence: how well the number of
+ * onsets it got matches its expected count (none at all means no
+ * confidence), times the forward-backward probability, averaged over those
+ * onsets, that they belong to this word rather than a neighbour. Uncertain
+ * boundaries elsewhere in the utterance don't lower it.
+ */
+
+class ForcedAligner {
+    constructor(options = {}) {
+        this.language = options.language || 'en-US';
+        this.msPerSyllable = options.msPerSyllable || 200; // Average syllable duration
+        this.pauseMs = options.pauseMs || 350;              // Gaps longer than this are pauses
+        this.maxExtraSyllables = 3;                         // Run length limit above the expected count
+
+        // Log-probability weights
+        this.skipLogProb = Math.log(0.15);  // One onset outside the utterance (breath, noise)
+        this.pauseInWordLogProb = -2.5;     // A pause inside a word
+        this.pauseAtBoundaryLogProb = 1.0;  // A pause between words (bonus)
+    }
+
+    /**
+     * Set the recognition language (BCP 47, e.g. 'en-US', 'ja-JP')
+     */
+    setLanguage(language) {
+        this.language = language;
+    }
+
+    /**
+     * Estimate the number of syllables (morae for Japanese) in a word
+     */
+    countSyllables(word) {
+        const lang = this.language.split('-')[0].toLowerCase();
+
+        // Non-Latin scripts are counted per character
+        const han = (word.match(/\p{Script=Han}/gu) || []).length;
+        const hangul = (word.match(/\p{Script=Hangul}/gu) || []).length;
+        const kana = (word.match(/[\p{Script=Hiragana}\p{Script=Katakana}ー]/gu) || []).length;
+        if (han + hangul + kana > 0) {
+            // Small kana (ゃ, ュ, ...) merge with the preceding mora
+            const smallKana = (word.match(/[ぁぃぅぇぉゃゅょゎァィゥェォャュョヮ]/g) || []).length;
+            // A kanji averages about two morae in Japanese, one syllable in Chinese
+            const perHan = lang === 'ja' ? 2 : 1;
+            return Math.max(1, han * perHan + hangul + kana - smallKana);
+        }
+
+        // Digits are read out; roughly 1.5 syllables per digit
+        const digits = (word.match(/\d/g) || []).length;
+        const letters = word.toLowerCase().normalize('NFD').replace(/[^a-z]/g, '');
+        if (!letters) {
+            return digits > 0 ? Math.round(digits * 1.5) : 0;
+        }
+
+        let count;
+        if (lang === 'en') {
+            count = this._countEnglish(letters);
+        } else {
+            let w = letters;
+            if (lang === 'fr') {
+                // Final -e / -es / -ent are usually silent
+                w = w.replace(/(?:e|es|ent)$/, '') || letters;
+            }
+            count = (w.match(/[aeiouy]+/g) || []).length;
+        }
+
+        return Math.max(1, count) + Math.round(digits * 1.5);
+    }
+
+    /**
+     * English vowel-group heuristic with silent-e handling
+     */
+    _countEnglish(word) {
+        if (word.length <= 3) return 1;
+
+        const trimmed = word
+            .replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, '')
+            .replace(/^y/, '');
+        return (trimmed.match(/[aeiouy]+/g) || []).length;
+    }
+
+    /**
+     * Log-probability that word i spans syllables [j, k)
+     */
+    _runLogProb(expected, times, j, k) {
+        const count = k - j;
+
+        // Detectors both miss and split syllables, so allow a spread around the expected count
+        const sigma = 0.5 + 0.15 * expected;
+        let logProb = -((count - expected) ** 2) / (2 * sigma * sigma);
+
+        // The run should last about as long as its syllables
+        if (count >= 2) {
+            const span = times[k - 1] - times[j];
+            const expectedSpan = Math.max(1, count - 1) * this.msPerSyllable;
+            const spanSigma = expectedSpan * 0.6;
+            logProb -= ((span - expectedSpan) ** 2) / (2 * spanSigma * spanSigma);
+        }
+
+        for (let s = j + 1; s < k; s++) {
+            if (times[s] - times[s - 1] > this.pauseMs) {
+                logProb += this.pauseInWordLogProb;
+            }
+        }
+
+        // Words tend to start after a pause
+        if (count > 0 && j > 0 && times[j] - times[j - 1] > this.pauseMs) {
+            logProb += this.pauseAtBoundaryLogProb;
+        }
+
+        return logProb;
+    }
+
+    /**
+     * Align words to syllable events
+     * syllables: [{timestamp, score, isProminent}] sorted by time
+     * Returns one entry per word: {text, expectedSyllables, events, startTime, endTime, confidence}
+     * startTime/endTime are in the syllables' timeline (null when there are no syllables)
+     * options.openEnd: onsets after the last word belong to words that follow, not noise
+     */
+    align(words, syllables, options = {}) {
+        const numWords = words.length;
+        const numSyllables = syllables.length;
+        const expected = words.map(text => this.countSyllables(text));
+
+        if (numWords === 0) return [];
+        if (numSyllables === 0) {
+            return words.map((text, i) => ({
+                text,
+                expectedSyllables: expected[i],
+                events: [],
+                startTime: null,
+                endTime: null,
+                confidence: 0
+            }));
+        }
+
+        const times = syllables.map(s => s.timestamp);
+        const maxRun = expected.map(n => n + this.maxExtraSyllables);
+
+        // Precompute run scores: runs[i][j] = Map(k -> logProb)
+        const runs = expected.map((n, i) => {
+            const rows = [];
+            for (let j = 0; j <= numSyllables; j++) {
+                const row = new Map();
+                for (let k = j; k <= Math.min(numSyllables, j + maxRun[i]); k++) {
+                    row.set(k, this._runLogProb(n, times, j, k));
+                }
+                rows.push(row);
+            }
+            return rows;
+        });
+
+        // Forward (alpha), Viterbi (delta + backpointers)
+        const alpha = [];
+        const delta = [];
+        const back = [];
+        alpha[0] = [];
+        delta[0] = [];
+        for (let k = 0; k <= numSyllables; k++) {
+            alpha[0][k] = k * this.skipLogProb; // Leading onsets skipped as noise
+            delta[0][k] = alpha[0][k];
+        }
+
+        for (let i = 0; i < numWords; i++) {
+            alpha[i + 1] = new Array(numSyllables + 1).fill(-Infinity);
+            delta[i + 1] = new Array(numSyllables + 1).fill(-Infinity);
+            back[i] = new Array(numSyllables + 1).fill(-1);
+
+            for (let j = 0; j <= numSyllables; j++) {
+                if (alpha[i][j] === -Infinity) continue;
+                for (const [k, logProb] of runs[i][j]) {
+                    alpha[i + 1][k] = ForcedAligner.logAdd(alpha[i + 1][k], alpha[i][j] + logProb);
+                    const score = delta[i][j] + logProb;
+                    if (score > delta[i + 1][k]) {
+                        delta[i + 1][k] = score;
+                        back[i][k] = j;
+                    }
+                }
+            }
+        }
+
+        // Backward (beta); trailing onsets skipped as noise
+        const beta = [];
+        beta[numWords] = [];
+        for (let k = 0; k <= numSyllables; k++) {
+            beta[numWords][k] = options.openEnd ? 0 : (numSyllables - k) * this.skipLogProb;
+        }
+        for (let i = numWords - 1; i >= 0; i--) {
+            beta[i] = new Array(numSyllables + 1).fill(-Infinity);
+            for (let j = 0; j <= numSyllables; j++) {
+                for (const [k, logProb] of runs[i][j]) {
+                    beta[i][j] = ForcedAligner.logAdd(beta[i][j], logProb + beta[i + 1][k]);
+                }
+            }
+        }
+
+        let total = -Infinity;
+        let bestEnd = 0;
+        for (let k = 0; k <= numSyllables; k++) {
+            const final = alpha[numWords][k] + beta[numWords][k];
+            total = ForcedAligner.logAdd(total, final);
+            if (delta[numWords][k] + beta[numWords][k] > delta[numWords][bestEnd] + beta[numWords][bestEnd]) {
+                bestEnd = k;
+            }
+        }
+
+        // Backtrack the Viterbi path into [start, end) runs
+        const bounds = new Array(numWords);
+        let end = bestEnd;
+        for (let i = numWords - 1; i >= 0; i--) {
+            const start = back[i][end];
+            bounds[i] = [start, end];
+            end = start;
+        }
+
+        const aligned = words.map((text, i) => {
+            const [j, k] = bounds[i];
+            const events = syllables.slice(j, k);
+
+            return {
+                text,
+                expectedSyllables: expected[i],
+                events,
+                startTime: events.length > 0 ? events[0].timestamp : null,
+                endTime: events.length > 0 ? events[events.length - 1].timestamp + this.msPerSyllable : null,
+                confidence: this._confidence(i, j, k, expected[i], runs, alpha, beta, total)
+            };
+        });
+
+        this._fillTimings(aligned);
+        return aligned;
+    }
+
+    /**
+     * Align a long transcript (a whole recording) window by window
+     * One pass over everything grows with words x onsets. Each window aligns windowWords
+     * words to the onsets that follow (with room to spare, the rest belonging to later
+     * words) and keeps the first two thirds; the next window starts where they ended.
+     */
+    alignRecording(words, syllables, windowWords = 30) {
+        const expected = words.map(text => this.countSyllables(text));
+        const totalExpected = expected.reduce((sum, n) => sum + n, 0);
+        const rate = totalExpected > 0 ? syllables.length / totalExpected : 1; // Detector onsets per expected syllable
+
+        const aligned = [];
+        let word = 0;
+        let onset = 0;
+        while (word < words.length) {
+            const count = Math.min(windowWords, words.length - word);
+            const keep = word + count >= words.length ? count : Math.ceil(count * 2 / 3);
+            const windowExpected = expected.slice(word, word + count).reduce((sum, n) => sum + n, 0);
+            const onsetEnd = Math.min(syllables.length, onset + Math.ceil(windowExpected * rate * 1.5) + this.maxExtraSyllables);
+
+            // Onsets past the window's words belong to later words (or speech after the transcript)
+            const windowSyllables = syllables.slice(onset, onsetEnd);
+            const kept = this.align(words.slice(word, word + count), windowSyllables, { openEnd: true }).slice(0, keep);
+            aligned.push(...kept);
+
+            // The next window starts after the last onset a kept word took
+            const lastEvent = kept.reduce((last, a) => a.events.length > 0 ? a.events[a.events.length - 1] : last, null);
+            if (lastEvent) {
+                onset = syllables.indexOf(lastEvent, onset) + 1;
+            }
+            word += keep;
+        }
+
+        // Windows without onsets: words follow each other at the average syllable rate
+        this._fillTimings(aligned);
+        let cursor = 0;
+        for (const a of aligned) {
+            if (a.startTime === null) {
+                a.startTime = cursor;
+                a.endTime = cursor + a.expectedSyllables * this.msPerSyllable;
+            }
+            cursor = a.endTime;
+        }
+        return aligned;
+    }
+
+    /**
+     * Confidence that word i's syllables are [j, k): count fit x mean onset posterior
+     */
+    _confidence(i, j, k, expected, runs, alpha, beta, total) {
+        const count = k - j;
+        if (count === 0) return 0;
+
+        const sigma = 0.5 + 0.15 * expected;
+        const countFit = Math.exp(-((count - expected) ** 2) / (2 * sigma * sigma));
+
+        // Posterior that onset s belongs to word i, summed over every run of word i covering it
+        const mass = new Array(count).fill(0);
+        for (let start = Math.max(0, j - this.maxExtraSyllables - expected); start < k; start++) {
+            if (alpha[i][start] === -Infinity) continue;
+            for (const [end, logProb] of runs[i][start]) {
+                if (end <= j) continue;
+                const posterior = Math.exp(alpha[i][start] + logProb + beta[i + 1][end] - total);
+                for (let s = Math.max(start, j); s < Math.min(end, k); s++) {
+                    mass[s - j] += posterior;
+                }
+            }
+        }
+        const support = mass.reduce((sum, p) => sum + p, 0) / count;
+
+        return Math.min(1, Math.max(0, countFit * support));
+    }
+
+    /**
+     * Give words without syllables the gap between their neighbours and keep words from overlapping
+     */
+    _fillTimings(aligned) {
+        for (let i = 0; i < aligned.length; i++) {
+            const word = aligned[i];
+            const next = aligned.slice(i + 1).find(w => w.startTime !== null);
+
+            if (word.startTime === null) {
+                const prevEnd = i > 0 ? aligned[i - 1].endTime : null;
+                word.startTime = prevEnd ?? (next ? next.startTime : null);
+                word.endTime = word.startTime;
+            }
+            if (next && word.endTime > next.startTime) {
+                word.endTime = Math.max(word.startTime, next.startTime);
+            }
+        }
+    }
+
+    /**
+     * log(exp(a) + exp(b)) without underflow
+     */
+    static logAdd(a, b) {
+        if (a === -Infinity) return b;
+        if (b === -Infinity) return a;
+        const max = Math.max(a, b);
+        return max + Math.log(Math.exp(a - max) + Math.exp(b - max));
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ForcedAligner;
+}
@@ -0,0 +1,124 @@
+/**
+ * Media Clock - Maps AudioContext time onto the performance.now() timeline
+ * The audio hardware clock and the system clock drift apart slowly, so the
+ * mapping is refit from periodic (currentTime, performance.now()) pairs:
+ * a least-squares line over a sliding window gives offset and drift.
+ */
+
+class MediaClock {
+    constructor(audioContext, options = {}) {
+        this.audioContext = audioContext;
+        this.sampleIntervalMs = options.sampleIntervalMs || 1000;
+        this.maxSamples = options.maxSamples || 120;
+
+        // Capture latency (mic -> AudioContext), subtracted so times refer to the
+        // moment the sound was made rather than when it reached the graph
+        this.inputLatencyMs = options.inputLatencyMs || 0;
+
+        // Fit: perfTime = offsetMs + contextMs * (1 + drift)
+        this.samples = [];
+        this.offsetMs = 0;
+        this.drift = 0;
+        this.timer = null;
+    }
+
+    /**
+     * Start sampling the two clocks
+     */
+    start() {
+        this.stop();
+        this.samples = [];
+        this.sample();
+        this.timer = setInterval(() => this.sample(), this.sampleIntervalMs);
+    }
+
+    /**
+     * Stop sampling (the last fit stays usable)
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Record one pair of readings and refit
+     */
+    sample() {
+        if (!this.audioContext || this.audioContext.state !== 'running') return;
+
+        // getOutputTimestamp pairs the two clocks atomically where supported
+        let contextMs;
+        let perfMs;
+        if (typeof this.audioContext.getOutputTimestamp === 'function') {
+            const stamp = this.audioContext.getOutputTimestamp();
+            contextMs = stamp.contextTime * 1000;
+            perfMs = stamp.performanceTime;
+        }
+        if (!contextMs || !perfMs) {
+            contextMs = this.audioContext.currentTime * 1000;
+            perfMs = performance.now();
+        }
+
+        this.samples.push({ contextMs, perfMs });
+        if (this.samples.length > this.maxSamples) {
+            this.samples.shift();
+        }
+        this.fit();
+    }
+
+    /**
+     * Least-squares line through the samples
+     */
+    fit() {
+        const n = this.samples.length;
+        if (n === 0) return;
+
+        const meanContext = this.samples.reduce((sum, s) => sum + s.contextMs, 0) / n;
+        const meanOffset = this.samples.reduce((sum, s) => sum + (s.perfMs - s.contextMs), 0) / n;
+
+        // Drift needs a few seconds of samples before the slope means anything
+        let drift = 0;
+        if (n >= 5) {
+            let num = 0;
+            let den = 0;
+            for (const s of this.samples) {
+                const dx = s.contextMs - meanContext;
+                num += dx * ((s.perfMs - s.contextMs) - meanOffset);
+                den += dx * dx;
+            }
+            drift = den > 0 ? num / den : 0;
+        }
+
+        this.drift = drift;
+        this.offsetMs = meanOffset - drift * meanContext;
+    }
+
+    /**
+     * Convert an AudioContext time (seconds) to performance.now() milliseconds
+     */
+    toPerformanceTime(contextTime) {
+        if (this.samples.length === 0) {
+            this.sample();
+        }
+        if (this.samples.length === 0) {
+            return performance.now();
+        }
+
+        const contextMs = contextTime * 1000;
+        return contextMs + this.offsetMs + this.drift * contextMs - this.inputLatencyMs;
+    }
+
+    /**
+     * Drift between the audio and system clocks in parts per million
+     */
+    get driftPpm() {
+        return this.drift * 1e6;
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MediaClock;
+}
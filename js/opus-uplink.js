@@ -0,0 +1,211 @@
+/**
+ * Opus Uplink - Compresses the STT uplink to Ogg Opus with WebCodecs
+ * The capture worklet's 16 kHz Int16 frames are encoded with AudioEncoder
+ * (about 24 kbps instead of 256 kbps LINEAR16) and packed into Ogg pages
+ * (RFC 7845). Every page is sent as one message together with the capture
+ * time of its first packet, so pages can be anchored, ring-buffered and
+ * replayed after a reconnect exactly like PCM frames. The two header pages
+ * (OpusHead, OpusTags) start every server stream.
+ */
+
+const OPUS_PRE_SKIP = 312; // libopus encoder lookahead in 48 kHz samples
+
+class OpusUplink {
+    constructor(options = {}) {
+        this.sampleRate = options.sampleRate || 16000;
+        this.bitrate = options.bitrate || 24000;
+        this.packetsPerPage = options.packetsPerPage || 10;     // 10 x 20 ms = one page every 200 ms
+        this.onPage = options.onPage || (() => { });            // (ArrayBuffer, contextTime, duration)
+        this.onError = options.onError || (() => { });
+
+        // State
+        this.encoder = null;
+        this.serial = Math.floor(Math.random() * 0xffffffff);
+        this.sequence = 0;
+        this.granule = 0;         // 48 kHz samples encoded so far
+        this.packets = [];
+        this.pageStartTime = null;
+        this.pageDuration = 0;
+    }
+
+    static config(sampleRate, bitrate) {
+        return { codec: 'opus', sampleRate, numberOfChannels: 1, bitrate };
+    }
+
+    /**
+     * Whether this browser can encode Opus with WebCodecs
+     */
+    static async isSupported(sampleRate = 16000, bitrate = 24000) {
+        if (typeof AudioEncoder === 'undefined') return false;
+        try {
+            const support = await AudioEncoder.isConfigSupported(OpusUplink.config(sampleRate, bitrate));
+            return support.supported === true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    start() {
+        this.encoder = new AudioEncoder({
+            output: (chunk) => this.handlePacket(chunk),
+            error: (error) => {
+                console.error('[OpusUplink] Encoder error:', error);
+                this.onError(error);
+            }
+        });
+        this.encoder.configure(OpusUplink.config(this.sampleRate, this.bitrate));
+        console.log(`[OpusUplink] Encoding ${this.sampleRate} Hz mono at ${this.bitrate / 1000} kbps`);
+    }
+
+    /**
+     * Encode one Int16 frame captured at contextTime (AudioContext seconds)
+     */
+    encode(samples, contextTime) {
+        if (!this.encoder || this.encoder.state !== 'configured') return;
+
+        const data = new AudioData({
+            format: 's16',
+            sampleRate: this.sampleRate,
+            numberOfFrames: samples.length,
+            numberOfChannels: 1,
+            timestamp: Math.round(contextTime * 1e6),
+            data: samples
+        });
+        this.encoder.encode(data);
+        data.close();
+    }
+
+    handlePacket(chunk) {
+        const packet = new Uint8Array(chunk.byteLength);
+        chunk.copyTo(packet);
+
+        const durationUs = chunk.duration || 20000;
+        if (this.pageStartTime === null) {
+            this.pageStartTime = chunk.timestamp / 1e6;
+        }
+        this.packets.push(packet);
+        this.pageDuration += durationUs / 1e6;
+        this.granule += Math.round(durationUs * 48 / 1000);
+
+        if (this.packets.length >= this.packetsPerPage) {
+            this.flushPage();
+        }
+    }
+
+    flushPage() {
+        if (this.packets.length === 0) return;
+
+        const page = this.buildPage(this.packets, this.granule, 0);
+        this.onPage(page.buffer, this.pageStartTime, this.pageDuration);
+        this.packets = [];
+        this.pageStartTime = null;
+        this.pageDuration = 0;
+    }
+
+    /**
+     * OpusHead and OpusTags pages that open a stream
+     */
+    headerPages() {
+        const head = new Uint8Array(19);
+        const view = new DataView(head.buffer);
+        head.set(OpusUplink.ascii('OpusHead'));
+        head[8] = 1;                                  // Version
+        head[9] = 1;                                  // Channels
+        view.setUint16(10, OPUS_PRE_SKIP, true);
+        view.setUint32(12, this.sampleRate, true);    // Original input rate
+        view.setInt16(16, 0, true);                   // Output gain
+        head[18] = 0;                                 // Mapping family: mono/stereo
+
+        const vendor = OpusUplink.ascii('prominence-subtitle');
+        const tags = new Uint8Array(8 + 4 + vendor.length + 4);
+        const tagsView = new DataView(tags.buffer);
+        tags.set(OpusUplink.ascii('OpusTags'));
+        tagsView.setUint32(8, vendor.length, true);
+        tags.set(vendor, 12);
+        tagsView.setUint32(12 + vendor.length, 0, true); // No comments
+
+        return [
+            this.buildPage([head], 0, 0x02).buffer,   // Beginning of stream
+            this.buildPage([tags], 0, 0).buffer
+        ];
+    }
+
+    /**
+     * One Ogg page holding whole packets
+     */
+    buildPage(packets, granule, headerType) {
+        const lacing = [];
+        for (const packet of packets) {
+            for (let remaining = packet.length; ; remaining -= 255) {
+                lacing.push(Math.min(remaining, 255));
+                if (remaining < 255) break;
+            }
+        }
+
+        const bodyLength = packets.reduce((sum, p) => sum + p.length, 0);
+        const page = new Uint8Array(27 + lacing.length + bodyLength);
+        const view = new DataView(page.buffer);
+
+        page.set(OpusUplink.ascii('OggS'));
+        page[4] = 0;                                  // Version
+        page[5] = headerType;
+        view.setBigUint64(6, BigInt(granule), true);
+        view.setUint32(14, this.serial, true);
+        view.setUint32(18, this.sequence++, true);
+        page[26] = lacing.length;
+        page.set(lacing, 27);
+
+        let offset = 27 + lacing.length;
+        for (const packet of packets) {
+            page.set(packet, offset);
+            offset += packet.length;
+        }
+
+        view.setUint32(22, OpusUplink.crc32(page), true);
+        return page;
+    }
+
+    /**
+     * Release the encoder (pending packets are dropped)
+     */
+    stop() {
+        if (this.encoder && this.encoder.state !== 'closed') {
+            this.encoder.close();
+        }
+        this.encoder = null;
+        this.packets = [];
+        this.pageStartTime = null;
+        this.pageDuration = 0;
+    }
+
+    static ascii(text) {
+        return Uint8Array.from(text, c => c.charCodeAt(0));
+    }
+
+    /**
+     * Ogg CRC-32 (polynomial 0x04c11db7, no reflection, zero init)
+     */
+    static crc32(bytes) {
+        if (!OpusUplink.crcTable) {
+            OpusUplink.crcTable = new Uint32Array(256);
+            for (let i = 0; i < 256; i++) {
+                let r = i << 24;
+                for (let j = 0; j < 8; j++) {
+                    r = r & 0x80000000 ? (r << 1) ^ 0x04c11db7 : r << 1;
+                }
+                OpusUplink.crcTable[i] = r >>> 0;
+            }
+        }
+
+        let crc = 0;
+        for (const byte of bytes) {
+            crc = ((crc << 8) ^ OpusUplink.crcTable[((crc >>> 24) ^ byte) & 0xff]) >>> 0;
+        }
+        return crc;
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OpusUplink;
+}
@@ -0,0 +1,98 @@
+/**
+ * Overlay Options - Streaming overlay mode (?overlay=1) configured by URL
+ * The page becomes a transparent, controls-free caption layer that OBS and
+ * similar tools can use as a browser source. Captions come from the local
+ * pipeline, or from a broadcast room when ?view=<room> is also given.
+ *
+ * Parameters (all optional):
+ *   position  bottom | top | middle             (bottom)
+ *   align     center | left | right             (center)
+ *   safe      safe-area inset, % of the frame   (5)
+ *   width     max caption width, % of the frame (90)
+ *   size      base font size in px              (profile / 24)
+ *   font      font family                       (Inter)
+ *   color     text colour, CSS or hex w/o '#'   (white)
+ *   outline   outline colour                    (black)
+ *   bg        caption box background           (none)
+ *   legend    1 shows the prosody legend        (0)
+ *   captions  roll-up | pop-on                  (profile / roll-up)
+ *   lines     caption lines, 1-4                (profile / 2)
+ *   stt       browser | server                  (browser)
+ */
+
+const OVERLAY_POSITIONS = ['bottom', 'top', 'middle'];
+const OVERLAY_ALIGNS = ['center', 'left', 'right'];
+const OVERLAY_CAPTION_MODES = ['roll-up', 'pop-on'];
+
+class OverlayOptions {
+    constructor(params) {
+        this.position = OVERLAY_POSITIONS.includes(params.get('position')) ? params.get('position') : 'bottom';
+        this.align = OVERLAY_ALIGNS.includes(params.get('align')) ? params.get('align') : 'center';
+        this.safeArea = OverlayOptions.number(params.get('safe'), 0, 25, 5);
+        this.maxWidth = OverlayOptions.number(params.get('width'), 20, 100, 90);
+        this.baseSize = OverlayOptions.number(params.get('size'), 16, 128, null);
+        this.font = OverlayOptions.fontFamily(params.get('font'));
+        this.color = OverlayOptions.color(params.get('color'));
+        this.outline = OverlayOptions.color(params.get('outline'));
+        this.background = OverlayOptions.color(params.get('bg'));
+        this.showLegend = params.get('legend') === '1';
+        this.captionMode = OVERLAY_CAPTION_MODES.includes(params.get('captions')) ? params.get('captions') : null;
+        this.captionLines = OverlayOptions.number(params.get('lines'), 1, 4, null);
+        this.stt = params.get('stt') === 'server' ? 'server' : 'browser';
+    }
+
+    /**
+     * Options from the page URL, or null when overlay mode is off
+     */
+    static fromUrl(location = window.location) {
+        const params = new URLSearchParams(location.search);
+        const overlay = params.get('overlay');
+        if (overlay === null || overlay === '0' || overlay === 'false') return null;
+        return new OverlayOptions(params);
+    }
+
+    /**
+     * Switch the page into overlay mode (classes + CSS variables on <html>)
+     */
+    apply(root = document.documentElement) {
+        root.classList.add('overlay-mode', `overlay-${this.position}`, `overlay-align-${this.align}`);
+        root.classList.toggle('overlay-legend', this.showLegend);
+
+        root.style.setProperty('--overlay-safe', `${this.safeArea}%`);
+        root.style.setProperty('--overlay-max-width', `${this.maxWidth}%`);
+        if (this.font) root.style.setProperty('--overlay-font', this.font);
+        if (this.color) root.style.setProperty('--overlay-color', this.color);
+        if (this.outline) root.style.setProperty('--overlay-outline', this.outline);
+        if (this.background) {
+            root.style.setProperty('--overlay-bg', this.background);
+            root.classList.add('overlay-boxed');
+        }
+    }
+
+    static number(value, min, max, fallback) {
+        const number = parseFloat(value);
+        return Number.isFinite(number) ? Math.min(max, Math.max(min, number)) : fallback;
+    }
+
+    /**
+     * A CSS colour; bare hex digits get their '#' (it would start the URL fragment)
+     */
+    static color(value) {
+        if (!value) return null;
+        const color = /^([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(value) ? `#${value}` : value;
+        return typeof CSS !== 'undefined' && CSS.supports('color', color) ? color : null;
+    }
+
+    /**
+     * Font family list limited to names (no url() or other CSS)
+     */
+    static fontFamily(value) {
+        if (!value || !/^[\w\s,'"-]{1,100}$/.test(value)) return null;
+        return `${value}, sans-serif`;
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OverlayOptions;
+}
@@ -0,0 +1,483 @@
+/**
+ * Prominence Detector - PROMINENCE_Detection (libsyllable Wasm) wrapper
+ * Runs live microphone input or whole recordings through the detector.
+ * Works in the browser (global SyllableModule from wasm/syllable.js)
+ * and in Node.js (pass moduleFactory: require('../wasm/syllable.js')).
+ *
+ * Live detection runs in a Web Worker (js/prominence-worker.js) fed
+ * directly by the AudioWorklet, so no audio work happens on the main
+ * thread; it falls back to the main thread when workers are unavailable.
+ */
+
+// Wasm event struct layout (syllable_event_t, 72 bytes) as 32-bit indices.
+// onsetSample is an int64 count of samples fed since syllable_create.
+// f0 is computed as if the input were 44.1 kHz (see F0_REFERENCE_RATE).
+const EVENT_SIZE = 72;
+const EVENT_FIELD = {
+    onsetSampleLow: 0,
+    onsetSampleHigh: 1,
+    energy: 24 >> 2,
+    f0: 28 >> 2,
+    spectralFlux: 40 >> 2,
+    highFreqEnergy: 44 >> 2,
+    mfccDelta: 48 >> 2,
+    fusionScore: 56 >> 2
+};
+const MAX_EVENTS = 8;
+const F0_REFERENCE_RATE = 44100;
+
+class ProminenceDetectorWasm {
+    constructor(options = {}) {
+        this.config = {
+            sampleRate: options.sampleRate || 48000,
+            prominenceThreshold: options.prominenceThreshold || 0.2,
+            minSyllableDistMs: options.minSyllableDistMs || 200,
+            calibrationDurationMs: options.calibrationDurationMs || 2000,
+            minEnergyThreshold: options.minEnergyThreshold || 0.0001,
+            snrThreshold: options.snrThreshold || 6.0,
+        };
+
+        // Emscripten module factory (global in the browser, require() in Node)
+        this.moduleFactory = options.moduleFactory ||
+            (typeof SyllableModule !== 'undefined' ? SyllableModule : null);
+        this.moduleArgs = options.moduleArgs || {};
+
+        // Web Worker for live detection
+        this.useWorker = options.useWorker !== false && typeof Worker !== 'undefined';
+        this.workerUrl = options.workerUrl || 'js/prominence-worker.js';
+        this.worker = null;
+        this._pendingWorkerInit = null;
+
+        this.wasmModule = null;
+        this.detector = null;
+        this.isReady = false;
+        this.isRunning = false;
+        this.isCalibrating = false;
+
+        // Shared capture graph (see AudioPipeline); owned only if we created it
+        this.pipeline = null;
+        this.ownsPipeline = false;
+        this.frameSize = 1024;
+
+        this.lastProminenceTime = -Infinity;
+        this.samplesProcessed = 0; // Mirrors the detector's own sample counter
+        this.inputBuffer = null;
+        this.inputBufferSize = 0;
+        this.eventBuffer = null;
+        this._frameCount = 0;
+
+        this.onProminence = options.onProminence || (() => { });
+        this.onSyllable = options.onSyllable || (() => { }); // Every syllable onset, prominent or not
+        this.onFrame = options.onFrame || (() => { });
+        this.onCalibrationStart = options.onCalibrationStart || (() => { });
+        this.onCalibrationEnd = options.onCalibrationEnd || (() => { });
+        this.onError = options.onError || ((err) => console.error(err));
+        this.onReady = options.onReady || (() => { });
+    }
+
+    async init() {
+        try {
+            if (!this.moduleFactory) {
+                throw new Error('Wasm module not loaded. Check syllable.js path.');
+            }
+            this.wasmModule = await this.moduleFactory(this.moduleArgs);
+
+            this._syllable_create = this.wasmModule.cwrap('syllable_create', 'number', ['number']);
+            this._syllable_process = this.wasmModule.cwrap('syllable_process', 'number',
+                ['number', 'number', 'number', 'number', 'number']);
+            this._syllable_destroy = this.wasmModule.cwrap('syllable_destroy', null, ['number']);
+            this._syllable_set_realtime_mode = this.wasmModule.cwrap('syllable_set_realtime_mode', null, ['number', 'number']);
+            this._syllable_recalibrate = this.wasmModule.cwrap('syllable_recalibrate', null, ['number']);
+            this._syllable_is_calibrating = this.wasmModule.cwrap('syllable_is_calibrating', 'number', ['number']);
+            this._syllable_set_snr_threshold = this.wasmModule.cwrap('syllable_set_snr_threshold', null, ['number', 'number']);
+
+            this.detector = this._syllable_create(0);
+            this.samplesProcessed = 0;
+            this._syllable_set_snr_threshold(this.detector, this.config.snrThreshold);
+            this._syllable_set_realtime_mode(this.detector, 1);
+
+            if (!this.detector) {
+                throw new Error('Failed to create Wasm detector');
+            }
+
+            this.isReady = true;
+            this.onReady();
+            return true;
+        } catch (err) {
+            this.onError(err);
+            return false;
+        }
+    }
+
+    /**
+     * Change thresholds at runtime (e.g. when switching speaker profiles)
+     */
+    updateConfig(config) {
+        Object.assign(this.config, config);
+
+        if (this.worker) {
+            this.worker.postMessage({ type: 'config', config });
+        } else if (this.detector && config.snrThreshold !== undefined) {
+            this._syllable_set_snr_threshold(this.detector, this.config.snrThreshold);
+        }
+    }
+
+    /**
+     * Start live detection from the microphone
+     * Pass a shared AudioPipeline to reuse its capture graph; otherwise one is created
+     */
+    async start(pipeline = null) {
+        if (this.useWorker) {
+            try {
+                return await this._startWorker(pipeline);
+            } catch (err) {
+                console.warn('[Prominence] Worker unavailable, detecting on main thread:', err);
+                this._terminateWorker();
+                this.useWorker = false;
+            }
+        }
+
+        if (!this.isReady) {
+            const success = await this.init();
+            if (!success) return false;
+        }
+
+        try {
+            this.ownsPipeline = !pipeline;
+            this.pipeline = pipeline || new AudioPipeline({ sampleRate: this.config.sampleRate });
+
+            this._ensureInputBuffer(this.frameSize);
+            await this.pipeline.addConsumer('detector', {
+                frameSize: this.frameSize,
+                targetSampleRate: this.config.sampleRate,
+                format: 'float32',
+                onFrame: (samples, frame) => this._processAudioFrame(samples, frame)
+            });
+
+            this.isRunning = true;
+            this.startCalibration();
+
+            return true;
+        } catch (err) {
+            this.onError(err);
+            return false;
+        }
+    }
+
+    /**
+     * Start live detection inside a Web Worker
+     * The AudioWorklet posts frames straight to the worker over a MessageChannel
+     */
+    async _startWorker(pipeline) {
+        this.worker = new Worker(this.workerUrl);
+        this.worker.onmessage = (event) => this._handleWorkerMessage(event.data);
+        this.worker.onerror = (event) => {
+            const error = new Error(event.message || 'Prominence worker failed');
+            if (this._pendingWorkerInit) {
+                this._pendingWorkerInit.reject(error);
+            } else {
+                this.onError(error);
+            }
+        };
+
+        await new Promise((resolve, reject) => {
+            this._pendingWorkerInit = { resolve, reject };
+            this.worker.postMessage({
+                type: 'init',
+                config: this.config
+            });
+        });
+        this._pendingWorkerInit = null;
+
+        const channel = new MessageChannel();
+        this.worker.postMessage({ type: 'audio-port', port: channel.port2 }, [channel.port2]);
+
+        this.ownsPipeline = !pipeline;
+        this.pipeline = pipeline || new AudioPipeline({ sampleRate: this.config.sampleRate });
+        await this.pipeline.addConsumer('detector', {
+            frameSize: this.frameSize,
+            targetSampleRate: this.config.sampleRate,
+            format: 'float32',
+            port: channel.port1
+        });
+
+        this.isReady = true;
+        this.isRunning = true;
+        this.onReady();
+        this.startCalibration();
+
+        return true;
+    }
+
+    /**
+     * Messages from the detector worker
+     */
+    _handleWorkerMessage(message) {
+        switch (message.type) {
+            case 'ready':
+                this._pendingWorkerInit?.resolve();
+                break;
+
+            case 'syllable':
+                this._emitLiveSyllable(message.event);
+                break;
+
+            case 'calibration-end':
+                this._finishCalibration();
+                break;
+
+            case 'error':
+                if (this._pendingWorkerInit) {
+                    this._pendingWorkerInit.reject(new Error(message.message));
+                } else {
+                    this.onError(new Error(message.message));
+                }
+                break;
+        }
+    }
+
+    _terminateWorker() {
+        if (this.worker) {
+            this.worker.postMessage({ type: 'destroy' });
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this._pendingWorkerInit = null;
+    }
+
+    stop() {
+        this.isRunning = false;
+        this.isCalibrating = false;
+
+        if (this._calibrationCheckInterval) {
+            clearInterval(this._calibrationCheckInterval);
+        }
+        if (this.pipeline) {
+            this.pipeline.removeConsumer('detector');
+            if (this.ownsPipeline) {
+                this.pipeline.stop();
+            }
+            this.pipeline = null;
+        }
+        if (this.inputBuffer) {
+            this.wasmModule._free(this.inputBuffer);
+            this.inputBuffer = null;
+            this.inputBufferSize = 0;
+        }
+        if (this.eventBuffer) {
+            this.wasmModule._free(this.eventBuffer);
+            this.eventBuffer = null;
+        }
+    }
+
+    startCalibration() {
+        this.isCalibrating = true;
+        this.onCalibrationStart();
+
+        if (this.worker) {
+            this.worker.postMessage({ type: 'calibrate' });
+            return;
+        }
+
+        if (this._syllable_recalibrate) {
+            this._syllable_recalibrate(this.detector);
+        }
+
+        this._calibrationCheckInterval = setInterval(() => {
+            const stillCalibrating = this._syllable_is_calibrating(this.detector);
+            if (!stillCalibrating) {
+                this._finishCalibration();
+                clearInterval(this._calibrationCheckInterval);
+            }
+        }, 100);
+    }
+
+    _finishCalibration() {
+        this.isCalibrating = false;
+        this.onCalibrationEnd({});
+    }
+
+    _processAudioFrame(samples, frame) {
+        if (!this.isRunning || !this.detector || !this.wasmModule) return;
+
+        const events = this.processSamples(samples, frame.contextTime * 1000);
+        for (const event of events) {
+            this._emitLiveSyllable(event);
+        }
+    }
+
+    /**
+     * Live events are stamped in AudioContext time (ms); keep that as audioTime
+     * and convert timestamp to the performance.now() timeline used by the app
+     */
+    _emitLiveSyllable(event) {
+        const clock = this.pipeline && this.pipeline.clock;
+        const liveEvent = {
+            ...event,
+            audioTime: event.timestamp,
+            timestamp: clock ? clock.toPerformanceTime(event.timestamp / 1000) : performance.now()
+        };
+
+        this.onSyllable(liveEvent);
+        if (liveEvent.isProminent) {
+            this.onProminence(liveEvent);
+        }
+    }
+
+    /**
+     * Analyze a whole recording faster than real time
+     * Timestamps are media-relative (ms from the start of samples)
+     * Returns every prominence event that passed the thresholds, or with
+     * options.allSyllables every syllable onset (isProminent marks the rest)
+     */
+    async analyzeBuffer(samples, options = {}) {
+        if (!this.isReady) {
+            const success = await this.init();
+            if (!success) return [];
+        }
+
+        const chunkSize = options.chunkSize || 1024;
+        const onProgress = options.onProgress || (() => { });
+        const events = [];
+
+        this._syllable_set_realtime_mode(this.detector, 0);
+        this._ensureInputBuffer(chunkSize);
+        this.lastProminenceTime = -Infinity;
+
+        // Calibrate on the start of the recording, as the live pipeline does
+        this.isCalibrating = options.calibrate !== false;
+        if (this.isCalibrating) {
+            this._syllable_recalibrate(this.detector);
+        }
+
+        try {
+            for (let offset = 0; offset < samples.length; offset += chunkSize) {
+                const chunk = samples.subarray(offset, Math.min(offset + chunkSize, samples.length));
+                const syllables = this.processSamples(chunk, (offset / this.config.sampleRate) * 1000);
+                events.push(...(options.allSyllables ? syllables : syllables.filter(event => event.isProminent)));
+
+                if (this.isCalibrating && !this._syllable_is_calibrating(this.detector)) {
+                    this.isCalibrating = false;
+                }
+
+                // Yield to the UI every ~200 chunks
+                if ((offset / chunkSize) % 200 === 199) {
+                    onProgress(offset / samples.length);
+                    await new Promise(resolve => setTimeout(resolve, 0));
+                }
+            }
+        } finally {
+            this.isCalibrating = false;
+        }
+
+        onProgress(1);
+        return events;
+    }
+
+    /**
+     * Make sure the Wasm input buffer can hold numSamples floats
+     * (the event buffer is allocated once and reused for every block)
+     */
+    _ensureInputBuffer(numSamples) {
+        if (!this.eventBuffer) {
+            this.eventBuffer = this.wasmModule._malloc(MAX_EVENTS * EVENT_SIZE);
+        }
+        if (this.inputBuffer && this.inputBufferSize >= numSamples) return;
+
+        if (this.inputBuffer) {
+            this.wasmModule._free(this.inputBuffer);
+        }
+        this.inputBuffer = this.wasmModule._malloc(numSamples * 4);
+        this.inputBufferSize = numSamples;
+    }
+
+    /**
+     * Run one block of samples through the detector
+     * blockTime (ms) is the time of the block's first sample. Events are
+     * stamped at their syllable onset using the detector's sample index,
+     * which can lie in an earlier block (the detector reports with a lag).
+     * Returns every syllable with enough energy; isProminent marks the ones
+     * that passed the prominence threshold and minimum distance.
+     */
+    processSamples(inputData, blockTime) {
+        const numSamples = inputData.length;
+        const blockStartSample = this.samplesProcessed;
+        const msPerSample = 1000 / this.config.sampleRate;
+        const f0Scale = this.config.sampleRate / F0_REFERENCE_RATE;
+        const syllableEvents = [];
+
+        this._ensureInputBuffer(numSamples);
+
+        // Copy straight into the Wasm heap (HEAPF32 is re-read: memory growth replaces it)
+        this.wasmModule.HEAPF32.set(inputData, this.inputBuffer >> 2);
+
+        const numEvents = this._syllable_process(
+            this.detector,
+            this.inputBuffer,
+            numSamples,
+            this.eventBuffer,
+            MAX_EVENTS
+        );
+        this.samplesProcessed += numSamples;
+
+        if (numEvents > 0) {
+            const heap = this.wasmModule.HEAPF32;
+            const heapU32 = this.wasmModule.HEAPU32;
+
+            for (let i = 0; i < numEvents; i++) {
+                const base = (this.eventBuffer + i * EVENT_SIZE) >> 2;
+
+                const fusionScore = heap[base + EVENT_FIELD.fusionScore];
+                const energy = heap[base + EVENT_FIELD.energy];
+                const spectralFlux = heap[base + EVENT_FIELD.spectralFlux];
+
+                if (this.isCalibrating) continue;
+
+                const onsetSample = heapU32[base + EVENT_FIELD.onsetSampleLow] +
+                    heapU32[base + EVENT_FIELD.onsetSampleHigh] * 4294967296;
+                const now = blockTime + (onsetSample - blockStartSample) * msPerSample;
+                const timeSinceLastProminence = now - this.lastProminenceTime;
+
+                const hasEnoughEnergy = energy > this.config.minEnergyThreshold || spectralFlux > 0.1;
+                const passedThreshold = fusionScore > this.config.prominenceThreshold;
+                const passedTiming = timeSinceLastProminence > this.config.minSyllableDistMs;
+
+                if (!hasEnoughEnergy) continue;
+
+                const isProminent = passedThreshold && passedTiming;
+                if (isProminent) {
+                    this.lastProminenceTime = now;
+                }
+
+                syllableEvents.push({
+                    timestamp: now,
+                    fusionScore: fusionScore,
+                    isProminent: isProminent,
+                    features: {
+                        energy: energy,
+                        spectralFlux: spectralFlux,
+                        highFreqEnergy: heap[base + EVENT_FIELD.highFreqEnergy],
+                        mfccDelta: heap[base + EVENT_FIELD.mfccDelta],
+                        f0: heap[base + EVENT_FIELD.f0] * f0Scale // Hz, 0 when unvoiced
+                    }
+                });
+            }
+        }
+
+        return syllableEvents;
+    }
+
+    destroy() {
+        this.stop();
+        this._terminateWorker();
+        if (this.detector) {
+            this._syllable_destroy(this.detector);
+            this.detector = null;
+        }
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProminenceDetectorWasm;
+}
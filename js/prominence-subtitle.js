@@ -18,6 +18,10 @@ class ProminenceSubtitle {
         this.webcamEl = document.getElementById('webcam');
         this.debugCalibrationEl = document.getElementById('debug_calibration');
         this.debugProminenceEl = document.getElementById('debug_prominence');
+        this.debugAlignmentEl = document.getElementById('debug_alignment');
+
+        // Shared microphone capture (one stream for the detector and the STT uplink)
+        this.audioPipeline = null;
 
         // Prominence detector (Wasm)
         this.prominenceDetector = null;
@@ -30,13 +34,29 @@ class ProminenceSubtitle {
         this.prominenceBuffer = [];
         this.bufferWindowMs = 3000; // Keep 3 seconds of prominence events
 
+        // Every syllable onset (prominent or not), anchors for browser-mode forced alignment
+        this.syllableBuffer = [];
+        this.syllableWindowMs = 10000;
+        this.lastAlignedSyllableTime = 0;
+
         // Current display state
         this.currentWords = [];
         this.interimWords = [];
 
-        // Voice calibration state
+        // Keyed span reuse; interim words lock their prominence 600 ms after they end
+        this.captionRenderer = new CaptionRenderer(this.subtitleTextEl, { stabilityWindowMs: 600 });
+
+        // Line breaking by measured width, roll-up or pop-on (see CaptionLayout)
+        this.captionLayout = new CaptionLayout({
+            keyOf: word => this.captionRenderer.keyOf(word),
+            onExpire: () => this.renderSubtitles()
+        });
+        this.captionWidths = new Map(); // 'className|vars|text' -> px at the current font settings
+        this.captionWidthContext = null;
+        this.captionMeasureEl = null;
+
+        // Voice calibration state (see CalibrationWizard)
         this.isVoiceCalibrating = false;
-        this.calibrationScores = [];
         this.calibrationCountEl = null;
         this.totalProminenceEvents = 0;
 
@@ -44,38 +64,159 @@ class ProminenceSubtitle {
         this.settings = {
             language: 'en-US',
             baseSize: 24,
+            sensitivity: 50, // Slider position the thresholds below were derived from
             sensitivityThreshold: {
                 smallMax: 0.35,
                 normalMax: 0.65
             },
             // Calibration-derived thresholds (will be updated)
             calibratedMin: 0.2,
-            calibratedMax: 0.8
+            calibratedMax: 0.8,
+            // Optional per-speaker score curve from the calibration wizard ({knots})
+            scoreNormalization: null,
+            // Below this alignment confidence words are shown at neutral size (correct
+            // alignments score about 0.45 and up, words with missing onsets 0.3 and below)
+            minAlignmentConfidence: 0.3,
+            // 'discrete' (small/normal/large classes) or 'continuous' (interpolated)
+            renderMode: 'discrete',
+            // Continuous mode range. Sizes never go below 12pt (16px); the
+            // base size (18pt by default) sits at the middle of the score range.
+            continuous: {
+                minSize: 16,
+                maxSize: 32,
+                minWeight: 500,
+                maxWeight: 900,
+                maxLetterSpacing: 0.06 // em
+            },
+            // ProsodyEncoder preset ('prominence' keeps size-only rendering)
+            prosodyPreset: 'prominence',
+            // Speaker colours/labels, per-speaker score normalization and server diarization
+            multiSpeaker: false,
+            // Caption layout: 'roll-up' or 'pop-on', lines on screen, characters per line,
+            // and how long a line (roll-up) or caption (pop-on) stays at least
+            captions: {
+                mode: 'roll-up',
+                lines: 2,
+                maxCharsPerLine: 42,
+                minDisplayMs: 1500
+            }
+        };
+
+        // Detector tuning (part of each speaker profile)
+        this.detectorConfig = {
+            prominenceThreshold: 0.88,      // High threshold - only strong prominence
+            minSyllableDistMs: 150,
+            snrThreshold: 6.0
         };
 
+        // Named per-speaker settings, calibration and detector tuning
+        this.profileStore = new SpeakerProfileStore();
+        this.profileSelectEl = null;
+
+        // Caption units: whitespace words, or segmented words/bunsetsu for Japanese, Chinese, ...
+        this.wordSegmenter = new WordSegmenter(this.settings.language);
+
+        // Browser-mode word/syllable alignment
+        this.forcedAligner = new ForcedAligner({ language: this.settings.language });
+
+        // Guided voice calibration against prompts with known stressed words
+        this.calibrationWizard = new CalibrationWizard({ aligner: this.forcedAligner });
+
+        // Prosodic cues (loudness, pitch, lengthening) -> typographic channels
+        this.prosodyEncoder = new ProsodyEncoder();
+        this.prosodyLegendEl = document.getElementById('prosody_legend');
+
+        // Multi-speaker sessions (see SpeakerRegistry)
+        this.speakerRegistry = new SpeakerRegistry();
+        this.activeSpeakerTag = 1;       // Browser mode: chosen manually; fallback for untagged words
+        this.lastServerSpeakerTag = null; // Interim server words are untagged until the final
+        this.speakerListEl = null;
+        this.activeSpeakerSelectEl = null;
+
         // Timing
         this.lastWordTime = 0;
         this.wordTimeEstimates = []; // For post-hoc alignment
+        this.sessionStartTime = performance.now(); // Transcript times are relative to this
+        this.msPerChar = 70;            // Speaking-rate estimate for browser mode timing
+        this.recognitionLatencyMs = 500; // Web Speech finals arrive after the speech ends
+
+        // Full session transcript (currentWords only holds what is on screen or waiting for it)
+        this.transcript = new TranscriptStore({ language: this.settings.language });
 
         // Server-based speech recognition (Google Cloud STT)
+        this.serverUrl = 'ws://localhost:3001';
         this.speechClient = null;
         this.useServerSTT = false;
-        this.streamingStartTime = 0; // For aligning word timestamps with prominence
+        this.uplinkEncoding = 'LINEAR16'; // or 'OGG_OPUS' (compressed uplink, negotiated with the server)
+        this.serverToken = new URLSearchParams(window.location.search).get('token'); // Servers with AUTH_SECRET
+
+        // Caption broadcast: a presenter publishes into a room, viewer pages (?view=<room>) subscribe
+        this.captionRoom = null;
+        this.broadcastRoom = null;
+        this.isViewer = false;
+
+        // Streaming overlay mode (?overlay=1), see OverlayOptions
+        this.overlay = null;
+        this.pendingBroadcastWords = [];   // Finalized since the last update
+        this.lastBroadcastInterim = null;  // JSON of the interim words last sent
+        this.lastBroadcastSettings = null; // JSON of the settings last sent
+
+        // Alignment diagnostic: offsets (ms) from server word onsets to the
+        // nearest prominence event. A median far from 0 means the clocks disagree.
+        this.alignmentOffsets = [];
+        this.maxAlignmentSamples = 50;
+        this.alignmentWordsSeen = 0;
 
         // Server connection UI elements
         this.serverStatusIndicator = null;
         this.serverStatusText = null;
+
+        // Video recording with burned-in captions (see CompositeRecorder)
+        this.compositeRecorder = null;
+        this.recordTimer = null;
+
+        // Offline file mode (recorded media instead of the live mic)
+        this.fileMode = false;
+        this.fileAnalyzer = null;
+        this.fileWords = [];
+        this.fileTranscript = null;
+        this.fileObjectUrl = null;
+        this.filePlaybackIndex = -1;
+        this.filePlayerEl = document.getElementById('file_player');
     }
 
     /**
      * Initialize the system
      */
     async init() {
+        // Overlay mode: transparent captions-only page for OBS browser sources
+        this.overlay = OverlayOptions.fromUrl();
+        if (this.overlay) {
+            this.overlay.apply();
+        }
+        this.watchCaptionSize();
+
+        // Viewer pages only render a presenter's broadcast captions
+        const viewRoom = CaptionRoomClient.viewRoomFromUrl();
+        if (viewRoom) {
+            await this.initViewer(viewRoom);
+            return;
+        }
+
         this.setStatus('Initializing...', 'processing');
 
         try {
-            // Initialize webcam
-            await this.initWebcam();
+            // Initialize webcam (the overlay has no video behind the captions)
+            if (!this.overlay) {
+                await this.initWebcam();
+            }
+
+            // Restore the last used speaker profile before anything reads the settings
+            const profile = this.profileStore.getActive();
+            if (profile) {
+                this.applyProfile(profile);
+            }
+            this.applyOverlaySettings();
 
             // Initialize prominence detector (Wasm)
             await this.initProminenceDetector();
@@ -88,6 +229,11 @@ class ProminenceSubtitle {
 
             this.setStatus('Ready - Speak in English', 'ready');
 
+            // An overlay has no controls, so server mode is picked by URL
+            if (this.overlay && this.overlay.stt === 'server') {
+                await this.connectToServer();
+            }
+
         } catch (error) {
             console.error('Initialization error:', error);
             this.setStatus(`Error: ${error.message}`, 'error');
@@ -126,8 +272,7 @@ class ProminenceSubtitle {
 
         this.prominenceDetector = new ProminenceDetectorWasm({
             sampleRate: 48000,
-            prominenceThreshold: 0.88,      // High threshold - only strong prominence
-            minSyllableDistMs: 150,
+            ...this.detectorConfig,
             minEnergyThreshold: 0.001,
             calibrationDurationMs: 2000,
 
@@ -153,13 +298,18 @@ class ProminenceSubtitle {
                 this.handleProminenceEvent(event);
             },
 
+            onSyllable: (event) => {
+                this.handleSyllableEvent(event);
+            },
+
             onError: (error) => {
                 console.error('[Prominence] Error:', error);
             }
         });
 
-        // Start the detector (includes mic access)
-        const success = await this.prominenceDetector.start();
+        // Start the detector on the shared capture graph (includes mic access)
+        this.audioPipeline = new AudioPipeline({ sampleRate: 48000 });
+        const success = await this.prominenceDetector.start(this.audioPipeline);
         if (!success) {
             throw new Error('Failed to start prominence detector');
         }
@@ -234,7 +384,7 @@ class ProminenceSubtitle {
      * Handle demo mode prominence - adds next word on each prominence event
      */
     handleDemoProminence(event) {
-        if (!this.demoMode) return;
+        if (!this.demoMode || this.fileMode) return;
 
         // Get next demo word
         if (this.demoIndex < this.demoWords.length) {
@@ -276,9 +426,9 @@ class ProminenceSubtitle {
         const now = performance.now();
         this.totalProminenceEvents++;
 
-        // Add to buffer
+        // Add to buffer, stamped at the syllable onset (performance.now() timeline)
         this.prominenceBuffer.push({
-            timestamp: now,
+            timestamp: event.timestamp,
             score: event.fusionScore,
             features: event.features
         });
@@ -297,17 +447,36 @@ class ProminenceSubtitle {
             eventsEl.textContent = `Events: ${this.totalProminenceEvents}`;
         }
 
-        // Collect calibration data if voice calibrating
-        if (this.isVoiceCalibrating) {
-            this.calibrationScores.push(event.fusionScore);
+        // Handle demo mode if active
+        if (this.demoMode) {
+            this.handleDemoProminence(event);
+        }
+    }
+
+    /**
+     * Record a syllable onset for forced alignment
+     */
+    handleSyllableEvent(event) {
+        const syllable = {
+            timestamp: event.timestamp,
+            score: event.fusionScore,
+            isProminent: event.isProminent,
+            features: event.features
+        };
+        this.syllableBuffer.push(syllable);
+        this.prosodyEncoder.observe(syllable);
+
+        // Collect calibration data while a take is being recorded
+        if (this.calibrationWizard.isRecording) {
+            this.calibrationWizard.addSyllable(syllable);
             if (this.calibrationCountEl) {
-                this.calibrationCountEl.textContent = this.calibrationScores.length;
+                this.calibrationCountEl.textContent = this.calibrationWizard.syllables.length;
             }
         }
 
-        // Handle demo mode if active
-        if (this.demoMode) {
-            this.handleDemoProminence(event);
+        const cutoff = performance.now() - this.eventWindowMs(this.syllableWindowMs);
+        while (this.syllableBuffer.length > 0 && this.syllableBuffer[0].timestamp <= cutoff) {
+            this.syllableBuffer.shift();
         }
     }
 
@@ -315,14 +484,25 @@ class ProminenceSubtitle {
      * Prune old prominence events from buffer
      */
     pruneProminenceBuffer(now) {
-        const cutoff = now - this.bufferWindowMs;
+        const cutoff = now - this.eventWindowMs(this.bufferWindowMs);
         this.prominenceBuffer = this.prominenceBuffer.filter(e => e.timestamp > cutoff);
     }
 
+    /**
+     * How long detector events are kept: in server mode also as long as audio
+     * awaits a final result, so backfilled words after a reconnect still find theirs
+     */
+    eventWindowMs(windowMs) {
+        const unconfirmedMs = this.useServerSTT && this.speechClient ? this.speechClient.unconfirmedMs : 0;
+        return Math.max(windowMs, unconfirmedMs + 1000);
+    }
+
     /**
      * Handle speech recognition result
      */
     handleSpeechResult(event) {
+        if (this.fileMode) return;
+
         const now = performance.now();
         let finalText = '';
         let interimText = '';
@@ -342,24 +522,22 @@ class ProminenceSubtitle {
         // Process final words
         if (finalText) {
             const words = this.tokenizeWords(finalText);
-            const alignedWords = this.alignWordsWithProminence(words, now);
-
-            // Add to current words
-            this.currentWords.push(...alignedWords);
+            const alignedWords = this.alignWordsWithProminence(words, now).map(w => this.assignSpeaker(w));
+            this.captionRenderer.stabilize(this.interimWords, alignedWords, null); // Keep the interim spans
 
-            // Keep only recent words (last 2 lines worth)
-            this.trimCurrentWords();
+            // Add to current words and the session transcript
+            this.commitWords(alignedWords, now);
         }
 
         // Process interim words
         if (interimText) {
             const words = this.tokenizeWords(interimText);
             // Interim words get default prominence
-            this.interimWords = words.map(text => ({
+            this.interimWords = this.stabilizeInterim(words.map(text => this.assignSpeaker({
                 text,
                 prominenceScore: 0.5,
                 isInterim: true
-            }));
+            })));
         } else {
             this.interimWords = [];
         }
@@ -369,76 +547,342 @@ class ProminenceSubtitle {
     }
 
     /**
-     * Tokenize text into words
+     * Tokenize text into caption units (see WordSegmenter)
      */
     tokenizeWords(text) {
-        return text.trim().split(/\s+/).filter(w => w.length > 0);
+        return this.wordSegmenter.segment(text);
+    }
+
+    /**
+     * Merge server word tokens into caption units (bunsetsu for Japanese)
+     * Some Japanese models append the reading after '|' ("東京|トーキョー"); it is dropped
+     */
+    groupServerWords(words) {
+        const tokens = words.map(w => w.word.split('|')[0]);
+
+        return this.wordSegmenter.groupTokens(tokens).map(group => {
+            const first = words[group[0]];
+            const last = words[group[group.length - 1]];
+            return {
+                word: group.map(i => tokens[i]).join(this.wordSegmenter.separator),
+                startTime: first.startTime,
+                endTime: last.endTime,
+                confidence: Math.min(...group.map(i => words[i].confidence || 0)),
+                speakerTag: first.speakerTag
+            };
+        });
     }
 
     /**
-     * Align words with prominence scores (Sequential Assignment)
-     * Simple and reliable: assign recent events to words in order
+     * Align words with prominence scores (forced alignment)
+     * Words are matched to the syllable onsets detected since the last
+     * alignment; each word's score is its strongest prominent syllable.
+     * alignmentConfidence lets the renderer fall back to neutral size.
      */
     alignWordsWithProminence(words, recognitionTime) {
-        const numWords = words.length;
-        if (numWords === 0) return [];
+        if (words.length === 0) return [];
 
-        // Get recent events (within last 3 seconds, sorted by time)
-        const recentEvents = this.prominenceBuffer
-            .filter(e => recognitionTime - e.timestamp < 3000)
-            .sort((a, b) => a.timestamp - b.timestamp);
+        const syllables = this.syllableBuffer.filter(e =>
+            e.timestamp > this.lastAlignedSyllableTime && e.timestamp <= recognitionTime
+        );
+        const aligned = this.forcedAligner.align(words, syllables);
 
-        // If no events, all words get default score
-        if (recentEvents.length === 0) {
-            return words.map(text => ({
-                text,
-                prominenceScore: 0.5, // neutral default
+        // If nothing was detected, all words get the neutral default (timing is estimated)
+        if (syllables.length === 0) {
+            return aligned.map(a => ({
+                text: a.text,
+                prominenceScore: 0.5,
+                alignmentConfidence: 0,
                 isInterim: false
             }));
         }
 
-        // Sequential assignment: distribute events across words
-        // Each word gets assigned events proportionally
-        const eventsPerWord = Math.max(1, Math.floor(recentEvents.length / numWords));
-
-        return words.map((text, wordIndex) => {
-            // Get events for this word
-            const startIdx = wordIndex * eventsPerWord;
-            const endIdx = Math.min(startIdx + eventsPerWord, recentEvents.length);
-            const wordEvents = recentEvents.slice(startIdx, endIdx);
-
-            // Calculate score for this word
-            let score = 0.5; // default
-            if (wordEvents.length > 0) {
-                // Use max score among assigned events
-                score = Math.max(...wordEvents.map(e => e.score));
-            } else if (recentEvents.length > 0) {
-                // Fallback: use overall max if no specific events
-                score = Math.max(...recentEvents.map(e => e.score)) * 0.7;
+        const lastEvent = aligned.reduce((last, a) => a.events.length > 0 ? a.events[a.events.length - 1] : last, null);
+        if (lastEvent) {
+            this.lastAlignedSyllableTime = lastEvent.timestamp;
+        }
+
+        return aligned.map(a => this.wordFromAlignment(a, this.prosodyEncoder, this.sessionStartTime));
+    }
+
+    /**
+     * Caption word from a ForcedAligner entry; times become relative to timeOrigin
+     */
+    wordFromAlignment(a, prosodyEncoder, timeOrigin) {
+        const prominent = a.events.filter(e => e.isProminent);
+
+        return {
+            text: a.text,
+            // Same default as timestamp alignment for words without prominent syllables
+            prominenceScore: prominent.length > 0 ? Math.max(...prominent.map(e => e.score)) : 0.3,
+            prosody: prosodyEncoder.measure(a.events, a.endTime - a.startTime, a.expectedSyllables),
+            alignmentConfidence: a.confidence,
+            isInterim: false,
+            startTime: a.startTime - timeOrigin,
+            endTime: a.endTime - timeOrigin,
+            timing: 'aligned'
+        };
+    }
+
+    /**
+     * Finalize words: display them and record them in the session transcript
+     * Words without STT timestamps get estimated timing ending at recognitionTime
+     * Late words (audio backfilled after a reconnect) are placed by start time
+     */
+    commitWords(words, recognitionTime = performance.now()) {
+        if (words.length === 0) return;
+
+        if (words.some(w => w.startTime === undefined)) {
+            words = this.estimateWordTimings(words, recognitionTime);
+        }
+
+        const finalized = words.map(w => ({
+            ...w,
+            isInterim: false,
+            sizeLevel: this.wordToLevel(w)
+        }));
+
+        const last = this.currentWords[this.currentWords.length - 1];
+        this.currentWords.push(...finalized);
+        if (last && finalized[0].startTime < last.startTime) {
+            this.currentWords.sort((a, b) => a.startTime - b.startTime);
+        }
+        this.transcript.addWords(finalized);
+        this.observeSpeakerScores(finalized);
+        if (this.broadcastRoom) {
+            this.pendingBroadcastWords.push(...finalized);
+        }
+        this.lastWordTime = Math.max(this.lastWordTime, finalized[finalized.length - 1].endTime);
+    }
+
+    /**
+     * Tag a word with its speaker and normalize its score against that speaker's history
+     * Untagged words go to the manually selected speaker; no-op with a single speaker
+     */
+    assignSpeaker(word, speakerTag = null) {
+        if (!this.settings.multiSpeaker) return word;
+
+        const tag = speakerTag || this.activeSpeakerTag;
+        const isNewSpeaker = !this.speakerRegistry.speakers.has(tag);
+        const speaker = this.speakerRegistry.get(tag);
+        if (isNewSpeaker) {
+            this.syncSpeakerControls();
+        }
+
+        const rawScore = word.rawProminenceScore ?? word.prominenceScore;
+        return {
+            ...word,
+            speakerTag: tag,
+            speaker: speaker.label,
+            rawProminenceScore: rawScore,
+            prominenceScore: word.isInterim ? rawScore : this.speakerRegistry.normalize(tag, rawScore)
+        };
+    }
+
+    /**
+     * Add finalized words to their speakers' score histories
+     * Words shown at neutral size (unsure alignment) are left out
+     */
+    observeSpeakerScores(words) {
+        if (!this.settings.multiSpeaker) return;
+
+        for (const word of words) {
+            if (word.alignmentConfidence !== undefined &&
+                word.alignmentConfidence < this.settings.minAlignmentConfidence) continue;
+            this.speakerRegistry.observe(word.speakerTag, word.rawProminenceScore ?? word.prominenceScore);
+        }
+    }
+
+    /**
+     * Copy speaker tags from a final server result onto the words about to be committed
+     * Google tags only final results; words are matched by start time
+     */
+    applyFinalSpeakerTags(words, finalWords) {
+        if (!this.settings.multiSpeaker || !finalWords) return words;
+
+        const tagged = finalWords.filter(w => w.speakerTag).map(w => ({
+            tag: w.speakerTag,
+            startTime: (this.speechClient.toPerformanceTime(w.startTime) ?? performance.now()) - this.sessionStartTime
+        }));
+        if (tagged.length === 0) return words;
+
+        this.lastServerSpeakerTag = tagged[tagged.length - 1].tag;
+
+        return words.map(word => {
+            let nearest = null;
+            for (const candidate of tagged) {
+                const distance = Math.abs(candidate.startTime - word.startTime);
+                if (distance <= 500 && (nearest === null || distance < nearest.distance)) {
+                    nearest = { tag: candidate.tag, distance };
+                }
             }
+            return nearest ? this.assignSpeaker(word, nearest.tag) : word;
+        });
+    }
 
-            return {
-                text,
-                prominenceScore: score,
-                isInterim: false
+    /**
+     * Turn multi-speaker mode on or off
+     * A running server stream is restarted so the diarization request takes effect
+     */
+    async setMultiSpeaker(enabled) {
+        this.settings.multiSpeaker = enabled;
+        this.syncSpeakerControls();
+        this.renderSubtitles();
+        this.saveActiveProfile();
+
+        if (this.speechClient) {
+            this.speechClient.setDiarization(enabled);
+            if (this.speechClient.isStreaming) {
+                this.speechClient.stopStreaming();
+                await this.speechClient.startStreaming(this.audioPipeline);
+            }
+        }
+    }
+
+    /**
+     * Select the speaker that browser-mode words are attributed to
+     */
+    setActiveSpeaker(tag) {
+        this.activeSpeakerTag = tag;
+        this.syncSpeakerControls();
+        console.log(`[Speakers] Now speaking: ${this.speakerRegistry.labelFor(tag)}`);
+    }
+
+    /**
+     * Rename a speaker (labels of words already on screen follow)
+     */
+    renameSpeaker(tag, label) {
+        this.speakerRegistry.setLabel(tag, label);
+        for (const word of [...this.currentWords, ...this.interimWords]) {
+            if (word.speakerTag === tag) word.speaker = label;
+        }
+        this.syncSpeakerControls();
+        this.renderSubtitles();
+    }
+
+    /**
+     * Rebuild the speaker picker and chips
+     */
+    syncSpeakerControls() {
+        document.querySelectorAll('.multi-speaker-only').forEach(el => {
+            el.classList.toggle('hidden', !this.settings.multiSpeaker);
+        });
+        const checkbox = document.getElementById('checkbox_multi_speaker');
+        if (checkbox) checkbox.checked = this.settings.multiSpeaker;
+
+        // Offer at least the speakers seen so far plus one more
+        const count = Math.min(this.speakerRegistry.colors.length,
+            Math.max(2, this.activeSpeakerTag, ...this.speakerRegistry.list().map(s => s.tag + 1)));
+
+        if (this.activeSpeakerSelectEl) {
+            this.activeSpeakerSelectEl.innerHTML = '';
+            for (let tag = 1; tag <= count; tag++) {
+                const option = document.createElement('option');
+                option.value = tag;
+                option.textContent = this.speakerRegistry.labelFor(tag);
+                this.activeSpeakerSelectEl.appendChild(option);
+            }
+            this.activeSpeakerSelectEl.value = this.activeSpeakerTag;
+        }
+
+        if (this.speakerListEl) {
+            this.speakerListEl.innerHTML = '';
+            for (const speaker of this.speakerRegistry.list().filter(s => s.tag <= count)) {
+                const chip = document.createElement('button');
+                chip.className = 'speaker-chip';
+                chip.classList.toggle('active', speaker.tag === this.activeSpeakerTag);
+                chip.style.setProperty('--speaker-color', speaker.color);
+                chip.textContent = speaker.label;
+                chip.addEventListener('click', () => {
+                    const label = window.prompt('Speaker name:', speaker.label);
+                    if (label && label.trim()) {
+                        this.renameSpeaker(speaker.tag, label.trim());
+                    }
+                });
+                this.speakerListEl.appendChild(chip);
+            }
+        }
+    }
+
+    /**
+     * Estimate session-relative word timing from character counts (browser mode)
+     * Words are laid out backwards from the recognition time, but never before the previous word
+     */
+    estimateWordTimings(words, recognitionTime) {
+        // Characters say little about duration in Japanese/Chinese; count syllables (morae) there
+        const durations = words.map(w => Math.max(150, this.wordSegmenter.isSpaceless
+            ? this.forcedAligner.countSyllables(w.text) * this.forcedAligner.msPerSyllable
+            : w.text.length * this.msPerChar));
+        const total = durations.reduce((sum, d) => sum + d, 0);
+
+        const endTime = recognitionTime - this.sessionStartTime - this.recognitionLatencyMs;
+        let cursor = Math.max(this.lastWordTime, endTime - total);
+
+        return words.map((word, i) => {
+            const timed = {
+                ...word,
+                startTime: cursor,
+                endTime: cursor + durations[i],
+                timing: 'estimated'
             };
+            cursor += durations[i];
+            return timed;
         });
     }
 
     /**
-     * Trim current words to prevent overflow
+     * Size level for a word, neutral when its alignment is unsure
+     */
+    wordToLevel(word) {
+        if (word.alignmentConfidence !== undefined &&
+            word.alignmentConfidence < this.settings.minAlignmentConfidence) {
+            return 'normal';
+        }
+        return this.scoreToLevel(word.prominenceScore);
+    }
+
+    /**
+     * Continuous mode: font size, weight and letter-spacing for a word
+     * The score is normalized to the calibrated range. Interim and
+     * low-confidence words stay at the neutral middle.
      */
-    trimCurrentWords() {
-        const maxWords = 20; // Keep roughly 2 lines
-        if (this.currentWords.length > maxWords) {
-            this.currentWords = this.currentWords.slice(-maxWords);
+    wordToContinuousStyle(word) {
+        let t = 0.5;
+        const unsure = word.alignmentConfidence !== undefined &&
+            word.alignmentConfidence < this.settings.minAlignmentConfidence;
+        if (!word.isInterim && !unsure) {
+            const range = Math.max(0.01, this.settings.calibratedMax - this.settings.calibratedMin);
+            t = Math.min(1, Math.max(0, (this.normalizedScore(word.prominenceScore) - this.settings.calibratedMin) / range));
         }
+        return this.continuousStyleAt(t);
+    }
+
+    /**
+     * Interpolate the continuous style at t (0..1)
+     * 0 maps to minSize, 0.5 to the base size and 1 to maxSize
+     */
+    continuousStyleAt(t) {
+        const c = this.settings.continuous;
+        const base = this.settings.baseSize;
+        const minSize = Math.min(Math.max(c.minSize, 16), base); // 12pt floor
+        const maxSize = Math.max(c.maxSize, base);
+
+        const size = t < 0.5
+            ? minSize + (base - minSize) * (t * 2)
+            : base + (maxSize - base) * ((t - 0.5) * 2);
+
+        return {
+            size,
+            weight: Math.round(c.minWeight + (c.maxWeight - c.minWeight) * t),
+            letterSpacing: c.maxLetterSpacing * t
+        };
     }
 
     /**
      * Convert prominence score to size level
      */
     scoreToLevel(score) {
+        score = this.normalizedScore(score);
         const t = this.settings.sensitivityThreshold;
         if (score < t.smallMax) return 'small';
         if (score < t.normalMax) return 'normal';
@@ -447,32 +891,229 @@ class ProminenceSubtitle {
 
     /**
      * Render subtitles to DOM
+     * Spans are reused by word key (see CaptionRenderer), so only changes are written
      */
     renderSubtitles() {
         const allWords = [...this.currentWords, ...this.interimWords];
 
-        // Clear existing
-        this.subtitleTextEl.innerHTML = '';
+        // No gaps between units in languages written without spaces
+        const spaceless = WordSegmenter.isSpacelessLanguage(this.settings.language);
+        this.subtitleTextEl.classList.toggle('spaceless', spaceless);
+
+        // Speaker and appearance of every word, measured at its rendered size
+        const styled = new Map();
+        const measure = (words) => {
+            const items = words.map(word => {
+                const speaker = this.settings.multiSpeaker && word.speakerTag
+                    ? this.speakerRegistry.get(word.speakerTag)
+                    : null;
+                const appearance = this.wordAppearance(word, speaker);
+                styled.set(word, { speaker, appearance });
+                return { word, speaker, appearance };
+            });
+            const widths = this.measureCaptionWidths([
+                ...items.map(({ word, appearance }) => ({ text: word.text, ...appearance })),
+                ...items.map(({ speaker }) => speaker ? this.speakerLabelEntry(speaker, '') : null)
+            ]);
+            return items.map(({ speaker }, i) => ({
+                width: widths[i],
+                labelWidth: speaker ? widths[items.length + i] : 0,
+                speaker: speaker ? speaker.tag : null
+            }));
+        };
+
+        this.captionLayout.setOptions({
+            mode: this.settings.captions.mode,
+            maxLines: this.settings.captions.lines,
+            maxCharsPerLine: this.settings.captions.maxCharsPerLine,
+            minDisplayMs: this.settings.captions.minDisplayMs
+        });
+        const { lines, startIndex } = this.captionLayout.layout({
+            words: allWords,
+            committedCount: this.currentWords.length,
+            measure,
+            maxWidth: this.availableCaptionWidth(),
+            gap: parseFloat(getComputedStyle(this.subtitleTextEl).columnGap) || 0,
+            spaceless
+        });
 
-        // Create word spans
-        allWords.forEach(word => {
-            const span = document.createElement('span');
-            span.className = 'subtitle-word';
-            span.textContent = word.text;
+        // Words that scrolled off (or whose caption was replaced) are no longer needed
+        if (startIndex > 0) {
+            this.currentWords = this.currentWords.slice(startIndex);
+        }
+
+        const entries = [];
+        let previousSpeakerTag = null;
+        lines.forEach((line, i) => {
+            if (i > 0) {
+                entries.push({ key: `break-${this.captionRenderer.keyOf(line[0])}`, text: '', className: 'caption-break' });
+            }
+            for (const word of line) {
+                const key = this.captionRenderer.keyOf(word);
+                const { speaker, appearance } = styled.get(word);
+
+                // Speaker colour, with a label wherever the speaker changes
+                if (speaker && speaker.tag !== previousSpeakerTag) {
+                    entries.push(this.speakerLabelEntry(speaker, `label-${key}`));
+                }
+                previousSpeakerTag = speaker ? speaker.tag : null;
+
+                entries.push({ key, text: word.text, ...appearance });
+            }
+        });
+
+        this.captionRenderer.render(entries);
+        this.broadcastCaptions();
+    }
+
+    speakerLabelEntry(speaker, key) {
+        return {
+            key,
+            text: speaker.label,
+            className: 'speaker-label',
+            vars: { '--speaker-color': speaker.color }
+        };
+    }
+
+    /**
+     * Width a caption line may take: the overlay's content box, within the caption's max-width
+     */
+    availableCaptionWidth() {
+        const overlay = this.subtitleTextEl.parentElement;
+        const box = getComputedStyle(overlay);
+        const text = getComputedStyle(this.subtitleTextEl);
+
+        let width = overlay.clientWidth - parseFloat(box.paddingLeft) - parseFloat(box.paddingRight);
+        if (text.maxWidth.endsWith('%')) {
+            width *= parseFloat(text.maxWidth) / 100;
+        } else if (text.maxWidth.endsWith('px')) {
+            width = Math.min(width, parseFloat(text.maxWidth));
+        }
+        return width - parseFloat(text.paddingLeft) - parseFloat(text.paddingRight);
+    }
+
+    /**
+     * Rendered widths (px) of caption spans {text, className, vars}; null items measure 0
+     * Unknown ones are laid out together in a hidden copy of the caption box, then cached
+     */
+    measureCaptionWidths(items) {
+        const root = document.documentElement;
+        const context = [
+            getComputedStyle(this.subtitleTextEl).fontFamily,
+            root.style.getPropertyValue('--size-normal'),
+            Boolean(document.fullscreenElement)
+        ].join('|');
+        if (context !== this.captionWidthContext || this.captionWidths.size > 5000) {
+            this.captionWidthContext = context;
+            this.captionWidths.clear();
+        }
+
+        if (!this.captionMeasureEl) {
+            this.captionMeasureEl = document.createElement('div');
+            this.captionMeasureEl.className = 'subtitle-text caption-measure';
+            this.captionMeasureEl.setAttribute('aria-hidden', 'true');
+            this.subtitleTextEl.parentElement.appendChild(this.captionMeasureEl);
+        }
 
-            // Add size class based on prominence
-            const sizeLevel = this.scoreToLevel(word.prominenceScore);
-            span.classList.add(`size-${sizeLevel}`);
+        const cacheKey = item => `${item.className}|${JSON.stringify(item.vars || {})}|${item.text}`;
+        const pending = new Map();
+        for (const item of items) {
+            if (!item) continue;
+            const key = cacheKey(item);
+            if (this.captionWidths.has(key) || pending.has(key)) continue;
 
-            // Add interim styling if applicable
-            if (word.isInterim) {
-                span.classList.add('interim');
+            const span = document.createElement('span');
+            span.className = item.className;
+            span.textContent = item.text;
+            for (const [name, value] of Object.entries(item.vars || {})) {
+                span.style.setProperty(name, value);
             }
+            pending.set(key, span);
+            this.captionMeasureEl.appendChild(span);
+        }
+
+        // One layout pass for every new span
+        for (const [key, span] of pending) {
+            this.captionWidths.set(key, span.getBoundingClientRect().width);
+        }
+        this.captionMeasureEl.replaceChildren();
 
-            this.subtitleTextEl.appendChild(span);
+        return items.map(item => item ? this.captionWidths.get(cacheKey(item)) : 0);
+    }
+
+    /**
+     * Lay the captions out again when their box is resized or web fonts finish loading
+     */
+    watchCaptionSize() {
+        if (typeof ResizeObserver !== 'undefined') {
+            let lastWidth = null;
+            new ResizeObserver(entries => {
+                const width = Math.round(entries[0].contentRect.width);
+                if (width === lastWidth) return;
+                lastWidth = width;
+                this.renderSubtitles();
+            }).observe(this.subtitleTextEl.parentElement);
+        }
+        document.fonts?.addEventListener('loadingdone', () => {
+            this.captionWidthContext = null;
+            this.renderSubtitles();
         });
     }
 
+    /**
+     * Classes and style variables of a word span
+     */
+    wordAppearance(word, speaker) {
+        const classes = ['subtitle-word'];
+        const vars = {};
+
+        if (speaker) {
+            classes.push('speaker');
+            vars['--speaker-color'] = speaker.color;
+        }
+
+        // Channels driven by separate prosodic cues (see ProsodyEncoder)
+        const prosodyStyle = this.prosodyEncoder.isMultiDimensional
+            ? this.prosodyEncoder.styleFor(word, t => this.continuousStyleAt(t))
+            : {};
+
+        // Size from prominence: interpolated or one of three classes
+        if (prosodyStyle.size !== undefined) {
+            classes.push('continuous');
+            vars['--word-size'] = `${prosodyStyle.size.toFixed(1)}px`;
+            vars['--word-weight'] = String(prosodyStyle.weight);
+            vars['--word-spacing'] = '0em';
+        } else if (this.settings.renderMode === 'continuous') {
+            const style = this.wordToContinuousStyle(word);
+            classes.push('continuous');
+            vars['--word-size'] = `${style.size.toFixed(1)}px`;
+            vars['--word-weight'] = String(style.weight);
+            vars['--word-spacing'] = `${style.letterSpacing.toFixed(3)}em`;
+        } else {
+            classes.push(`size-${this.wordToLevel(word)}`);
+        }
+
+        if (this.prosodyEncoder.isMultiDimensional) {
+            classes.push('prosody');
+            if (prosodyStyle.rise !== undefined) {
+                vars['--word-rise'] = `${(-prosodyStyle.rise).toFixed(3)}em`;
+            }
+            if (prosodyStyle.slant !== undefined) {
+                vars['--word-slant'] = `${(-prosodyStyle.slant).toFixed(1)}deg`;
+            }
+            if (prosodyStyle.letterSpacing !== undefined) {
+                vars['--word-spacing'] = `${prosodyStyle.letterSpacing.toFixed(3)}em`;
+            }
+        }
+
+        // Add interim styling if applicable
+        if (word.isInterim) {
+            classes.push('interim');
+        }
+
+        return { className: classes.join(' '), vars };
+    }
+
     /**
      * Setup UI controls
      */
@@ -515,6 +1156,19 @@ class ProminenceSubtitle {
             this.connectToServer();
         });
 
+        const inputServerToken = document.getElementById('input_server_token');
+        if (inputServerToken) {
+            inputServerToken.value = this.serverToken || '';
+            inputServerToken.addEventListener('change', () => {
+                this.serverToken = inputServerToken.value.trim() || null;
+            });
+        }
+
+        const checkboxOpusUplink = document.getElementById('checkbox_opus_uplink');
+        checkboxOpusUplink?.addEventListener('change', () => {
+            this.uplinkEncoding = checkboxOpusUplink.checked ? 'OGG_OPUS' : 'LINEAR16';
+        });
+
         // Controls checkbox
         const checkboxControls = document.getElementById('checkbox_controls');
         const controlsPanel = document.getElementById('controls_panel');
@@ -536,6 +1190,10 @@ class ProminenceSubtitle {
             if (this.speechClient) {
                 this.speechClient.setLanguage(this.settings.language);
             }
+            this.transcript.language = this.settings.language;
+            this.wordSegmenter.setLanguage(this.settings.language);
+            this.forcedAligner.setLanguage(this.settings.language);
+            this.saveActiveProfile();
         });
 
         // Base size slider
@@ -545,12 +1203,118 @@ class ProminenceSubtitle {
         sliderBaseSize?.addEventListener('input', () => {
             const value = parseInt(sliderBaseSize.value);
             valueBaseSize.textContent = value;
+            this.settings.baseSize = value;
 
             // Update CSS variables
             const root = document.documentElement;
             root.style.setProperty('--size-small', `${Math.round(value * 0.67)}px`);
             root.style.setProperty('--size-normal', `${value}px`);
             root.style.setProperty('--size-large', `${Math.round(value * 1.33)}px`);
+
+            // Continuous mode anchors its middle on the base size
+            if (this.settings.renderMode === 'continuous') {
+                this.renderSubtitles();
+            }
+            this.saveActiveProfile();
+        });
+
+        // Size mapping (discrete classes vs continuous interpolation)
+        const selectRenderMode = document.getElementById('select_render_mode');
+        const continuousControls = document.querySelectorAll('.continuous-only');
+
+        selectRenderMode?.addEventListener('change', () => {
+            this.settings.renderMode = selectRenderMode.value;
+            continuousControls.forEach(el => el.classList.toggle('hidden', this.settings.renderMode !== 'continuous'));
+            this.renderSubtitles();
+            this.saveActiveProfile();
+        });
+
+        // Prosody encoding preset (which cue drives which channel)
+        const selectProsodyPreset = document.getElementById('select_prosody_preset');
+
+        selectProsodyPreset?.addEventListener('change', () => {
+            this.settings.prosodyPreset = selectProsodyPreset.value;
+            this.prosodyEncoder.setPreset(this.settings.prosodyPreset);
+            if (this.prosodyLegendEl) {
+                this.prosodyEncoder.renderLegend(this.prosodyLegendEl);
+            }
+            this.renderSubtitles();
+            this.saveActiveProfile();
+        });
+
+        // Multi-speaker sessions
+        this.activeSpeakerSelectEl = document.getElementById('select_active_speaker');
+        this.speakerListEl = document.getElementById('speaker_list');
+        const checkboxMultiSpeaker = document.getElementById('checkbox_multi_speaker');
+
+        checkboxMultiSpeaker?.addEventListener('change', () => {
+            this.setMultiSpeaker(checkboxMultiSpeaker.checked);
+        });
+        this.activeSpeakerSelectEl?.addEventListener('change', () => {
+            this.setActiveSpeaker(parseInt(this.activeSpeakerSelectEl.value));
+        });
+
+        // Number keys switch the speaker (manual fallback when there is no diarization)
+        document.addEventListener('keydown', (event) => {
+            if (!this.settings.multiSpeaker || event.ctrlKey || event.metaKey || event.altKey) return;
+            if (event.target.closest && event.target.closest('input, select, textarea')) return;
+
+            const tag = parseInt(event.key);
+            if (tag >= 1 && tag <= this.speakerRegistry.colors.length) {
+                this.setActiveSpeaker(tag);
+            }
+        });
+
+        // Continuous mode size range
+        const sliderMinSize = document.getElementById('slider_min_size');
+        const valueMinSize = document.getElementById('value_min_size');
+        const sliderMaxSize = document.getElementById('slider_max_size');
+        const valueMaxSize = document.getElementById('value_max_size');
+
+        sliderMinSize?.addEventListener('input', () => {
+            this.settings.continuous.minSize = parseInt(sliderMinSize.value);
+            valueMinSize.textContent = sliderMinSize.value;
+            this.renderSubtitles();
+            this.saveActiveProfile();
+        });
+        sliderMaxSize?.addEventListener('input', () => {
+            this.settings.continuous.maxSize = parseInt(sliderMaxSize.value);
+            valueMaxSize.textContent = sliderMaxSize.value;
+            this.renderSubtitles();
+            this.saveActiveProfile();
+        });
+
+        // Caption layout: roll-up or pop-on, lines, characters per line, minimum display time
+        const selectCaptionMode = document.getElementById('select_caption_mode');
+        const sliderCaptionLines = document.getElementById('slider_caption_lines');
+        const valueCaptionLines = document.getElementById('value_caption_lines');
+        const sliderMaxChars = document.getElementById('slider_max_chars');
+        const valueMaxChars = document.getElementById('value_max_chars');
+        const sliderMinDisplay = document.getElementById('slider_min_display');
+        const valueMinDisplay = document.getElementById('value_min_display');
+
+        selectCaptionMode?.addEventListener('change', () => {
+            this.settings.captions.mode = selectCaptionMode.value;
+            this.renderSubtitles();
+            this.saveActiveProfile();
+        });
+        sliderCaptionLines?.addEventListener('input', () => {
+            this.settings.captions.lines = parseInt(sliderCaptionLines.value);
+            valueCaptionLines.textContent = sliderCaptionLines.value;
+            this.renderSubtitles();
+            this.saveActiveProfile();
+        });
+        sliderMaxChars?.addEventListener('input', () => {
+            this.settings.captions.maxCharsPerLine = parseInt(sliderMaxChars.value);
+            valueMaxChars.textContent = sliderMaxChars.value;
+            this.renderSubtitles();
+            this.saveActiveProfile();
+        });
+        sliderMinDisplay?.addEventListener('input', () => {
+            this.settings.captions.minDisplayMs = parseInt(sliderMinDisplay.value);
+            valueMinDisplay.textContent = (this.settings.captions.minDisplayMs / 1000).toFixed(1);
+            this.renderSubtitles();
+            this.saveActiveProfile();
         });
 
         // Sensitivity slider
@@ -564,10 +1328,12 @@ class ProminenceSubtitle {
             // Adjust thresholds based on sensitivity
             // Higher sensitivity = lower thresholds = more words marked as "large"
             const factor = 1 - (value / 100) * 0.5; // 0.5 to 1.0
+            this.settings.sensitivity = value;
             this.settings.sensitivityThreshold = {
                 smallMax: 0.35 * factor,
                 normalMax: 0.65 * factor
             };
+            this.saveActiveProfile();
         });
 
         // Recalibrate button
@@ -584,16 +1350,117 @@ class ProminenceSubtitle {
         const btnFinishCalibration = document.getElementById('btn_finish_calibration');
         this.calibrationCountEl = document.getElementById('calibration_count');
 
+        const calibrationReport = document.getElementById('calibration_report');
+
         btnVoiceCalibrate?.addEventListener('click', () => {
+            calibrationReport?.classList.add('hidden');
             this.startVoiceCalibration();
             calibrationPrompt?.classList.remove('hidden');
         });
 
+        document.getElementById('btn_calibration_record')?.addEventListener('click', () => {
+            this.toggleCalibrationTake();
+        });
+
+        document.getElementById('btn_calibration_skip')?.addEventListener('click', () => {
+            this.calibrationWizard.skipPrompt();
+            this.renderCalibrationStep();
+        });
+
         btnFinishCalibration?.addEventListener('click', () => {
             this.finishVoiceCalibration();
+            this.renderCalibrationStep();
+        });
+
+        document.getElementById('btn_close_calibration')?.addEventListener('click', () => {
+            if (this.isVoiceCalibrating) {
+                this.cancelVoiceCalibration();
+            }
             calibrationPrompt?.classList.add('hidden');
         });
 
+        // Speaker profiles
+        this.profileSelectEl = document.getElementById('select_profile');
+        const inputProfileImport = document.getElementById('input_profile_import');
+
+        this.profileSelectEl?.addEventListener('change', () => {
+            this.switchProfile(this.profileSelectEl.value);
+        });
+        document.getElementById('btn_profile_new')?.addEventListener('click', () => {
+            const name = window.prompt('Name for the new speaker profile (saves the current settings):');
+            if (name && name.trim()) {
+                this.createProfile(name.trim());
+            }
+        });
+        document.getElementById('btn_profile_delete')?.addEventListener('click', () => {
+            this.deleteActiveProfile();
+        });
+        document.getElementById('btn_profile_export')?.addEventListener('click', () => {
+            this.exportActiveProfile();
+        });
+        document.getElementById('btn_profile_import')?.addEventListener('click', () => {
+            inputProfileImport?.click();
+        });
+        inputProfileImport?.addEventListener('change', async () => {
+            const file = inputProfileImport.files[0];
+            inputProfileImport.value = '';
+            if (file) {
+                await this.importProfileFile(file);
+            }
+        });
+
+        this.refreshProfileList();
+        this.syncControls();
+
+        // Caption broadcast
+        const inputBroadcastRoom = document.getElementById('input_broadcast_room');
+        document.getElementById('btn_broadcast')?.addEventListener('click', () => {
+            if (this.broadcastRoom) {
+                this.stopBroadcast();
+            } else {
+                this.startBroadcast(inputBroadcastRoom?.value.trim() || '');
+            }
+        });
+
+        // Transcript export buttons
+        document.getElementById('btn_export_vtt')?.addEventListener('click', () => {
+            this.exportTranscript('vtt');
+        });
+        document.getElementById('btn_export_srt')?.addEventListener('click', () => {
+            this.exportTranscript('srt');
+        });
+        document.getElementById('btn_export_json')?.addEventListener('click', () => {
+            this.exportTranscript('json');
+        });
+
+        // Composited video recording
+        document.getElementById('btn_record')?.addEventListener('click', () => {
+            this.toggleRecording();
+        });
+
+        // Offline audio file analysis
+        const inputAudioFile = document.getElementById('input_audio_file');
+        const inputFileTranscript = document.getElementById('input_file_transcript');
+        const btnAnalyzeFile = document.getElementById('btn_analyze_file');
+        const btnExitFileMode = document.getElementById('btn_exit_file_mode');
+
+        btnAnalyzeFile?.addEventListener('click', async () => {
+            const file = inputAudioFile?.files[0];
+            if (!file) {
+                this.setStatus('Choose an audio file first', 'error');
+                return;
+            }
+            btnAnalyzeFile.disabled = true;
+            await this.analyzeAudioFile(file, inputFileTranscript?.value || '');
+            btnAnalyzeFile.disabled = false;
+            btnExitFileMode?.classList.toggle('hidden', !this.fileMode);
+        });
+
+        btnExitFileMode?.addEventListener('click', () => {
+            this.exitFileMode();
+            btnExitFileMode.classList.add('hidden');
+        });
+
         // Debug checkbox
         const checkboxDebug = document.getElementById('checkbox_debug');
         const debugInfo = document.getElementById('debug_info');
@@ -602,7 +1469,13 @@ class ProminenceSubtitle {
             debugInfo?.classList.toggle('hidden', !checkboxDebug.checked);
         });
 
-        // Fullscreen button
+        this.setupFullscreenButton();
+    }
+
+    /**
+     * Fullscreen toggle for the video area
+     */
+    setupFullscreenButton() {
         const fullscreenBtn = document.getElementById('fullscreen_btn');
         const videoWrapper = document.getElementById('video_wrapper');
 
@@ -624,65 +1497,663 @@ class ProminenceSubtitle {
     }
 
     /**
-     * Start voice calibration mode
+     * Open the calibration wizard at its first prompt
      */
     startVoiceCalibration() {
         this.isVoiceCalibrating = true;
-        this.calibrationScores = [];
-        this.setStatus('Voice Calibrating - Read the phrase!', 'calibrating');
+        this.calibrationWizard.start();
+        this.renderCalibrationStep();
+        this.setStatus('Voice Calibrating - Read each sentence!', 'calibrating');
         console.log('[Calibration] Started voice calibration');
     }
 
     /**
-     * Finish voice calibration and update thresholds
+     * Start or stop recording a take of the current prompt
+     */
+    toggleCalibrationTake() {
+        const wizard = this.calibrationWizard;
+        const feedbackEl = document.getElementById('calibration_feedback');
+
+        if (!wizard.isRecording) {
+            wizard.startTake();
+            if (this.calibrationCountEl) {
+                this.calibrationCountEl.textContent = '0';
+            }
+            if (feedbackEl) {
+                feedbackEl.textContent = '';
+            }
+            this.renderCalibrationStep();
+            return;
+        }
+
+        const take = wizard.endTake();
+        if (feedbackEl) {
+            feedbackEl.textContent = take.accepted
+                ? `✓ Take accepted (${take.syllableCount} syllables)`
+                : `✗ ${take.reason}`;
+            feedbackEl.className = take.accepted ? 'accepted' : 'rejected';
+        }
+        this.renderCalibrationStep();
+    }
+
+    /**
+     * Show the current prompt and enable the buttons that apply
+     */
+    renderCalibrationStep() {
+        const wizard = this.calibrationWizard;
+        const prompt = wizard.currentPrompt;
+
+        const stepEl = document.getElementById('calibration_step');
+        const sentenceEl = document.getElementById('calibration_sentence');
+        const btnRecord = document.getElementById('btn_calibration_record');
+        const btnSkip = document.getElementById('btn_calibration_skip');
+        const btnFinish = document.getElementById('btn_finish_calibration');
+
+        if (stepEl) {
+            stepEl.textContent = prompt
+                ? `Sentence ${wizard.step + 1} of ${wizard.prompts.length} · ${wizard.acceptedTakes.length} accepted`
+                : `All sentences done · ${wizard.acceptedTakes.length} accepted`;
+        }
+        if (sentenceEl) {
+            sentenceEl.textContent = prompt ? `"${prompt.text}"` : '-';
+        }
+        if (btnRecord) {
+            btnRecord.disabled = !prompt;
+            btnRecord.textContent = wizard.isRecording ? '⏹ Stop Take' : '⏺ Record Take';
+        }
+        if (btnSkip) {
+            btnSkip.disabled = !prompt || wizard.isRecording;
+        }
+        if (btnFinish) {
+            btnFinish.disabled = !wizard.canFit || wizard.isRecording;
+            btnFinish.textContent = wizard.canFit
+                ? 'Finish Calibration'
+                : `Finish Calibration (needs ${wizard.minTakes} takes)`;
+        }
+    }
+
+    /**
+     * Fit thresholds from the accepted takes and show the quality report
      */
     finishVoiceCalibration() {
+        const wizard = this.calibrationWizard;
+        if (!wizard.canFit) {
+            this.setStatus(`Not enough data - record ${wizard.minTakes}+ accepted takes`, 'error');
+            return false;
+        }
+
+        const normalize = document.getElementById('checkbox_calibration_normalize')?.checked || false;
+        const result = wizard.fit({ normalize });
+
+        this.settings.sensitivityThreshold = result.sensitivityThreshold;
+        this.settings.calibratedMin = result.calibratedMin;
+        this.settings.calibratedMax = result.calibratedMax;
+        this.settings.scoreNormalization = result.normalization;
+        this.isVoiceCalibrating = false;
+
+        const r = result.report;
+        const reportEl = document.getElementById('calibration_report');
+        if (reportEl) {
+            reportEl.textContent = [
+                `Quality: ${r.rating.toUpperCase()} (d' = ${r.dPrime.toFixed(2)})`,
+                `Takes: ${r.takesAccepted} accepted, ${r.takesRejected} rejected`,
+                `Stressed words: ${r.stressedWords}, mean ${r.stressedMean.toFixed(2)}`,
+                `Other words: ${r.unstressedWords}, mean ${r.unstressedMean.toFixed(2)}`,
+                `Large threshold ${result.sensitivityThreshold.normalMax.toFixed(2)}: ` +
+                `${Math.round(r.hitRate * 100)}% of stressed words, ${Math.round(r.falseAlarmRate * 100)}% of others`,
+                result.normalization ? 'Score normalization curve fitted' : 'No normalization curve'
+            ].join('\n');
+            reportEl.classList.remove('hidden');
+        }
+
+        this.setStatus(`Calibrated! Quality: ${r.rating}`, r.rating === 'poor' ? 'error' : 'ready');
+        console.log('[Calibration] New thresholds:', this.settings.sensitivityThreshold, r);
+        this.saveActiveProfile();
+        this.renderSubtitles();
+        return true;
+    }
+
+    /**
+     * Close the wizard without changing the calibration
+     */
+    cancelVoiceCalibration() {
+        this.calibrationWizard.isRecording = false;
         this.isVoiceCalibrating = false;
+        this.setStatus('Calibration cancelled', 'ready');
+    }
+
+    /**
+     * Apply the speaker's normalization curve (if calibrated with one)
+     */
+    normalizedScore(score) {
+        const curve = this.settings.scoreNormalization;
+        return curve ? CalibrationWizard.normalize(score, curve) : score;
+    }
+
+    /**
+     * Apply a speaker profile: settings, calibration and detector tuning
+     */
+    applyProfile(profile) {
+        this.mergeSettings(profile.settings);
+        this.detectorConfig = { ...this.detectorConfig, ...profile.detector };
+
+        if (this.prominenceDetector) {
+            this.prominenceDetector.updateConfig(this.detectorConfig);
+        }
+        // The offline analyzer copies the detector config when created
+        if (this.fileAnalyzer && !this.fileMode) {
+            this.fileAnalyzer.destroy();
+            this.fileAnalyzer = null;
+        }
+
+        if (this.recognition) {
+            this.recognition.lang = this.settings.language;
+        }
+        if (this.speechClient) {
+            this.speechClient.setLanguage(this.settings.language);
+            this.speechClient.setDiarization(this.settings.multiSpeaker);
+        }
+        this.transcript.language = this.settings.language;
+        this.wordSegmenter.setLanguage(this.settings.language);
+        this.forcedAligner.setLanguage(this.settings.language);
+        this.prosodyEncoder.setPreset(this.settings.prosodyPreset);
+
+        console.log(`[Profiles] Applied "${profile.name}"`);
+    }
+
+    /**
+     * Merge stored or broadcast settings onto the current ones
+     * (fields added later keep their defaults)
+     */
+    mergeSettings(settings) {
+        this.settings = {
+            ...this.settings,
+            ...settings,
+            sensitivityThreshold: { ...this.settings.sensitivityThreshold, ...settings.sensitivityThreshold },
+            continuous: { ...this.settings.continuous, ...settings.continuous },
+            captions: { ...this.settings.captions, ...settings.captions }
+        };
+    }
+
+    /**
+     * Overlay URL parameters win over profile and broadcast settings
+     */
+    applyOverlaySettings() {
+        if (this.overlay && this.overlay.baseSize !== null) {
+            this.settings.baseSize = this.overlay.baseSize;
+        }
+        if (this.overlay && this.overlay.captionMode !== null) {
+            this.settings.captions.mode = this.overlay.captionMode;
+        }
+        if (this.overlay && this.overlay.captionLines !== null) {
+            this.settings.captions.lines = Math.round(this.overlay.captionLines);
+        }
+    }
+
+    /**
+     * Save the current settings into the active profile (if any)
+     */
+    saveActiveProfile() {
+        const name = this.profileStore.activeName;
+        if (!name) return;
+
+        this.profileStore.save(name, this.settings, this.detectorConfig);
+    }
+
+    /**
+     * Create a profile from the current settings and make it active
+     */
+    createProfile(name) {
+        this.profileStore.save(name, this.settings, this.detectorConfig);
+        this.profileStore.setActive(name);
+        this.refreshProfileList();
+        this.setStatus(`Profile "${name}" saved`, 'ready');
+    }
+
+    /**
+     * Switch to another profile ('' = no profile, settings stay as they are)
+     */
+    switchProfile(name) {
+        if (!name) {
+            this.profileStore.activeName = null;
+            this.profileStore.persist();
+            return;
+        }
+
+        const profile = this.profileStore.get(name);
+        if (!profile) return;
+
+        this.profileStore.setActive(name);
+        this.applyProfile(profile);
+        this.syncControls();
+        this.renderSubtitles();
+        this.setStatus(`Profile "${name}" loaded`, 'ready');
+    }
+
+    deleteActiveProfile() {
+        const name = this.profileStore.activeName;
+        if (!name || !window.confirm(`Delete speaker profile "${name}"?`)) return;
+
+        this.profileStore.remove(name);
+        this.refreshProfileList();
+        this.setStatus(`Profile "${name}" deleted`, 'ready');
+    }
 
-        if (this.calibrationScores.length < 3) {
-            this.setStatus('Not enough data - try again (need 3+ events)', 'error');
-            console.warn('[Calibration] Not enough data:', this.calibrationScores.length);
+    exportActiveProfile() {
+        const name = this.profileStore.activeName;
+        if (!name) {
+            this.setStatus('Select or create a profile to export', 'error');
             return;
         }
 
-        // Calculate statistics
-        const sorted = [...this.calibrationScores].sort((a, b) => a - b);
-        const min = sorted[0];
-        const max = sorted[sorted.length - 1];
-        const median = sorted[Math.floor(sorted.length / 2)];
-        const range = max - min;
+        const filename = `${name.replace(/[^\w-]+/g, '_')}.profile.json`;
+        TranscriptExporter.download(this.profileStore.exportProfile(name), filename, 'application/json');
+    }
+
+    async importProfileFile(file) {
+        try {
+            const profile = this.profileStore.importProfile(await file.text());
+            this.refreshProfileList();
+            this.switchProfile(profile.name);
+        } catch (error) {
+            console.error('[Profiles] Import failed:', error);
+            this.setStatus(`Profile import failed: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Rebuild the profile picker
+     */
+    refreshProfileList() {
+        if (!this.profileSelectEl) return;
+
+        this.profileSelectEl.innerHTML = '';
+        const none = document.createElement('option');
+        none.value = '';
+        none.textContent = '(no profile)';
+        this.profileSelectEl.appendChild(none);
+
+        for (const name of this.profileStore.names()) {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            this.profileSelectEl.appendChild(option);
+        }
+        this.profileSelectEl.value = this.profileStore.activeName || '';
+    }
+
+    /**
+     * Update the controls to show the current settings
+     */
+    syncControls() {
+        const setValue = (id, value) => {
+            const el = document.getElementById(id);
+            if (el) el.value = value;
+        };
+        const setText = (id, value) => {
+            const el = document.getElementById(id);
+            if (el) el.textContent = value;
+        };
 
-        console.log('[Calibration] Stats:', {
-            min: min.toFixed(3),
-            max: max.toFixed(3),
-            median: median.toFixed(3),
-            range: range.toFixed(3),
-            count: sorted.length
+        setValue('select_language', this.settings.language);
+        setValue('slider_base_size', this.settings.baseSize);
+        setText('value_base_size', this.settings.baseSize);
+        setValue('slider_sensitivity', this.settings.sensitivity);
+        setText('value_sensitivity', this.settings.sensitivity);
+        setValue('select_render_mode', this.settings.renderMode);
+        setValue('slider_min_size', this.settings.continuous.minSize);
+        setText('value_min_size', this.settings.continuous.minSize);
+        setValue('slider_max_size', this.settings.continuous.maxSize);
+        setText('value_max_size', this.settings.continuous.maxSize);
+        setValue('select_prosody_preset', this.settings.prosodyPreset);
+        setValue('select_caption_mode', this.settings.captions.mode);
+        setValue('slider_caption_lines', this.settings.captions.lines);
+        setText('value_caption_lines', this.settings.captions.lines);
+        setValue('slider_max_chars', this.settings.captions.maxCharsPerLine);
+        setText('value_max_chars', this.settings.captions.maxCharsPerLine);
+        setValue('slider_min_display', this.settings.captions.minDisplayMs);
+        setText('value_min_display', (this.settings.captions.minDisplayMs / 1000).toFixed(1));
+
+        document.querySelectorAll('.continuous-only').forEach(el => {
+            el.classList.toggle('hidden', this.settings.renderMode !== 'continuous');
         });
+        if (this.prosodyLegendEl) {
+            this.prosodyEncoder.renderLegend(this.prosodyLegendEl);
+        }
+        this.syncSpeakerControls();
+
+        const root = document.documentElement;
+        const base = this.settings.baseSize;
+        root.style.setProperty('--size-small', `${Math.round(base * 0.67)}px`);
+        root.style.setProperty('--size-normal', `${base}px`);
+        root.style.setProperty('--size-large', `${Math.round(base * 1.33)}px`);
+    }
+
+    /**
+     * Export the session transcript as a subtitle file download
+     */
+    exportTranscript(format) {
+        const transcript = this.fileMode ? this.fileTranscript : this.transcript;
 
-        // Update thresholds based on calibration
-        // Small: below 25th percentile
-        // Normal: 25th to 75th percentile
-        // Large: above 75th percentile
-        const p25 = sorted[Math.floor(sorted.length * 0.25)];
-        const p75 = sorted[Math.floor(sorted.length * 0.75)];
+        if (transcript.words.length === 0) {
+            this.setStatus('Nothing to export yet - speak first', 'error');
+            return;
+        }
+
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const basename = `prominence-subtitle-${stamp}`;
+
+        switch (format) {
+            case 'vtt':
+                TranscriptExporter.download(TranscriptExporter.toWebVTT(transcript), `${basename}.vtt`, 'text/vtt');
+                break;
+            case 'srt':
+                TranscriptExporter.download(TranscriptExporter.toSRT(transcript), `${basename}.srt`, 'application/x-subrip');
+                break;
+            case 'json':
+                TranscriptExporter.download(TranscriptExporter.toJSON(transcript, {
+                    sttMode: this.fileMode ? 'file' : (this.useServerSTT ? 'server' : 'browser'),
+                    renderMode: this.settings.renderMode,
+                    prosodyPreset: this.settings.prosodyPreset,
+                    sensitivityThreshold: this.settings.sensitivityThreshold,
+                    calibratedRange: [this.settings.calibratedMin, this.settings.calibratedMax],
+                    continuous: this.settings.continuous,
+                    speakers: this.settings.multiSpeaker
+                        ? this.speakerRegistry.list().map(({ tag, label, color }) => ({ tag, label, color }))
+                        : undefined
+                }), `${basename}.json`, 'application/json');
+                break;
+        }
+
+        console.log(`[Export] ${format.toUpperCase()}: ${transcript.words.length} words`);
+    }
+
+    /**
+     * Start or stop recording the composited video
+     */
+    async toggleRecording() {
+        if (this.compositeRecorder && this.compositeRecorder.isRecording) {
+            await this.stopRecording();
+        } else {
+            this.startRecording();
+        }
+    }
+
+    startRecording() {
+        if (typeof MediaRecorder === 'undefined' || !HTMLCanvasElement.prototype.captureStream) {
+            this.setStatus('Video recording is not supported in this browser', 'error');
+            return;
+        }
+
+        this.compositeRecorder = new CompositeRecorder({
+            videoWrapper: document.getElementById('video_wrapper'),
+            subtitleEl: this.subtitleTextEl,
+            getVideo: () => (this.fileMode ? this.filePlayerEl : this.webcamEl),
+            getAudioTracks: () => this.recordingAudioTracks()
+        });
+
+        try {
+            this.compositeRecorder.start();
+        } catch (error) {
+            console.error('[Recorder] Failed to start:', error);
+            this.setStatus(`Recording failed: ${error.message}`, 'error');
+            this.compositeRecorder = null;
+            return;
+        }
+
+        const btn = document.getElementById('btn_record');
+        const status = document.getElementById('record_status');
+        if (btn) btn.textContent = '⏹ Stop & Save';
+        this.recordTimer = setInterval(() => {
+            const seconds = Math.floor(this.compositeRecorder.elapsedMs / 1000);
+            if (status) status.textContent = `● ${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+        }, 500);
+    }
+
+    async stopRecording() {
+        clearInterval(this.recordTimer);
+        this.recordTimer = null;
+
+        const blob = await this.compositeRecorder.stop();
+        this.compositeRecorder = null;
+
+        const btn = document.getElementById('btn_record');
+        const status = document.getElementById('record_status');
+        if (btn) btn.textContent = '⏺ Record Video';
+        if (status) status.textContent = '';
+
+        if (blob && blob.size > 0) {
+            const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+            TranscriptExporter.download(blob, `prominence-subtitle-${stamp}.webm`, blob.type);
+        }
+    }
+
+    /**
+     * Audio for the recording: the file being played in file mode, else the microphone
+     */
+    recordingAudioTracks() {
+        if (this.fileMode && this.filePlayerEl && this.filePlayerEl.captureStream) {
+            return this.filePlayerEl.captureStream().getAudioTracks();
+        }
+        const stream = this.audioPipeline && this.audioPipeline.mediaStream;
+        return stream ? stream.getAudioTracks() : [];
+    }
+
+    /**
+     * Publish the captions into a broadcast room
+     */
+    async startBroadcast(room) {
+        if (!/^[\w-]{1,64}$/.test(room)) {
+            this.setStatus('Room names are 1-64 letters, digits, "_" or "-"', 'error');
+            return;
+        }
+
+        this.captionRoom = new CaptionRoomClient({
+            serverUrl: this.serverUrl,
+            token: this.serverToken,
+            onRoomStatus: ({ viewers }) => {
+                this.updateBroadcastStatus(`${viewers} viewer${viewers === 1 ? '' : 's'}`);
+            },
+            onError: (error) => {
+                this.setStatus(`Broadcast error: ${error}`, 'error');
+            },
+            onStatusChange: (status) => {
+                if (status === 'reconnecting' && this.broadcastRoom) {
+                    this.updateBroadcastStatus('reconnecting...');
+                } else if (status === 'disconnected' && this.broadcastRoom) {
+                    this.broadcastRoom = null;
+                    this.updateBroadcastStatus(null);
+                    this.setStatus('Broadcast ended - server disconnected', 'error');
+                }
+            },
+            onReconnected: () => {
+                // Words finalized during the outage are still pending; the server may have lost the settings
+                this.lastBroadcastInterim = null;
+                this.lastBroadcastSettings = null;
+                this.broadcastCaptions();
+                this.setStatus(`Broadcasting to room "${room}"`, 'ready');
+            }
+        });
 
-        this.settings.sensitivityThreshold = {
-            smallMax: p25,
-            normalMax: p75
+        try {
+            await this.captionRoom.connect();
+            this.captionRoom.publish(room);
+        } catch (error) {
+            console.error('[Broadcast] Connection failed:', error);
+            this.setStatus('Broadcast failed - is the server running?', 'error');
+            this.captionRoom = null;
+            return;
+        }
+
+        // Late joiners get the history; seed it with what is on screen
+        this.broadcastRoom = room;
+        this.pendingBroadcastWords = [...this.currentWords];
+        this.lastBroadcastInterim = null;
+        this.lastBroadcastSettings = null;
+        this.broadcastCaptions();
+
+        this.updateBroadcastStatus('0 viewers');
+        this.setStatus(`Broadcasting to room "${room}"`, 'ready');
+    }
+
+    stopBroadcast() {
+        this.broadcastRoom = null;
+        if (this.captionRoom) {
+            this.captionRoom.disconnect();
+            this.captionRoom = null;
+        }
+        this.updateBroadcastStatus(null);
+        this.setStatus('Broadcast stopped', 'ready');
+    }
+
+    /**
+     * Presenter: send what changed since the last update
+     * Settings go along only when they changed, so viewers size words the same way
+     */
+    broadcastCaptions() {
+        if (!this.broadcastRoom || !this.captionRoom || !this.captionRoom.isConnected) return;
+
+        const interimJson = JSON.stringify(this.interimWords);
+        const settings = this.displaySettings();
+        const settingsJson = JSON.stringify(settings);
+        const settingsChanged = settingsJson !== this.lastBroadcastSettings;
+        if (this.pendingBroadcastWords.length === 0 && interimJson === this.lastBroadcastInterim && !settingsChanged) {
+            return;
+        }
+
+        this.captionRoom.sendCaptions(this.pendingBroadcastWords, this.interimWords, settingsChanged ? settings : null);
+        this.pendingBroadcastWords = [];
+        this.lastBroadcastInterim = interimJson;
+        this.lastBroadcastSettings = settingsJson;
+    }
+
+    /**
+     * The settings viewers need to render captions as the presenter sees them
+     * (the room server passes these fields on and drops everything else)
+     */
+    displaySettings() {
+        const s = this.settings;
+        return {
+            language: s.language,
+            baseSize: s.baseSize,
+            renderMode: s.renderMode,
+            prosodyPreset: s.prosodyPreset,
+            multiSpeaker: s.multiSpeaker,
+            continuous: s.continuous,
+            captions: s.captions,
+            sensitivityThreshold: s.sensitivityThreshold,
+            calibratedMin: s.calibratedMin,
+            calibratedMax: s.calibratedMax,
+            minAlignmentConfidence: s.minAlignmentConfidence,
+            scoreNormalization: s.scoreNormalization
+        };
+    }
+
+    /**
+     * Show the broadcast state next to the room controls (null = not broadcasting)
+     */
+    updateBroadcastStatus(text) {
+        const btn = document.getElementById('btn_broadcast');
+        const info = document.getElementById('broadcast_info');
+        const link = document.getElementById('broadcast_link');
+        const status = document.getElementById('broadcast_status');
+
+        if (btn) btn.textContent = this.broadcastRoom ? 'Stop Broadcast' : 'Start Broadcast';
+        info?.classList.toggle('hidden', !this.broadcastRoom);
+        if (this.broadcastRoom && link) {
+            link.href = CaptionRoomClient.viewerUrl(this.broadcastRoom);
+            link.textContent = link.href;
+        }
+        if (status) status.textContent = text || '';
+    }
+
+    /**
+     * Viewer page: subscribe to a room and render its captions (no mic, no recognition)
+     */
+    async initViewer(room) {
+        this.isViewer = true;
+        document.body.classList.add('viewer-mode');
+        this.setupFullscreenButton();
+        this.applyOverlaySettings();
+        this.syncControls();
+        this.setStatus(`Connecting to room "${room}"...`, 'processing');
+
+        const showPresence = (online) => {
+            this.setStatus(online ? `Watching "${room}"` : `Watching "${room}" - presenter offline`, online ? 'ready' : 'processing');
         };
-        this.settings.calibratedMin = min;
-        this.settings.calibratedMax = max;
 
-        this.setStatus(`Calibrated! Range: ${min.toFixed(2)} - ${max.toFixed(2)}`, 'ready');
-        console.log('[Calibration] New thresholds:', this.settings.sensitivityThreshold);
+        this.captionRoom = new CaptionRoomClient({
+            serverUrl: CaptionRoomClient.viewerServerUrl(),
+            onSubscribed: (data) => {
+                this.currentWords = [];
+                this.receiveCaptions({ final: data.history, interim: data.interim, settings: data.settings });
+                showPresence(data.presenterOnline);
+            },
+            onCaptions: (data) => {
+                this.receiveCaptions(data);
+            },
+            onPresenter: (online) => {
+                if (!online) {
+                    this.interimWords = [];
+                    this.renderSubtitles();
+                }
+                showPresence(online);
+            },
+            onError: (error) => {
+                this.setStatus(`Broadcast error: ${error}`, 'error');
+            },
+            onStatusChange: (status) => {
+                if (status === 'reconnecting') {
+                    this.setStatus(`Reconnecting to room "${room}"...`, 'processing');
+                } else if (status === 'disconnected') {
+                    this.setStatus('Disconnected from the broadcast server', 'error');
+                }
+            }
+        });
+
+        try {
+            await this.captionRoom.connect();
+            this.captionRoom.subscribe(room);
+        } catch (error) {
+            console.error('[Broadcast] Viewer connection failed:', error);
+        }
+    }
+
+    /**
+     * Viewer: apply a presenter update ({final, interim, settings?})
+     */
+    receiveCaptions(data) {
+        if (data.settings) {
+            this.mergeSettings(data.settings);
+            this.applyOverlaySettings();
+            this.prosodyEncoder.setPreset(this.settings.prosodyPreset);
+            this.syncControls();
+        }
+
+        const final = data.final || [];
+        const interim = data.interim || [];
+
+        // Speaker labels travel with the words
+        for (const word of [...final, ...interim]) {
+            if (word.speakerTag && word.speaker) {
+                this.speakerRegistry.setLabel(word.speakerTag, word.speaker);
+            }
+        }
+
+        // Words keep their spans from interim to final (the presenter already locked their prominence)
+        const finalized = final.map(word => ({ ...word, isInterim: false }));
+        this.captionRenderer.stabilize(this.interimWords, [...finalized, ...interim], null);
+
+        this.currentWords.push(...finalized);
+        this.interimWords = interim;
+        this.renderSubtitles();
     }
 
     /**
      * Connect to backend STT server
      */
     async connectToServer() {
-        if (this.speechClient && this.speechClient.isConnected) {
+        if (this.speechClient && (this.speechClient.isConnected || this.speechClient.isReconnecting)) {
             // Already connected - disconnect
             this.speechClient.disconnect();
             this.updateServerStatus('disconnected');
@@ -692,8 +2163,11 @@ class ProminenceSubtitle {
         this.updateServerStatus('connecting');
 
         this.speechClient = new SpeechClient({
-            serverUrl: 'ws://localhost:3001',
+            serverUrl: this.serverUrl,
             language: this.settings.language,
+            diarization: this.settings.multiSpeaker,
+            encoding: this.uplinkEncoding,
+            token: this.serverToken,
 
             onResult: (result) => {
                 this.handleServerSpeechResult(result);
@@ -705,7 +2179,21 @@ class ProminenceSubtitle {
             },
 
             onStatusChange: (status) => {
+                if (status === 'reconnecting' && !this.speechClient.maxBufferMs) {
+                    // Without backfill the dropped stream will never finalize what it showed
+                    this.commitWords(this.interimWords);
+                    this.interimWords = [];
+                    this.renderSubtitles();
+                }
                 this.updateServerStatus(status);
+            },
+
+            onReconnected: () => {
+                this.setStatus('Reconnected to STT Server', 'ready');
+            },
+
+            onBackfill: (durationMs) => {
+                this.setStatus(`Reconnected - catching up on ${(durationMs / 1000).toFixed(1)}s of audio`, 'ready');
             }
         });
 
@@ -718,9 +2206,9 @@ class ProminenceSubtitle {
                 this.isRecognizing = false;
             }
 
-            // Start streaming to server
-            this.streamingStartTime = performance.now();
-            await this.speechClient.startStreaming();
+            // Start streaming to server (word offsets are anchored to the first chunk sent)
+            this.alignmentOffsets = [];
+            await this.speechClient.startStreaming(this.audioPipeline);
 
             this.useServerSTT = true;
             this.setStatus('Connected to STT Server - Speak!', 'ready');
@@ -743,6 +2231,7 @@ class ProminenceSubtitle {
             const statusTexts = {
                 'disconnected': 'Not connected',
                 'connecting': 'Connecting...',
+                'reconnecting': 'Connection lost - reconnecting...',
                 'connected': 'Connected to STT Server'
             };
             this.serverStatusText.textContent = statusTexts[status] || status;
@@ -751,7 +2240,7 @@ class ProminenceSubtitle {
         // Update button text
         const btn = document.getElementById('btn_connect_server');
         if (btn) {
-            btn.textContent = status === 'connected' ? 'Disconnect' : 'Connect to Server';
+            btn.textContent = status === 'connected' || status === 'reconnecting' ? 'Disconnect' : 'Connect to Server';
         }
     }
 
@@ -760,72 +2249,142 @@ class ProminenceSubtitle {
      * INTERIM ONLY MODE: Use interim results as the stable source of prominence
      */
     handleServerSpeechResult(result) {
+        if (this.fileMode) return;
+
         if (!result.words || result.words.length === 0) {
             // Fallback to transcript without word timing
             if (result.transcript) {
-                const words = result.transcript.split(/\s+/).filter(w => w.length > 0);
-                const aligned = this.alignWordsWithProminence(words, performance.now());
+                const words = this.tokenizeWords(result.transcript);
+                const aligned = this.alignWordsWithProminence(words, performance.now()).map(w => this.assignSpeaker(w));
 
                 if (result.isFinal) {
                     // Final: just finalize what interim showed
-                    if (this.interimWords.length > 0) {
-                        this.currentWords.push(...this.interimWords.map(w => ({ ...w, isInterim: false })));
-                    }
+                    this.commitWords(this.interimWords);
                     this.interimWords = [];
-                    this.trimCurrentWords();
                 } else {
                     // Interim: THIS IS THE MAIN DISPLAY
-                    this.interimWords = aligned.map(w => ({ ...w, isInterim: false })); // Show as normal, not italicized
+                    this.interimWords = this.stabilizeInterim(aligned.map(w => ({ ...w, isInterim: false }))); // Show as normal, not italicized
                 }
             }
         } else {
             // Use word-level timestamps for precise alignment
-            if (result.isFinal) {
-                // Final: just finalize what interim showed (don't recalculate)
-                if (this.interimWords.length > 0) {
-                    this.currentWords.push(...this.interimWords.map(w => ({ ...w, isInterim: false })));
-                }
+            if (result.isFinal && result.backfilled) {
+                // Backfilled audio may be finalized without interims (or after stale ones from
+                // before the outage), so align the final's own words
+                this.commitWords(this.alignServerWords(result.words));
+                this.interimWords = [];
+                this.alignmentWordsSeen = 0;
+            } else if (result.isFinal) {
+                // Final: just finalize what interim showed (don't recalculate), with the final's speaker tags
+                this.commitWords(this.applyFinalSpeakerTags(this.interimWords, result.words));
                 this.interimWords = [];
-                this.trimCurrentWords();
+                this.alignmentWordsSeen = 0;
             } else {
-                // INTERIM: Calculate and show immediately (this is the stable source)
-                const alignedWords = result.words.map(wordInfo => {
-                    const wordStartLocal = this.streamingStartTime + wordInfo.startTime;
-                    const wordEndLocal = this.streamingStartTime + wordInfo.endTime;
-
-                    const prominenceScore = this.alignWordWithProminenceTimestamp(
-                        wordStartLocal,
-                        wordEndLocal
-                    );
-
-                    return {
-                        text: wordInfo.word,
-                        prominenceScore: prominenceScore,
-                        isInterim: false, // Show as normal styling
-                        confidence: wordInfo.confidence
-                    };
-                });
-
-                this.interimWords = alignedWords;
+                // INTERIM: Calculate and show immediately; settled words keep their prominence
+                this.interimWords = this.stabilizeInterim(this.alignServerWords(result.words));
+                this.updateAlignmentDiagnostic(result.words);
             }
         }
 
         this.renderSubtitles();
     }
 
+    /**
+     * Carry span keys and settled prominence over from the interim words on screen
+     */
+    stabilizeInterim(words) {
+        return this.captionRenderer.stabilize(this.interimWords, words, performance.now() - this.sessionStartTime);
+    }
+
+    /**
+     * Score server words against the prominence events inside their timestamps
+     */
+    alignServerWords(words) {
+        return this.groupServerWords(words).map(wordInfo => {
+            if (wordInfo.speakerTag) {
+                this.lastServerSpeakerTag = wordInfo.speakerTag;
+            }
+
+            const wordStartLocal = this.speechClient.toPerformanceTime(wordInfo.startTime) ?? performance.now();
+            const wordEndLocal = this.speechClient.toPerformanceTime(wordInfo.endTime) ?? performance.now();
+
+            const prominenceScore = this.alignWordWithProminenceTimestamp(
+                wordStartLocal,
+                wordEndLocal
+            );
+            const wordSyllables = this.syllableBuffer.filter(e =>
+                e.timestamp >= wordStartLocal && e.timestamp < wordEndLocal
+            );
+
+            return this.assignSpeaker({
+                text: wordInfo.word,
+                prominenceScore: prominenceScore,
+                prosody: this.prosodyEncoder.measure(
+                    wordSyllables,
+                    wordEndLocal - wordStartLocal,
+                    this.forcedAligner.countSyllables(wordInfo.word)
+                ),
+                isInterim: false, // Show as normal styling
+                confidence: wordInfo.confidence,
+                startTime: wordStartLocal - this.sessionStartTime,
+                endTime: wordEndLocal - this.sessionStartTime,
+                timing: 'server'
+            }, wordInfo.speakerTag || this.lastServerSpeakerTag);
+        });
+    }
+
+    /**
+     * Track how far prominence events sit from server word onsets
+     * Only words first seen in this interim are sampled, so repeats don't skew the median
+     */
+    updateAlignmentDiagnostic(words) {
+        const tolerance = 300;
+        const newWords = words.slice(this.alignmentWordsSeen);
+        this.alignmentWordsSeen = words.length;
+
+        for (const wordInfo of newWords) {
+            const wordStart = this.speechClient.toPerformanceTime(wordInfo.startTime);
+            if (wordStart === null) continue;
+
+            let nearest = null;
+            for (const event of this.prominenceBuffer) {
+                const offset = event.timestamp - wordStart;
+                if (Math.abs(offset) <= tolerance && (nearest === null || Math.abs(offset) < Math.abs(nearest))) {
+                    nearest = offset;
+                }
+            }
+            if (nearest !== null) {
+                this.alignmentOffsets.push(nearest);
+            }
+        }
+
+        if (this.alignmentOffsets.length > this.maxAlignmentSamples) {
+            this.alignmentOffsets.splice(0, this.alignmentOffsets.length - this.maxAlignmentSamples);
+        }
+
+        if (this.debugAlignmentEl && this.alignmentOffsets.length > 0) {
+            const sorted = [...this.alignmentOffsets].sort((a, b) => a - b);
+            const median = sorted[Math.floor(sorted.length / 2)];
+            const clock = this.audioPipeline.clock;
+            const drift = clock ? ` · drift ${clock.driftPpm.toFixed(0)} ppm` : '';
+            this.debugAlignmentEl.textContent = `Align: ${median >= 0 ? '+' : ''}${median.toFixed(0)} ms${drift}`;
+        }
+    }
+
     /**
      * Align a single word using precise timestamps
      * This is the key improvement - uses exact word timing from STT
+     * events defaults to the live prominence buffer (file mode passes its own)
      */
-    alignWordWithProminenceTimestamp(startTime, endTime) {
+    alignWordWithProminenceTimestamp(startTime, endTime, events = this.prominenceBuffer) {
         // Debug: log buffer state
-        const bufferSize = this.prominenceBuffer.length;
+        const bufferSize = events.length;
         const bufferTimeRange = bufferSize > 0
-            ? `${this.prominenceBuffer[0].timestamp.toFixed(0)} - ${this.prominenceBuffer[bufferSize - 1].timestamp.toFixed(0)}`
+            ? `${events[0].timestamp.toFixed(0)} - ${events[bufferSize - 1].timestamp.toFixed(0)}`
             : 'empty';
 
         // Find prominence events that occurred during this word's timespan
-        const wordEvents = this.prominenceBuffer.filter(e =>
+        const wordEvents = events.filter(e =>
             e.timestamp >= startTime && e.timestamp <= endTime
         );
 
@@ -837,7 +2396,7 @@ class ProminenceSubtitle {
         if (wordEvents.length === 0) {
             // No events during this word - check nearby with decay
             const tolerance = 300; // Increased to 300ms tolerance
-            const nearbyEvents = this.prominenceBuffer.filter(e =>
+            const nearbyEvents = events.filter(e =>
                 e.timestamp >= startTime - tolerance && e.timestamp <= endTime + tolerance
             );
 
@@ -864,240 +2423,171 @@ class ProminenceSubtitle {
     }
 
     /**
-     * Cleanup
+     * Analyze a recorded file and play it back with aligned prominence captions
+     * The transcript text supplies the words; the detector supplies the prominence
      */
-    destroy() {
-        if (this.recognition) {
-            this.isRecognizing = false;
-            this.recognition.stop();
-        }
-
-        if (this.speechClient) {
-            this.speechClient.disconnect();
+    async analyzeAudioFile(file, transcriptText) {
+        const words = this.tokenizeWords(transcriptText);
+        if (words.length === 0) {
+            this.setStatus('Enter the transcript of the recording first', 'error');
+            return;
         }
 
-        if (this.prominenceDetector) {
-            this.prominenceDetector.destroy();
+        if (!this.fileAnalyzer) {
+            this.fileAnalyzer = new AudioFileAnalyzer({
+                detectorConfig: { ...this.prominenceDetector.config },
+                onProgress: (progress) => {
+                    this.setStatus(`Analyzing file... ${Math.round(progress * 100)}%`, 'processing');
+                },
+                onError: (error) => {
+                    console.error('[FileAnalyzer] Error:', error);
+                }
+            });
         }
 
-        if (this.webcamEl.srcObject) {
-            this.webcamEl.srcObject.getTracks().forEach(t => t.stop());
-        }
-    }
-}
+        this.setStatus('Analyzing file...', 'processing');
 
-// Also need ProminenceDetectorWasm class (from PROMINENCE_Detection)
-// Import it inline since we're loading from a different path
-
-class ProminenceDetectorWasm {
-    constructor(options = {}) {
-        this.config = {
-            sampleRate: options.sampleRate || 48000,
-            prominenceThreshold: options.prominenceThreshold || 0.2,
-            minSyllableDistMs: options.minSyllableDistMs || 200,
-            calibrationDurationMs: options.calibrationDurationMs || 2000,
-            minEnergyThreshold: options.minEnergyThreshold || 0.0001,
-        };
-
-        this.wasmModule = null;
-        this.detector = null;
-        this.isReady = false;
-        this.isRunning = false;
-        this.isCalibrating = false;
-
-        this.audioContext = null;
-        this.scriptProcessor = null;
-        this.mediaStream = null;
-
-        this.lastProminenceTime = 0;
-        this.inputBuffer = null;
-        this._frameCount = 0;
-
-        this.onProminence = options.onProminence || (() => { });
-        this.onFrame = options.onFrame || (() => { });
-        this.onCalibrationStart = options.onCalibrationStart || (() => { });
-        this.onCalibrationEnd = options.onCalibrationEnd || (() => { });
-        this.onError = options.onError || ((err) => console.error(err));
-        this.onReady = options.onReady || (() => { });
-    }
-
-    async init() {
         try {
-            this.wasmModule = await SyllableModule();
-
-            this._syllable_create = this.wasmModule.cwrap('syllable_create', 'number', ['number']);
-            this._syllable_process = this.wasmModule.cwrap('syllable_process', 'number',
-                ['number', 'number', 'number', 'number', 'number']);
-            this._syllable_destroy = this.wasmModule.cwrap('syllable_destroy', null, ['number']);
-            this._syllable_set_realtime_mode = this.wasmModule.cwrap('syllable_set_realtime_mode', null, ['number', 'number']);
-            this._syllable_recalibrate = this.wasmModule.cwrap('syllable_recalibrate', null, ['number']);
-            this._syllable_is_calibrating = this.wasmModule.cwrap('syllable_is_calibrating', 'number', ['number']);
-            this._syllable_set_snr_threshold = this.wasmModule.cwrap('syllable_set_snr_threshold', null, ['number', 'number']);
-
-            this.detector = this._syllable_create(0);
-            this._syllable_set_snr_threshold(this.detector, 6.0);
-            this._syllable_set_realtime_mode(this.detector, 1);
-
-            if (!this.detector) {
-                throw new Error('Failed to create Wasm detector');
-            }
+            const { events } = await this.fileAnalyzer.analyze(file);
+            this.fileWords = this.alignFileTranscript(words, events);
 
-            this.isReady = true;
-            this.onReady();
-            return true;
-        } catch (err) {
-            this.onError(err);
-            return false;
-        }
-    }
+            this.fileTranscript = new TranscriptStore({ language: this.settings.language });
+            this.fileTranscript.addWords(this.fileWords);
 
-    async start() {
-        if (!this.isReady) {
-            const success = await this.init();
-            if (!success) return false;
+            this.startFilePlayback(file);
+            const prominent = events.filter(e => e.isProminent).length;
+            this.setStatus(`File analyzed - ${this.fileWords.length} words, ${prominent} prominence events`, 'ready');
+        } catch (error) {
+            this.setStatus(`File analysis failed: ${error.message}`, 'error');
         }
+    }
 
-        try {
-            this.mediaStream = await navigator.mediaDevices.getUserMedia({
-                audio: {
-                    echoCancellation: false,
-                    noiseSuppression: false,
-                    autoGainControl: false,
-                    sampleRate: this.config.sampleRate
-                }
-            });
+    /**
+     * Align the transcript to the recording's syllable onsets and score it
+     * The same forced alignment as browser mode, so words follow the pauses in
+     * the recording; times are ms from the start of the file
+     */
+    alignFileTranscript(words, events) {
+        const syllables = events.map(e => ({
+            timestamp: e.timestamp,
+            score: e.fusionScore,
+            isProminent: e.isProminent,
+            features: e.features
+        }));
+
+        // Speaker statistics for the prosody cues come from the file itself
+        const encoder = new ProsodyEncoder();
+        syllables.forEach(s => encoder.observe(s));
+
+        return this.forcedAligner.alignRecording(words, syllables).map(a => {
+            const word = this.wordFromAlignment(a, encoder, 0);
+            return { ...word, sizeLevel: this.wordToLevel(word) };
+        });
+    }
 
-            this.audioContext = new (window.AudioContext || window.webkitAudioContext)({
-                sampleRate: this.config.sampleRate
-            });
-            const source = this.audioContext.createMediaStreamSource(this.mediaStream);
+    /**
+     * Play the analyzed file and reveal words in sync with the media time
+     */
+    startFilePlayback(file) {
+        this.fileMode = true;
+        this.currentWords = [];
+        this.interimWords = [];
+        this.filePlaybackIndex = -1;
 
-            const bufferSize = 1024;
-            this.scriptProcessor = this.audioContext.createScriptProcessor(bufferSize, 1, 1);
-            this.inputBuffer = this.wasmModule._malloc(bufferSize * 4);
+        if (this.fileObjectUrl) {
+            URL.revokeObjectURL(this.fileObjectUrl);
+        }
+        this.fileObjectUrl = URL.createObjectURL(file);
 
-            this.scriptProcessor.onaudioprocess = (e) => this._processAudioBuffer(e);
+        this.filePlayerEl.src = this.fileObjectUrl;
+        this.filePlayerEl.classList.remove('hidden');
+        this.webcamEl.classList.add('hidden');
 
-            source.connect(this.scriptProcessor);
-            this.scriptProcessor.connect(this.audioContext.destination);
+        const tick = () => {
+            if (!this.fileMode) return;
+            this.renderFilePlayback();
+            requestAnimationFrame(tick);
+        };
+        requestAnimationFrame(tick);
+    }
 
-            this.isRunning = true;
-            this.startCalibration();
+    /**
+     * Show the words spoken up to the current playback position
+     */
+    renderFilePlayback() {
+        const mediaTime = this.filePlayerEl.currentTime * 1000;
 
-            return true;
-        } catch (err) {
-            this.onError(err);
-            return false;
+        let count = 0;
+        while (count < this.fileWords.length && this.fileWords[count].startTime <= mediaTime) {
+            count++;
         }
-    }
 
-    stop() {
-        this.isRunning = false;
-        this.isCalibrating = false;
+        if (count === this.filePlaybackIndex) return;
+        this.filePlaybackIndex = count;
 
-        if (this._calibrationCheckInterval) {
-            clearInterval(this._calibrationCheckInterval);
-        }
-        if (this.scriptProcessor) {
-            this.scriptProcessor.disconnect();
-        }
-        if (this.mediaStream) {
-            this.mediaStream.getTracks().forEach(track => track.stop());
-        }
-        if (this.audioContext) {
-            this.audioContext.close();
-        }
-        if (this.inputBuffer) {
-            this.wasmModule._free(this.inputBuffer);
-            this.inputBuffer = null;
-        }
+        this.currentWords = this.fileWords.slice(0, count);
+        this.renderSubtitles();
     }
 
-    startCalibration() {
-        this.isCalibrating = true;
-        this.onCalibrationStart();
-
-        if (this._syllable_recalibrate) {
-            this._syllable_recalibrate(this.detector);
+    /**
+     * Leave file mode and return to the live pipeline
+     */
+    exitFileMode() {
+        this.fileMode = false;
+
+        this.filePlayerEl.pause();
+        this.filePlayerEl.removeAttribute('src');
+        this.filePlayerEl.load();
+        this.filePlayerEl.classList.add('hidden');
+        this.webcamEl.classList.remove('hidden');
+
+        if (this.fileObjectUrl) {
+            URL.revokeObjectURL(this.fileObjectUrl);
+            this.fileObjectUrl = null;
         }
 
-        this._calibrationCheckInterval = setInterval(() => {
-            const stillCalibrating = this._syllable_is_calibrating(this.detector);
-            if (!stillCalibrating) {
-                this._finishCalibration();
-                clearInterval(this._calibrationCheckInterval);
-            }
-        }, 100);
-    }
-
-    _finishCalibration() {
-        this.isCalibrating = false;
-        this.onCalibrationEnd({});
+        this.currentWords = [];
+        this.interimWords = [];
+        this.renderSubtitles();
+        this.setStatus('Ready - Speak in English', 'ready');
     }
 
-    _processAudioBuffer(e) {
-        if (!this.isRunning || !this.detector || !this.wasmModule) return;
+    /**
+     * Cleanup
+     */
+    destroy() {
+        if (this.recognition) {
+            this.isRecognizing = false;
+            this.recognition.stop();
+        }
 
-        const inputData = e.inputBuffer.getChannelData(0);
-        const numSamples = inputData.length;
+        if (this.speechClient) {
+            this.speechClient.disconnect();
+        }
 
-        for (let i = 0; i < numSamples; i++) {
-            this.wasmModule.setValue(this.inputBuffer + i * 4, inputData[i], 'float');
+        if (this.captionRoom) {
+            this.captionRoom.disconnect();
         }
 
-        const maxEvents = 8;
-        const eventSize = 72;
-        const eventBuffer = this.wasmModule._malloc(maxEvents * eventSize);
+        if (this.compositeRecorder) {
+            clearInterval(this.recordTimer);
+            this.compositeRecorder.stop();
+        }
 
-        const numEvents = this._syllable_process(
-            this.detector,
-            this.inputBuffer,
-            numSamples,
-            eventBuffer,
-            maxEvents
-        );
+        if (this.prominenceDetector) {
+            this.prominenceDetector.destroy();
+        }
 
-        if (numEvents > 0) {
-            for (let i = 0; i < numEvents; i++) {
-                const basePtr = eventBuffer + i * eventSize;
-
-                const fusionScore = this.wasmModule.getValue(basePtr + 56, 'float');
-                const energy = this.wasmModule.getValue(basePtr + 24, 'float');
-                const spectralFlux = this.wasmModule.getValue(basePtr + 40, 'float');
-
-                if (this.isCalibrating) continue;
-
-                const now = performance.now();
-                const timeSinceLastProminence = now - this.lastProminenceTime;
-
-                const hasEnoughEnergy = energy > this.config.minEnergyThreshold || spectralFlux > 0.1;
-                const passedThreshold = fusionScore > this.config.prominenceThreshold;
-                const passedTiming = timeSinceLastProminence > this.config.minSyllableDistMs;
-
-                if (passedThreshold && passedTiming && hasEnoughEnergy) {
-                    this.lastProminenceTime = now;
-                    this.onProminence({
-                        timestamp: now,
-                        fusionScore: fusionScore,
-                        features: {
-                            energy: energy,
-                            spectralFlux: spectralFlux,
-                            highFreqEnergy: this.wasmModule.getValue(basePtr + 44, 'float'),
-                            mfccDelta: this.wasmModule.getValue(basePtr + 48, 'float')
-                        }
-                    });
-                }
-            }
+        if (this.audioPipeline) {
+            this.audioPipeline.stop();
         }
 
-        this.wasmModule._free(eventBuffer);
-    }
+        if (this.fileAnalyzer) {
+            this.fileAnalyzer.destroy();
+        }
 
-    destroy() {
-        this.stop();
-        if (this.detector) {
-            this._syllable_destroy(this.detector);
-            this.detector = null;
+        if (this.webcamEl.srcObject) {
+            this.webcamEl.srcObject.getTracks().forEach(t => t.stop());
         }
     }
 }
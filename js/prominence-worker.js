@@ -0,0 +1,76 @@
+/**
+ * Prominence Worker - Runs the Wasm detector off the main thread
+ * Audio frames arrive from the AudioWorklet over a MessagePort; syllable
+ * events (prominent or not) are posted back to ProminenceDetectorWasm on the main thread.
+ *
+ * Messages in:  init {config}, audio-port {port}, config {config}, calibrate, destroy
+ * Messages out: ready, syllable {event}, calibration-end, error {message}
+ */
+
+importScripts('../wasm/syllable.js', 'prominence-detector.js');
+
+let detector = null;
+
+/**
+ * Process one frame from the AudioWorklet
+ * Events are stamped in AudioContext time; the main thread maps them to its clock
+ */
+function handleAudioFrame(frame) {
+    if (!detector || !detector.isReady) return;
+
+    const events = detector.processSamples(new Float32Array(frame.samples), frame.contextTime * 1000);
+    for (const event of events) {
+        self.postMessage({ type: 'syllable', event });
+    }
+
+    if (detector.isCalibrating && !detector._syllable_is_calibrating(detector.detector)) {
+        detector.isCalibrating = false;
+        self.postMessage({ type: 'calibration-end' });
+    }
+}
+
+self.onmessage = async (event) => {
+    const message = event.data;
+
+    switch (message.type) {
+        case 'init': {
+            detector = new ProminenceDetectorWasm({
+                ...message.config,
+                useWorker: false,
+                // syllable.wasm is resolved relative to this worker script
+                moduleArgs: { locateFile: (path) => `../wasm/${path}` },
+                onError: (error) => {
+                    self.postMessage({ type: 'error', message: error.message || String(error) });
+                }
+            });
+
+            if (await detector.init()) {
+                self.postMessage({ type: 'ready' });
+            }
+            break;
+        }
+
+        case 'audio-port':
+            message.port.onmessage = (frameEvent) => handleAudioFrame(frameEvent.data);
+            break;
+
+        case 'config':
+            if (detector) {
+                detector.updateConfig(message.config);
+            }
+            break;
+
+        case 'calibrate':
+            if (!detector || !detector.isReady) break;
+            detector.isCalibrating = true;
+            detector._syllable_recalibrate(detector.detector);
+            break;
+
+        case 'destroy':
+            if (detector) {
+                detector.destroy();
+                detector = null;
+            }
+            break;
+    }
+};
@@ -0,0 +1,216 @@
+/**
+ * Prosody Encoder - Maps separate prosodic cues to separate typographic channels
+ * Cues are measured per word from the detector's syllable events, relative
+ * to the speaker's running medians:
+ *   loudness    - syllable energy in dB above/below the median      -> 0..1
+ *   pitch       - peak F0 in semitones above/below the median       -> -1..1
+ *   lengthening - time per syllable relative to the median interval -> -1..1
+ * A preset assigns cues to channels (size, baseline, slant, letter-spacing).
+ */
+
+const PROSODY_PRESETS = {
+    prominence: {
+        label: 'Prominence (size only)',
+        channels: { size: 'prominence' }
+    },
+    prosody: {
+        label: 'Loudness / pitch rise / lengthening',
+        channels: { size: 'loudness', baseline: 'pitch', letterSpacing: 'lengthening' }
+    },
+    slant: {
+        label: 'Loudness / pitch slant / lengthening',
+        channels: { size: 'loudness', slant: 'pitch', letterSpacing: 'lengthening' }
+    },
+    pitch: {
+        label: 'Prominence + pitch rise',
+        channels: { size: 'prominence', baseline: 'pitch' }
+    }
+};
+
+const PROSODY_CHANNELS = {
+    size: 'Size',
+    baseline: 'Baseline',
+    slant: 'Slant',
+    letterSpacing: 'Spacing'
+};
+
+const PROSODY_CUES = {
+    prominence: 'prominence',
+    loudness: 'loudness',
+    pitch: 'pitch',
+    lengthening: 'lengthening'
+};
+
+class ProsodyEncoder {
+    constructor(options = {}) {
+        this.historySize = options.historySize || 200; // Syllables kept for the running medians
+        this.loudnessRangeDb = 12;     // Full size range spans +/- 6 dB
+        this.pitchRangeSemitones = 6;  // Full baseline/slant range spans +/- 6 semitones
+        this.maxRise = 0.3;            // em
+        this.maxSlant = 12;            // degrees
+        this.maxLetterSpacing = 0.15;  // em
+
+        this.preset = options.preset || 'prominence';
+        this.reset();
+    }
+
+    /**
+     * Forget the speaker statistics
+     */
+    reset() {
+        this.energies = [];
+        this.f0s = [];
+        this.intervals = [];
+        this.lastOnset = null;
+    }
+
+    /**
+     * Select a preset by name
+     */
+    setPreset(name) {
+        if (PROSODY_PRESETS[name]) {
+            this.preset = name;
+        }
+    }
+
+    get channels() {
+        return PROSODY_PRESETS[this.preset].channels;
+    }
+
+    /**
+     * Whether any channel other than prominence-driven size is in use
+     */
+    get isMultiDimensional() {
+        return Object.values(this.channels).some(cue => cue !== 'prominence');
+    }
+
+    /**
+     * Update the speaker statistics with one syllable event
+     * event: {timestamp, features: {energy, f0}}
+     */
+    observe(event) {
+        const features = event.features || {};
+
+        if (features.energy > 0) {
+            ProsodyEncoder.pushLimited(this.energies, features.energy, this.historySize);
+        }
+        if (features.f0 > 0) {
+            ProsodyEncoder.pushLimited(this.f0s, features.f0, this.historySize);
+        }
+
+        // Inter-onset intervals within running speech (pauses excluded)
+        if (this.lastOnset !== null) {
+            const interval = event.timestamp - this.lastOnset;
+            if (interval > 0 && interval < 600) {
+                ProsodyEncoder.pushLimited(this.intervals, interval, this.historySize);
+            }
+        }
+        this.lastOnset = event.timestamp;
+    }
+
+    /**
+     * Measure a word's cues
+     * events: its syllable events; durationMs and syllableCount describe its timing
+     * Cues without data are null
+     */
+    measure(events, durationMs, syllableCount) {
+        const cues = { loudness: null, pitch: null, lengthening: null };
+
+        const energies = events.map(e => e.features && e.features.energy).filter(v => v > 0);
+        const energyMedian = ProsodyEncoder.median(this.energies);
+        if (energies.length > 0 && energyMedian) {
+            const db = 10 * Math.log10(Math.max(...energies) / energyMedian);
+            cues.loudness = ProsodyEncoder.clamp(0.5 + db / this.loudnessRangeDb, 0, 1);
+        }
+
+        const f0s = events.map(e => e.features && e.features.f0).filter(v => v > 0);
+        const f0Median = ProsodyEncoder.median(this.f0s);
+        if (f0s.length > 0 && f0Median) {
+            const semitones = 12 * Math.log2(Math.max(...f0s) / f0Median);
+            cues.pitch = ProsodyEncoder.clamp(semitones / this.pitchRangeSemitones, -1, 1);
+        }
+
+        const intervalMedian = ProsodyEncoder.median(this.intervals);
+        if (durationMs > 0 && syllableCount > 0 && intervalMedian) {
+            const ratio = (durationMs / syllableCount) / intervalMedian;
+            cues.lengthening = ProsodyEncoder.clamp(Math.log2(ratio), -1, 1);
+        }
+
+        return cues;
+    }
+
+    /**
+     * Inline style values for a word under the current preset
+     * sizeFromT(t) maps a 0..1 value to {size, weight, letterSpacing} (continuous mode)
+     * Returns {size?, weight?, rise?, slant?, letterSpacing?}; missing keys keep the defaults
+     */
+    styleFor(word, sizeFromT) {
+        const cues = word.prosody || {};
+        const style = {};
+
+        for (const [channel, cue] of Object.entries(this.channels)) {
+            if (cue === 'prominence') continue; // Handled by the discrete/continuous size mapping
+
+            const value = word.isInterim ? null : cues[cue];
+            if (value === null || value === undefined) continue;
+
+            switch (channel) {
+                case 'size': {
+                    const t = cue === 'loudness' ? value : (value + 1) / 2;
+                    const sized = sizeFromT(t);
+                    style.size = sized.size;
+                    style.weight = sized.weight;
+                    break;
+                }
+                case 'baseline':
+                    style.rise = this.maxRise * value;
+                    break;
+                case 'slant':
+                    style.slant = this.maxSlant * value;
+                    break;
+                case 'letterSpacing':
+                    style.letterSpacing = this.maxLetterSpacing * Math.max(0, value);
+                    break;
+            }
+        }
+
+        return style;
+    }
+
+    /**
+     * Fill a legend element with the current preset's channel -> cue mapping
+     */
+    renderLegend(container) {
+        container.innerHTML = '';
+        container.classList.toggle('hidden', !this.isMultiDimensional);
+
+        for (const [channel, cue] of Object.entries(this.channels)) {
+            const item = document.createElement('span');
+            item.className = `legend-item legend-${channel}`;
+            item.textContent = `${PROSODY_CHANNELS[channel]} ← ${PROSODY_CUES[cue]}`;
+            container.appendChild(item);
+        }
+    }
+
+    static pushLimited(list, value, limit) {
+        list.push(value);
+        if (list.length > limit) {
+            list.shift();
+        }
+    }
+
+    static median(values) {
+        if (values.length === 0) return null;
+        const sorted = [...values].sort((a, b) => a - b);
+        return sorted[Math.floor(sorted.length / 2)];
+    }
+
+    static clamp(value, min, max) {
+        return Math.min(max, Math.max(min, value));
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ProsodyEncoder, PROSODY_PRESETS };
+}
@@ -0,0 +1,273 @@
+/**
+ * Protocol - Versioned message schema of the WebSocket API
+ * Shared by the browser clients (SpeechClient, CaptionRoomClient) and the
+ * server (require('../js/protocol')), so both ends validate against the same
+ * definitions. Text frames carry JSON control messages, binary frames carry
+ * audio behind a fixed 8-byte header:
+ *
+ *   byte 0     frame kind (0x01 = audio)
+ *   byte 1     flags (reserved, 0)
+ *   bytes 2-3  reserved (0)
+ *   bytes 4-7  sequence number, uint32 little-endian, from 0 after every `started`
+ *
+ * A connection starts with the client's `hello`; the server answers with its
+ * own `hello` naming the protocol version in use and its capabilities.
+ * Clients that never send `hello` are served as protocol 0 (raw audio frames).
+ * See server/README.md#websocket-protocol for the message reference.
+ */
+
+const PROTOCOL_VERSION = 1;
+const MIN_PROTOCOL_VERSION = 1;
+
+const AUDIO_HEADER_BYTES = 8;
+const FRAME_AUDIO = 0x01;
+
+// Error codes of `error` messages
+const PROTOCOL_ERRORS = {
+    UNSUPPORTED_VERSION: 'unsupported_version', // No common protocol version (connection closed)
+    INVALID_MESSAGE: 'invalid_message',         // Not JSON, schema violation or malformed audio frame
+    UNKNOWN_TYPE: 'unknown_type',
+    UNAUTHORIZED: 'unauthorized',               // Missing, invalid or expired token
+    INVALID_CONFIG: 'invalid_config',           // `start` config the server can't serve
+    NOT_READY: 'not_ready',                     // STT provider not configured
+    STREAM_LIMIT: 'stream_limit',               // Too many concurrent streams for this client
+    QUOTA_EXCEEDED: 'quota_exceeded',           // Daily audio minutes used up
+    PROVIDER_ERROR: 'provider_error',           // Recognition failed; the stream was stopped
+    INVALID_ROOM: 'invalid_room',
+    NOT_PRESENTER: 'not_presenter'              // `captions` from a socket that didn't publish
+};
+
+// Errors after which no recognition stream is running
+const STREAM_ENDING_ERRORS = [
+    PROTOCOL_ERRORS.UNAUTHORIZED, PROTOCOL_ERRORS.INVALID_CONFIG, PROTOCOL_ERRORS.NOT_READY,
+    PROTOCOL_ERRORS.STREAM_LIMIT, PROTOCOL_ERRORS.QUOTA_EXCEEDED, PROTOCOL_ERRORS.PROVIDER_ERROR
+];
+
+// WebSocket close codes that end a session for good (the client must not retry)
+const PROTOCOL_CLOSE_CODES = {
+    UNSUPPORTED_VERSION: 4400,
+    UNAUTHORIZED: 4401
+};
+
+/*
+ * Field specs: {type, optional, nullable, enum, min, max, fields (object), items (array)}
+ * type is string | number | integer | boolean | object | array | any.
+ * Optional fields may be left out; objects and arrays are only null where nullable.
+ * Fields not listed are allowed and ignored, so later versions can add them.
+ */
+const MESSAGE_WORD = {
+    type: 'object', fields: {
+        word: { type: 'string' },
+        startTime: { type: 'number', min: 0 },
+        endTime: { type: 'number', min: 0 },
+        confidence: { type: 'number', optional: true },
+        speakerTag: { type: 'integer', min: 1, optional: true }
+    }
+};
+
+const MESSAGE_ROOM = { type: 'string', min: 1, max: 64 };
+const MESSAGE_CAPTION_WORDS = { type: 'array', items: { type: 'object' } };
+
+const MESSAGE_SCHEMAS = {
+    // Client -> server
+    client: {
+        hello: {
+            protocol: { type: 'integer', min: 0 },  // Highest version the client speaks
+            client: { type: 'string', optional: true }
+        },
+        start: {
+            config: {
+                type: 'object', optional: true, fields: {
+                    language: { type: 'string', optional: true },
+                    encoding: { type: 'string', optional: true },
+                    sampleRate: { type: 'integer', min: 8000, max: 48000, optional: true },
+                    channels: { type: 'integer', min: 1, optional: true },
+                    diarization: { type: 'boolean', optional: true }
+                }
+            }
+        },
+        stop: {},
+        backfill: { durationMs: { type: 'number', min: 0 } },
+        ping: {},
+        publish: { room: MESSAGE_ROOM },
+        subscribe: { room: MESSAGE_ROOM },
+        captions: {
+            final: { ...MESSAGE_CAPTION_WORDS, optional: true },
+            interim: { ...MESSAGE_CAPTION_WORDS, optional: true },
+            settings: { type: 'object', optional: true }
+        },
+        leave: {}
+    },
+
+    // Server -> client
+    server: {
+        hello: {
+            protocol: { type: 'integer', min: 0 },
+            server: { type: 'string' },
+            capabilities: {
+                type: 'object', fields: {
+                    provider: { type: 'string' },
+                    ready: { type: 'boolean' },
+                    encodings: { type: 'array', items: { type: 'string' } },
+                    opusSampleRates: { type: 'array', items: { type: 'integer' } },
+                    diarization: { type: 'boolean' },
+                    languages: { type: 'any' },              // Array of BCP-47 tags, or null for any
+                    maxBackfillMs: { type: 'number' },
+                    rooms: { type: 'boolean' },
+                    anonymous: { type: 'boolean' }           // Only rooms may be watched without a token
+                }
+            }
+        },
+        started: {
+            encoding: { type: 'string' },
+            sampleRate: { type: 'integer' },
+            channels: { type: 'integer' }
+        },
+        result: {
+            transcript: { type: 'string' },
+            words: { type: 'array', items: MESSAGE_WORD },
+            isFinal: { type: 'boolean' },
+            confidence: { type: 'number', optional: true },
+            backfilled: { type: 'boolean', optional: true }
+        },
+        error: {
+            code: { type: 'string' },
+            message: { type: 'string' }
+        },
+        pong: {},
+        published: { room: MESSAGE_ROOM, viewers: { type: 'integer', min: 0 } },
+        subscribed: {
+            room: MESSAGE_ROOM,
+            history: MESSAGE_CAPTION_WORDS,
+            interim: MESSAGE_CAPTION_WORDS,
+            settings: { type: 'any' },
+            presenterOnline: { type: 'boolean' }
+        },
+        captions: {
+            room: MESSAGE_ROOM,
+            final: MESSAGE_CAPTION_WORDS,
+            interim: MESSAGE_CAPTION_WORDS,
+            settings: { type: 'object', optional: true }
+        },
+        presenter: { room: MESSAGE_ROOM, online: { type: 'boolean' } },
+        'room-status': { room: MESSAGE_ROOM, viewers: { type: 'integer', min: 0 } }
+    }
+};
+
+class Protocol {
+    /**
+     * Check a parsed message sent by 'client' or 'server'
+     * Returns null, or {code, message} for an `error` reply
+     */
+    static validate(message, sender) {
+        if (!message || typeof message !== 'object' || Array.isArray(message)) {
+            return { code: PROTOCOL_ERRORS.INVALID_MESSAGE, message: 'Messages are JSON objects' };
+        }
+        const schema = MESSAGE_SCHEMAS[sender][message.type];
+        if (!schema) {
+            return { code: PROTOCOL_ERRORS.UNKNOWN_TYPE, message: `Unknown message type: ${message.type}` };
+        }
+
+        const problem = Protocol.checkFields(message, schema, '');
+        return problem ? { code: PROTOCOL_ERRORS.INVALID_MESSAGE, message: `${message.type}: ${problem}` } : null;
+    }
+
+    static checkFields(object, fields, prefix) {
+        for (const [name, spec] of Object.entries(fields)) {
+            const problem = Protocol.checkValue(object[name], spec, prefix + name);
+            if (problem) return problem;
+        }
+        return null;
+    }
+
+    static checkValue(value, spec, path) {
+        if (value === null && (spec.type === 'object' || spec.type === 'array') && !spec.nullable) {
+            return `${path} must be an ${spec.type}, not null`;
+        }
+        if (value === undefined || value === null) {
+            return spec.optional || spec.type === 'any' ? null : `${path} is required`;
+        }
+
+        switch (spec.type) {
+            case 'any':
+                return null;
+            case 'integer':
+                if (!Number.isInteger(value)) return `${path} must be an integer`;
+                break;
+            case 'number':
+                if (typeof value !== 'number' || !Number.isFinite(value)) return `${path} must be a number`;
+                break;
+            case 'array':
+                if (!Array.isArray(value)) return `${path} must be an array`;
+                break;
+            case 'object':
+                if (typeof value !== 'object' || Array.isArray(value)) return `${path} must be an object`;
+                break;
+            default:
+                if (typeof value !== spec.type) return `${path} must be a ${spec.type}`;
+        }
+
+        if (spec.enum && !spec.enum.includes(value)) {
+            return `${path} must be one of ${spec.enum.join(', ')}`;
+        }
+        const size = typeof value === 'string' ? value.length : value;
+        if (typeof size === 'number' && spec.min !== undefined && size < spec.min) return `${path} is below ${spec.min}`;
+        if (typeof size === 'number' && spec.max !== undefined && size > spec.max) return `${path} is above ${spec.max}`;
+
+        if (spec.fields) {
+            return Protocol.checkFields(value, spec.fields, `${path}.`);
+        }
+        if (spec.items) {
+            for (let i = 0; i < value.length; i++) {
+                const problem = Protocol.checkValue(value[i], spec.items, `${path}[${i}]`);
+                if (problem) return problem;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Protocol version both ends speak, or null
+     */
+    static negotiate(clientVersion) {
+        const version = Math.min(clientVersion, PROTOCOL_VERSION);
+        return version >= MIN_PROTOCOL_VERSION ? version : null;
+    }
+
+    /**
+     * Binary frame: audio header followed by the payload (PCM or an Ogg page)
+     */
+    static encodeAudio(payload, sequence) {
+        const bytes = payload instanceof Uint8Array ? payload : new Uint8Array(payload);
+        const frame = new Uint8Array(AUDIO_HEADER_BYTES + bytes.length);
+        const view = new DataView(frame.buffer);
+        frame[0] = FRAME_AUDIO;
+        view.setUint32(4, sequence >>> 0, true);
+        frame.set(bytes, AUDIO_HEADER_BYTES);
+        return frame.buffer;
+    }
+
+    /**
+     * Split a binary frame (Uint8Array or Node Buffer); returns {sequence, payload} or null
+     */
+    static decodeAudio(frame) {
+        if (frame.length < AUDIO_HEADER_BYTES || frame[0] !== FRAME_AUDIO) return null;
+        const view = new DataView(frame.buffer, frame.byteOffset, frame.byteLength);
+        return {
+            sequence: view.getUint32(4, true),
+            payload: frame.subarray(AUDIO_HEADER_BYTES)
+        };
+    }
+}
+
+Protocol.VERSION = PROTOCOL_VERSION;
+Protocol.MIN_VERSION = MIN_PROTOCOL_VERSION;
+Protocol.ERRORS = PROTOCOL_ERRORS;
+Protocol.STREAM_ENDING_ERRORS = STREAM_ENDING_ERRORS;
+Protocol.CLOSE_CODES = PROTOCOL_CLOSE_CODES;
+Protocol.SCHEMAS = MESSAGE_SCHEMAS;
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Protocol;
+}
@@ -0,0 +1,291 @@
+/**
+ * Speaker Profiles - Named settings + calibration + detector tuning per speaker
+ * Profiles live in localStorage (in memory if storage is unavailable) and
+ * can be exported/imported as JSON files to move them between machines.
+ *
+ * Profile: {format, version, name, updatedAt, settings, detector}
+ *   settings - a snapshot of ProminenceSubtitle.settings
+ *   detector - {prominenceThreshold, minSyllableDistMs, snrThreshold}
+ *
+ * Stored and imported profiles are untrusted: settings keep only known keys
+ * of the right type and range (see sanitizeSettings), everything else is dropped.
+ */
+
+const PROFILE_FORMAT = 'prominence-subtitle-profile';
+const PROFILE_VERSION = 1;
+const DETECTOR_PROFILE_KEYS = ['prominenceThreshold', 'minSyllableDistMs', 'snrThreshold'];
+
+// Names that clash with object internals once profiles are written out as JSON
+const RESERVED_PROFILE_NAMES = new Set(['prototype', ...Object.getOwnPropertyNames(Object.prototype)]);
+
+const PROFILE_RENDER_MODES = ['discrete', 'continuous'];
+const PROFILE_PROSODY_PRESETS = ['prominence', 'prosody', 'slant', 'pitch'];
+const PROFILE_CAPTION_MODES = ['roll-up', 'pop-on'];
+const PROFILE_LANGUAGE_PATTERN = /^[A-Za-z]{2,3}(-[A-Za-z0-9]{2,8}){0,2}$/;
+const PROFILE_MAX_NORMALIZATION_KNOTS = 64;
+
+class SpeakerProfileStore {
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'prominence-subtitle.profiles';
+        this.storage = options.storage !== undefined ? options.storage : SpeakerProfileStore.defaultStorage();
+
+        this.profiles = new Map(); // name -> profile
+        this.activeName = null;
+        this.load();
+    }
+
+    /**
+     * localStorage if usable (it throws in some private modes), else null
+     */
+    static defaultStorage() {
+        try {
+            const storage = window.localStorage;
+            storage.setItem('__probe__', '1');
+            storage.removeItem('__probe__');
+            return storage;
+        } catch (e) {
+            console.warn('[Profiles] localStorage unavailable, profiles last for this session only');
+            return null;
+        }
+    }
+
+    /**
+     * Read all profiles from storage (profiles that fail validation are skipped)
+     */
+    load() {
+        if (!this.storage) return;
+
+        let data;
+        try {
+            data = JSON.parse(this.storage.getItem(this.storageKey) || 'null');
+        } catch (e) {
+            console.warn('[Profiles] Stored profiles unreadable, starting fresh:', e);
+            return;
+        }
+        if (!data || !data.profiles || typeof data.profiles !== 'object') return;
+
+        for (const stored of Object.values(data.profiles)) {
+            try {
+                const profile = SpeakerProfileStore.validate(stored);
+                this.profiles.set(profile.name, profile);
+            } catch (e) {
+                console.warn('[Profiles] Skipping stored profile:', e.message);
+            }
+        }
+        this.activeName = this.profiles.has(data.active) ? data.active : null;
+    }
+
+    /**
+     * Write all profiles to storage; if that fails (quota, private mode) they stay in memory
+     */
+    persist() {
+        if (!this.storage) return;
+
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify({
+                active: this.activeName,
+                profiles: Object.fromEntries(this.profiles)
+            }));
+        } catch (e) {
+            console.warn('[Profiles] Could not save profiles, keeping them for this session only:', e);
+        }
+    }
+
+    /**
+     * Profile names, sorted
+     */
+    names() {
+        return [...this.profiles.keys()].sort((a, b) => a.localeCompare(b));
+    }
+
+    get(name) {
+        return this.profiles.get(name) || null;
+    }
+
+    getActive() {
+        return this.activeName ? this.get(this.activeName) : null;
+    }
+
+    setActive(name) {
+        if (!this.profiles.has(name)) {
+            throw new Error(`Unknown profile: ${name}`);
+        }
+        this.activeName = name;
+        this.persist();
+    }
+
+    /**
+     * Create or overwrite a profile
+     */
+    save(name, settings, detector) {
+        const profile = SpeakerProfileStore.validate({
+            format: PROFILE_FORMAT,
+            version: PROFILE_VERSION,
+            name,
+            updatedAt: new Date().toISOString(),
+            settings: JSON.parse(JSON.stringify(settings)),
+            detector
+        });
+
+        this.profiles.set(profile.name, profile);
+        this.persist();
+        return profile;
+    }
+
+    remove(name) {
+        this.profiles.delete(name);
+        if (this.activeName === name) {
+            this.activeName = null;
+        }
+        this.persist();
+    }
+
+    /**
+     * Profile as a JSON document
+     */
+    exportProfile(name) {
+        const profile = this.get(name);
+        if (!profile) {
+            throw new Error(`Unknown profile: ${name}`);
+        }
+        return JSON.stringify(profile, null, 2);
+    }
+
+    /**
+     * Store a profile from a JSON document (overwrites a profile with the same name)
+     */
+    importProfile(json) {
+        let data;
+        try {
+            data = JSON.parse(json);
+        } catch (e) {
+            throw new Error('Profile file is not valid JSON');
+        }
+
+        const profile = SpeakerProfileStore.validate(data);
+        this.profiles.set(profile.name, profile);
+        this.persist();
+        return profile;
+    }
+
+    /**
+     * Check a profile document and keep only known settings and detector keys
+     */
+    static validate(data) {
+        if (!data || data.format !== PROFILE_FORMAT) {
+            throw new Error('Not a speaker profile');
+        }
+        if (data.version > PROFILE_VERSION) {
+            throw new Error(`Profile version ${data.version} is newer than supported (${PROFILE_VERSION})`);
+        }
+        if (typeof data.name !== 'string' || data.name.trim() === '') {
+            throw new Error('Profile has no name');
+        }
+        if (RESERVED_PROFILE_NAMES.has(data.name.trim())) {
+            throw new Error(`"${data.name.trim()}" cannot be used as a profile name`);
+        }
+        const settings = SpeakerProfileStore.sanitizeSettings(data.settings);
+        if (!settings) {
+            throw new Error('Profile has no settings');
+        }
+
+        const detector = {};
+        for (const key of DETECTOR_PROFILE_KEYS) {
+            const value = data.detector && data.detector[key];
+            if (typeof value === 'number' && Number.isFinite(value)) {
+                detector[key] = value;
+            }
+        }
+
+        return {
+            format: PROFILE_FORMAT,
+            version: PROFILE_VERSION,
+            name: data.name.trim(),
+            updatedAt: typeof data.updatedAt === 'string' ? data.updatedAt : new Date().toISOString(),
+            settings,
+            detector
+        };
+    }
+
+    /**
+     * Known settings with the right type and range; null when none is usable
+     * Applied settings are merged over the current ones, so missing keys keep their values
+     */
+    static sanitizeSettings(settings) {
+        if (!SpeakerProfileStore.isPlainObject(settings)) return null;
+
+        const number = (value, min, max) =>
+            (typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max ? value : undefined);
+        const integer = (value, min, max) => (Number.isInteger(value) ? number(value, min, max) : undefined);
+        const oneOf = (value, values) => (values.includes(value) ? value : undefined);
+        const thresholds = SpeakerProfileStore.isPlainObject(settings.sensitivityThreshold) ? settings.sensitivityThreshold : {};
+        const continuous = SpeakerProfileStore.isPlainObject(settings.continuous) ? settings.continuous : {};
+        const captions = SpeakerProfileStore.isPlainObject(settings.captions) ? settings.captions : {};
+
+        const clean = SpeakerProfileStore.compact({
+            language: typeof settings.language === 'string' && PROFILE_LANGUAGE_PATTERN.test(settings.language)
+                ? settings.language : undefined,
+            baseSize: number(settings.baseSize, 8, 128),
+            sensitivity: number(settings.sensitivity, 0, 100),
+            sensitivityThreshold: SpeakerProfileStore.compact({
+                smallMax: number(thresholds.smallMax, 0, 1),
+                normalMax: number(thresholds.normalMax, 0, 1)
+            }),
+            calibratedMin: number(settings.calibratedMin, 0, 1),
+            calibratedMax: number(settings.calibratedMax, 0, 1),
+            scoreNormalization: SpeakerProfileStore.sanitizeNormalization(settings.scoreNormalization),
+            minAlignmentConfidence: number(settings.minAlignmentConfidence, 0, 1),
+            renderMode: oneOf(settings.renderMode, PROFILE_RENDER_MODES),
+            continuous: SpeakerProfileStore.compact({
+                minSize: number(continuous.minSize, 8, 128),
+                maxSize: number(continuous.maxSize, 8, 128),
+                minWeight: number(continuous.minWeight, 100, 900),
+                maxWeight: number(continuous.maxWeight, 100, 900),
+                maxLetterSpacing: number(continuous.maxLetterSpacing, 0, 1)
+            }),
+            prosodyPreset: oneOf(settings.prosodyPreset, PROFILE_PROSODY_PRESETS),
+            multiSpeaker: typeof settings.multiSpeaker === 'boolean' ? settings.multiSpeaker : undefined,
+            captions: SpeakerProfileStore.compact({
+                mode: oneOf(captions.mode, PROFILE_CAPTION_MODES),
+                lines: integer(captions.lines, 1, 4),
+                maxCharsPerLine: integer(captions.maxCharsPerLine, 8, 200),
+                minDisplayMs: number(captions.minDisplayMs, 0, 60000)
+            })
+        });
+        return clean || null;
+    }
+
+    /**
+     * Calibration curve {knots: [[raw, normalized], ...]} with raw scores increasing; null clears it
+     */
+    static sanitizeNormalization(curve) {
+        if (curve === null) return null;
+        if (!SpeakerProfileStore.isPlainObject(curve) || !Array.isArray(curve.knots) ||
+            curve.knots.length > PROFILE_MAX_NORMALIZATION_KNOTS) {
+            return undefined;
+        }
+
+        const valid = curve.knots.every((knot, i) =>
+            Array.isArray(knot) && knot.length === 2 &&
+            knot.every(value => typeof value === 'number' && Number.isFinite(value)) &&
+            (i === 0 || knot[0] > curve.knots[i - 1][0]));
+        return valid ? { knots: curve.knots.map(([raw, normalized]) => [raw, normalized]) } : undefined;
+    }
+
+    static isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    /**
+     * Drop undefined fields; undefined when nothing is left
+     */
+    static compact(object) {
+        const entries = Object.entries(object).filter(([, value]) => value !== undefined);
+        return entries.length > 0 ? Object.fromEntries(entries) : undefined;
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SpeakerProfileStore;
+}
@@ -0,0 +1,118 @@
+/**
+ * Speaker Registry - Labels, colours and prominence normalization per speaker
+ * With several voices on one microphone the detector's scores depend on how
+ * loud each speaker is. Word scores are therefore quantile-matched: a score's
+ * rank among its speaker's recent words is looked up in a reference
+ * distribution (the average of all speakers' quantile curves), so every
+ * speaker spans the same range of sizes.
+ */
+
+const SPEAKER_COLORS = ['#ffd54f', '#4fc3f7', '#aed581', '#f48fb1', '#ffb74d', '#b39ddb'];
+
+class SpeakerRegistry {
+    constructor(options = {}) {
+        this.historySize = options.historySize || 100; // Word scores kept per speaker
+        this.minSamples = options.minSamples || 8;     // Below this a speaker's scores pass through
+        this.colors = options.colors || SPEAKER_COLORS;
+        this.speakers = new Map();
+    }
+
+    /**
+     * Forget all speakers
+     */
+    clear() {
+        this.speakers.clear();
+    }
+
+    /**
+     * Speaker for a tag (1, 2, ...), created on first use
+     */
+    get(tag) {
+        if (!this.speakers.has(tag)) {
+            this.speakers.set(tag, {
+                tag,
+                label: `Speaker ${tag}`,
+                color: this.colors[(tag - 1) % this.colors.length],
+                scores: []
+            });
+        }
+        return this.speakers.get(tag);
+    }
+
+    /**
+     * Label for a tag without registering the speaker
+     */
+    labelFor(tag) {
+        const speaker = this.speakers.get(tag);
+        return speaker ? speaker.label : `Speaker ${tag}`;
+    }
+
+    setLabel(tag, label) {
+        this.get(tag).label = label;
+    }
+
+    /**
+     * All known speakers, by tag
+     */
+    list() {
+        return [...this.speakers.values()].sort((a, b) => a.tag - b.tag);
+    }
+
+    /**
+     * Record a finalized word's raw prominence score
+     */
+    observe(tag, score) {
+        if (!(tag > 0) || typeof score !== 'number') return;
+
+        const scores = this.get(tag).scores;
+        scores.push(score);
+        if (scores.length > this.historySize) {
+            scores.shift();
+        }
+    }
+
+    /**
+     * Map a raw score onto the shared scale
+     * Unchanged until this speaker and at least one other have enough words
+     */
+    normalize(tag, score) {
+        const speaker = this.speakers.get(tag);
+        const reference = this.list().filter(s => s.scores.length >= this.minSamples);
+        if (!speaker || speaker.scores.length < this.minSamples || reference.length < 2) {
+            return score;
+        }
+
+        const rank = SpeakerRegistry.rank(speaker.scores, score);
+        const quantiles = reference.map(s => SpeakerRegistry.quantile(s.scores, rank));
+        return quantiles.reduce((sum, q) => sum + q, 0) / quantiles.length;
+    }
+
+    /**
+     * Fraction of values below score (ties count half)
+     */
+    static rank(values, score) {
+        let below = 0;
+        let equal = 0;
+        for (const value of values) {
+            if (value < score) below++;
+            else if (value === score) equal++;
+        }
+        return (below + equal / 2) / values.length;
+    }
+
+    /**
+     * Value at fraction p of the sorted values (linear between neighbours)
+     */
+    static quantile(values, p) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const position = Math.min(1, Math.max(0, p)) * (sorted.length - 1);
+        const lower = Math.floor(position);
+        const upper = Math.min(sorted.length - 1, lower + 1);
+        return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SpeakerRegistry, SPEAKER_COLORS };
+}
@@ -1,6 +1,15 @@
 /**
  * Speech Client - WebSocket connection to backend Speech-to-Text server
  * Provides word-level timestamps for accurate prominence alignment
+ * A dropped connection (closed socket or missed heartbeat pong) is retried
+ * with exponential backoff, and streaming resumes on a fresh server stream.
+ * Captured audio is kept in a bounded ring buffer; after a reconnect,
+ * everything not yet covered by a final result is replayed to the new stream
+ * first and its results come back marked as backfilled.
+ * The uplink is LINEAR16, or Ogg Opus (see OpusUplink) when requested and
+ * accepted by the server in reply to the `start` message.
+ * Messages follow js/protocol.js: the client opens with `hello`, and once the
+ * server has answered with protocol 1 audio is sent in framed binary messages.
  */
 
 class SpeechClient {
@@ -8,19 +17,61 @@ class SpeechClient {
         this.serverUrl = options.serverUrl || 'ws://localhost:3001';
         this.language = options.language || 'en-US';
         this.sampleRate = options.sampleRate || 16000;
+        this.diarization = options.diarization || false; // Ask the server for speaker tags
+        this.encoding = options.encoding || 'LINEAR16';  // Requested uplink: LINEAR16 | OGG_OPUS
+        this.token = options.token || null;              // Access token (server with AUTH_SECRET)
 
         // Callbacks
         this.onResult = options.onResult || (() => { });
         this.onError = options.onError || (() => { });
-        this.onStatusChange = options.onStatusChange || (() => { });
+        this.onStatusChange = options.onStatusChange || (() => { }); // connecting | connected | reconnecting | disconnected
+        this.onReconnected = options.onReconnected || (() => { });
+        this.onBackfill = options.onBackfill || (() => { }); // durationMs of audio replayed after a reconnect
+
+        // Reconnection (exponential backoff with jitter) and heartbeat
+        this.autoReconnect = options.autoReconnect !== false;
+        this.reconnectDelayMs = options.reconnectDelayMs || 1000;
+        this.maxReconnectDelayMs = options.maxReconnectDelayMs || 30000;
+        this.maxReconnectAttempts = options.maxReconnectAttempts ?? Infinity;
+        this.heartbeatIntervalMs = options.heartbeatIntervalMs || 10000;
+        this.heartbeatTimeoutMs = options.heartbeatTimeoutMs || 5000;
+
+        // Outage buffer: the last maxBufferMs of captured audio (0 disables backfill)
+        this.maxBufferMs = options.maxBufferMs ?? 30000;
+        this.audioBuffer = [];          // [{data: ArrayBuffer, contextTime, duration}]
+        this.confirmedUntil = null;     // AudioContext time covered by final results
+        this.backfillPending = false;   // Replay the buffer once the new stream has started
 
         // State
         this.ws = null;
         this.isConnected = false;
         this.isStreaming = false;
-        this.audioContext = null;
-        this.mediaStream = null;
-        this.processor = null;
+        this.resumeStreaming = false;  // Restart recognition after a reconnect
+        this.isReconnecting = false;
+        this.closedByUser = false;
+        this.reconnectAttempts = 0;
+        this.reconnectTimer = null;
+        this.heartbeatTimer = null;
+        this.pongTimer = null;
+
+        // Shared capture graph (see AudioPipeline); owned only if we created it
+        this.pipeline = null;
+        this.ownsPipeline = false;
+        this.frameSize = 4096;
+
+        // Negotiated protocol (0 until the server's hello) and server capabilities
+        this.protocolVersion = 0;
+        this.capabilities = null;
+        this.audioSequence = 0;
+
+        // Negotiated uplink encoding and its encoder
+        this.uplinkEncoding = null;
+        this.opusUplink = null;
+
+        // Server word offsets count from the first audio chunk the provider
+        // receives, so that chunk's capture time anchors the stream
+        this.streamStartContextTime = null; // AudioContext seconds
+        this.streamStartTime = null;        // performance.now() ms
 
         // Audio resampling
         this.targetSampleRate = 16000; // Google STT optimal
@@ -30,35 +81,48 @@ class SpeechClient {
      * Connect to the backend server
      */
     async connect() {
-        return new Promise((resolve, reject) => {
-            this.onStatusChange('connecting');
+        this.closedByUser = false;
+        this.onStatusChange('connecting');
+        return this.open();
+    }
 
+    /**
+     * Open the WebSocket; handlers ignore sockets that have since been replaced
+     */
+    open() {
+        return new Promise((resolve, reject) => {
             try {
-                this.ws = new WebSocket(this.serverUrl);
+                const ws = new WebSocket(SpeechClient.withToken(this.serverUrl, this.token));
+                this.ws = ws;
 
-                this.ws.onopen = () => {
+                ws.onopen = () => {
+                    if (this.ws !== ws) return;
                     console.log('[SpeechClient] Connected to server');
                     this.isConnected = true;
+                    this.reconnectAttempts = 0;
+                    this.protocolVersion = 0;
+                    this.send({ type: 'hello', protocol: Protocol.VERSION, client: 'prominence-subtitle-web' });
+                    this.startHeartbeat();
                     this.onStatusChange('connected');
                     resolve(true);
                 };
 
-                this.ws.onclose = () => {
-                    console.log('[SpeechClient] Disconnected from server');
-                    this.isConnected = false;
-                    this.isStreaming = false;
-                    this.onStatusChange('disconnected');
+                ws.onclose = (event) => {
+                    this.handleClose(ws, event);
+                    reject(new Error('WebSocket closed'));
                 };
 
-                this.ws.onerror = (error) => {
+                ws.onerror = (error) => {
                     console.error('[SpeechClient] WebSocket error:', error);
-                    this.onError('WebSocket connection failed');
-                    this.onStatusChange('disconnected');
+                    if (!this.isReconnecting) {
+                        this.onError('WebSocket connection failed');
+                    }
                     reject(error);
                 };
 
-                this.ws.onmessage = (event) => {
-                    this.handleMessage(JSON.parse(event.data));
+                ws.onmessage = (event) => {
+                    if (this.ws !== ws) return;
+                    this.receive(event.data);
                 };
 
             } catch (error) {
@@ -69,91 +133,223 @@ class SpeechClient {
         });
     }
 
+    /**
+     * Connection lost: retry unless disconnect() was called or the server refused us
+     * (close codes 4000-4999, e.g. 4401 for a missing or expired token)
+     */
+    handleClose(ws, event = null) {
+        if (this.ws !== ws) return;
+
+        const wasConnected = this.isConnected;
+        this.ws = null;
+        this.isConnected = false;
+        this.isStreaming = false;
+        this.stopHeartbeat();
+
+        const refused = event && event.code >= 4000 && event.code < 5000;
+        if (refused) {
+            console.error(`[SpeechClient] Server closed the connection: ${event.reason} (${event.code})`);
+            this.isReconnecting = false;
+            this.resumeStreaming = false;
+            this.onStatusChange('disconnected');
+            this.onError(event.reason || 'Connection refused by server');
+        } else if (!this.closedByUser && this.autoReconnect && (wasConnected || this.isReconnecting)) {
+            if (wasConnected) console.log('[SpeechClient] Connection lost');
+            this.scheduleReconnect();
+        } else {
+            console.log('[SpeechClient] Disconnected from server');
+            this.onStatusChange('disconnected');
+        }
+    }
+
+    scheduleReconnect() {
+        if (this.reconnectAttempts >= this.maxReconnectAttempts) {
+            console.error('[SpeechClient] Giving up after', this.reconnectAttempts, 'reconnect attempts');
+            this.isReconnecting = false;
+            this.resumeStreaming = false;
+            this.onStatusChange('disconnected');
+            this.onError('Lost connection to server');
+            return;
+        }
+
+        const backoff = Math.min(this.maxReconnectDelayMs, this.reconnectDelayMs * 2 ** this.reconnectAttempts);
+        const delay = backoff * (0.8 + Math.random() * 0.4); // Jitter so clients don't retry in lockstep
+        this.reconnectAttempts++;
+        this.isReconnecting = true;
+        this.onStatusChange('reconnecting');
+        console.log(`[SpeechClient] Reconnecting in ${Math.round(delay)} ms (attempt ${this.reconnectAttempts})`);
+
+        this.reconnectTimer = setTimeout(() => this.reconnect(), delay);
+    }
+
+    async reconnect() {
+        this.reconnectTimer = null;
+        try {
+            await this.open();
+        } catch (error) {
+            return; // handleClose has scheduled the next attempt
+        }
+
+        this.isReconnecting = false;
+        if (this.resumeStreaming) {
+            // A new server stream: its word offsets are re-anchored on the first chunk
+            this.backfillPending = this.maxBufferMs > 0;
+            this.sendStart();
+        }
+        console.log('[SpeechClient] Reconnected');
+        this.onReconnected();
+    }
+
+    /**
+     * Ping the server periodically; a missing pong means the connection is dead
+     */
+    startHeartbeat() {
+        this.stopHeartbeat();
+        this.heartbeatTimer = setInterval(() => {
+            if (this.pongTimer) return;
+
+            this.send({ type: 'ping' });
+            this.pongTimer = setTimeout(() => {
+                console.warn('[SpeechClient] Heartbeat timed out');
+                this.pongTimer = null;
+                const ws = this.ws;
+                this.handleClose(ws); // Don't wait for the close handshake of a dead socket
+                if (ws) ws.close();
+            }, this.heartbeatTimeoutMs);
+        }, this.heartbeatIntervalMs);
+    }
+
+    stopHeartbeat() {
+        clearInterval(this.heartbeatTimer);
+        clearTimeout(this.pongTimer);
+        this.heartbeatTimer = null;
+        this.pongTimer = null;
+    }
+
+    /**
+     * Parse and validate a server message; malformed or unknown messages are skipped
+     */
+    receive(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            console.warn('[SpeechClient] Ignoring non-JSON message');
+            return;
+        }
+
+        const invalid = Protocol.validate(data, 'server');
+        if (invalid) {
+            console.warn(`[SpeechClient] Ignoring message: ${invalid.message}`);
+            return;
+        }
+        this.handleMessage(data);
+    }
+
     /**
      * Handle incoming messages from server
      */
     handleMessage(data) {
         switch (data.type) {
+            case 'hello':
+                this.protocolVersion = data.protocol;
+                this.capabilities = data.capabilities;
+                console.log(`[SpeechClient] ${data.server} (protocol ${data.protocol}, ${data.capabilities.provider})`);
+                if (this.diarization && !data.capabilities.diarization) {
+                    console.warn(`[SpeechClient] ${data.capabilities.provider} can't tag speakers`);
+                }
+                break;
+
             case 'result':
+                if (data.isFinal && data.words && data.words.length > 0 && this.streamStartContextTime !== null) {
+                    const endTime = this.streamStartContextTime + data.words[data.words.length - 1].endTime / 1000;
+                    this.confirmedUntil = Math.max(this.confirmedUntil ?? endTime, endTime);
+                }
+
                 // Word-level results with timestamps
                 this.onResult({
                     transcript: data.transcript,
-                    words: data.words,  // Array of {word, startTime, endTime, confidence}
+                    words: data.words,  // Array of {word, startTime, endTime, confidence, speakerTag?}
                     isFinal: data.isFinal,
-                    confidence: data.confidence
+                    confidence: data.confidence,
+                    backfilled: data.backfilled === true, // Replayed audio from before a reconnect
+                    streamStartTime: this.streamStartTime,
+                    streamStartContextTime: this.streamStartContextTime
                 });
                 break;
 
             case 'started':
-                console.log('[SpeechClient] Recognition started');
+                console.log(`[SpeechClient] Recognition started (${data.encoding || 'LINEAR16'} uplink)`);
+                this.streamStartContextTime = null;
+                this.streamStartTime = null;
+                this.audioSequence = 0;
+                this.setupUplink(data.encoding || 'LINEAR16');
                 this.isStreaming = true;
+                if (this.opusUplink) {
+                    // Every server stream opens with the Ogg header pages
+                    this.opusUplink.headerPages().forEach(page => this.sendFrame(page));
+                }
+                if (this.backfillPending) {
+                    this.flushBackfill();
+                }
                 break;
 
             case 'error':
-                console.error('[SpeechClient] Server error:', data.message);
+                console.error(`[SpeechClient] Server error (${data.code}):`, data.message);
+                if (Protocol.STREAM_ENDING_ERRORS.includes(data.code)) {
+                    // The server ended (or never started) the stream; don't resume it on reconnect
+                    this.isStreaming = false;
+                    this.resumeStreaming = false;
+                }
                 this.onError(data.message);
                 break;
 
             case 'pong':
-                // Keep-alive response
+                // Heartbeat response
+                clearTimeout(this.pongTimer);
+                this.pongTimer = null;
                 break;
         }
     }
 
     /**
      * Start streaming audio to server
+     * Pass a shared AudioPipeline to reuse its capture graph; otherwise one is created
      */
-    async startStreaming() {
+    async startStreaming(pipeline = null) {
         if (!this.isConnected) {
             throw new Error('Not connected to server');
         }
 
         try {
-            // Get microphone access
-            this.mediaStream = await navigator.mediaDevices.getUserMedia({
-                audio: {
-                    channelCount: 1,
-                    sampleRate: this.targetSampleRate,
-                    echoCancellation: true,
-                    noiseSuppression: true
-                }
-            });
-
-            // Create audio context for processing
-            this.audioContext = new AudioContext({ sampleRate: this.targetSampleRate });
-            const source = this.audioContext.createMediaStreamSource(this.mediaStream);
-
-            // Create processor for audio chunks
-            // Note: ScriptProcessorNode is deprecated but works for now
-            // TODO: Migrate to AudioWorklet
-            const bufferSize = 4096;
-            this.processor = this.audioContext.createScriptProcessor(bufferSize, 1, 1);
-
-            this.processor.onaudioprocess = (e) => {
-                if (!this.isStreaming || !this.isConnected) return;
-
-                const inputData = e.inputBuffer.getChannelData(0);
-
-                // Convert Float32 to Int16 (LINEAR16 format for Google STT)
-                const int16Data = this.float32ToInt16(inputData);
+            this.ownsPipeline = !pipeline;
+            this.pipeline = pipeline || new AudioPipeline();
+            this.audioBuffer = [];
+            this.confirmedUntil = null;
+            this.backfillPending = false;
+
+            if (this.encoding === 'OGG_OPUS' && !(await OpusUplink.isSupported(this.targetSampleRate))) {
+                console.warn('[SpeechClient] Opus encoding (WebCodecs) unavailable, using LINEAR16');
+                this.encoding = 'LINEAR16';
+            }
 
-                // Send audio data to server
-                if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-                    this.ws.send(int16Data.buffer);
+            // The worklet resamples to 16 kHz and converts to Int16 (LINEAR16, or the Opus encoder's input)
+            await this.pipeline.addConsumer('stt', {
+                frameSize: this.frameSize,
+                targetSampleRate: this.targetSampleRate,
+                format: 'int16',
+                onFrame: (int16Data, frame) => {
+                    if (this.opusUplink) {
+                        this.opusUplink.encode(int16Data, frame.contextTime); // Pages arrive in sendAudio
+                    } else {
+                        this.sendAudio(int16Data.buffer, frame.contextTime, int16Data.length / this.targetSampleRate);
+                    }
                 }
-            };
-
-            source.connect(this.processor);
-            this.processor.connect(this.audioContext.destination);
+            });
 
             // Tell server to start recognition
-            this.ws.send(JSON.stringify({
-                type: 'start',
-                config: {
-                    language: this.language,
-                    sampleRate: this.targetSampleRate
-                }
-            }));
+            this.resumeStreaming = true;
+            this.sendStart();
 
             console.log('[SpeechClient] Streaming started');
             return true;
@@ -165,42 +361,184 @@ class SpeechClient {
         }
     }
 
+    sendStart() {
+        this.send({
+            type: 'start',
+            config: {
+                language: this.language,
+                encoding: this.encoding,
+                sampleRate: this.targetSampleRate,
+                channels: 1,
+                diarization: this.diarization
+            }
+        });
+    }
+
+    /**
+     * Switch to the uplink encoding the server accepted
+     * Buffered audio in the other encoding can't be replayed and is dropped
+     */
+    setupUplink(encoding) {
+        if (encoding === this.uplinkEncoding) return;
+
+        if (this.opusUplink) {
+            this.opusUplink.stop();
+            this.opusUplink = null;
+        }
+        if (encoding === 'OGG_OPUS') {
+            this.opusUplink = new OpusUplink({
+                sampleRate: this.targetSampleRate,
+                onPage: (page, contextTime, duration) => this.sendAudio(page, contextTime, duration),
+                onError: (error) => this.onError('Opus encoder failed: ' + error.message)
+            });
+            this.opusUplink.start();
+        }
+
+        this.audioBuffer = [];
+        this.uplinkEncoding = encoding;
+    }
+
     /**
-     * Convert Float32 audio samples to Int16
+     * Buffer an uplink chunk (PCM frame or Ogg page) and send it while streaming
      */
-    float32ToInt16(float32Array) {
-        const int16Array = new Int16Array(float32Array.length);
-        for (let i = 0; i < float32Array.length; i++) {
-            // Clamp and convert
-            const s = Math.max(-1, Math.min(1, float32Array[i]));
-            int16Array[i] = s < 0 ? s * 0x8000 : s * 0x7FFF;
+    sendAudio(data, contextTime, duration) {
+        this.bufferChunk(data, contextTime, duration);
+        if (!this.isStreaming || !this.isConnected) return;
+
+        // Send audio data to server
+        if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+            if (this.streamStartContextTime === null) {
+                this.anchorStream(contextTime);
+            }
+            this.sendFrame(data);
         }
-        return int16Array;
     }
 
     /**
-     * Stop streaming
+     * Send one audio payload, framed with a sequence number from protocol 1 on
      */
-    stopStreaming() {
-        this.isStreaming = false;
+    sendFrame(data) {
+        if (this.protocolVersion >= 1) {
+            this.ws.send(Protocol.encodeAudio(data, this.audioSequence++));
+        } else {
+            this.ws.send(data);
+        }
+    }
 
+    send(message) {
         if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-            this.ws.send(JSON.stringify({ type: 'stop' }));
+            this.ws.send(JSON.stringify(message));
+        }
+    }
+
+    /**
+     * Keep an uplink chunk in the ring buffer, dropping chunks older than maxBufferMs
+     */
+    bufferChunk(data, contextTime, duration) {
+        if (!this.resumeStreaming || this.maxBufferMs <= 0) return;
+
+        this.audioBuffer.push({ data, contextTime, duration });
+        const cutoff = contextTime - this.maxBufferMs / 1000;
+        while (this.audioBuffer.length > 0 && this.audioBuffer[0].contextTime < cutoff) {
+            this.audioBuffer.shift();
+        }
+    }
+
+    /**
+     * Replay buffered audio that no final result covers yet, ahead of the live audio
+     * The new stream is anchored at the first replayed frame, so offsets stay on the capture timeline
+     */
+    flushBackfill() {
+        this.backfillPending = false;
+
+        const from = this.confirmedUntil ?? -Infinity;
+        const frames = this.audioBuffer.filter(f => f.contextTime + f.duration > from);
+        if (frames.length === 0) return;
+
+        if (frames[0].contextTime > from) {
+            console.warn(`[SpeechClient] Outage exceeded the buffer, ${((frames[0].contextTime - from) * 1000).toFixed(0)} ms of audio lost`);
         }
 
-        if (this.processor) {
-            this.processor.disconnect();
-            this.processor = null;
+        const durationMs = frames.reduce((sum, f) => sum + f.duration, 0) * 1000;
+
+        this.anchorStream(frames[0].contextTime);
+        this.send({ type: 'backfill', durationMs });
+        for (const frame of frames) {
+            this.sendFrame(frame.data);
+        }
+
+        console.log(`[SpeechClient] Backfilled ${(durationMs / 1000).toFixed(1)} s of audio`);
+        this.onBackfill(durationMs);
+    }
+
+    /**
+     * Captured audio not yet covered by a final result (ms), at most the buffer length
+     */
+    get unconfirmedMs() {
+        if (this.confirmedUntil === null || !this.pipeline || !this.pipeline.audioContext) return 0;
+        const ms = (this.pipeline.audioContext.currentTime - this.confirmedUntil) * 1000;
+        return Math.min(this.maxBufferMs, Math.max(0, ms));
+    }
+
+    /**
+     * Record the capture time of the first chunk sent for this stream
+     */
+    anchorStream(contextTime) {
+        const clock = this.pipeline && this.pipeline.clock;
+        if (this.confirmedUntil === null) {
+            this.confirmedUntil = contextTime;
+        }
+        this.streamStartContextTime = contextTime;
+        this.streamStartTime = clock ? clock.toPerformanceTime(contextTime) : performance.now();
+        console.log(`[SpeechClient] Stream anchored at context time ${contextTime.toFixed(3)}s`);
+    }
+
+    /**
+     * Add ?token= to a WebSocket URL (browsers can't set headers on the upgrade)
+     */
+    static withToken(url, token) {
+        if (!token) return url;
+        const withToken = new URL(url);
+        withToken.searchParams.set('token', token);
+        return withToken.toString();
+    }
+
+    /**
+     * Map a server word offset (ms from stream start) to performance.now() time
+     * Returns null until the first chunk has been sent
+     */
+    toPerformanceTime(offsetMs) {
+        if (this.streamStartContextTime === null) return null;
+
+        const clock = this.pipeline && this.pipeline.clock;
+        if (clock) {
+            return clock.toPerformanceTime(this.streamStartContextTime + offsetMs / 1000);
         }
+        return this.streamStartTime + offsetMs;
+    }
 
-        if (this.audioContext) {
-            this.audioContext.close();
-            this.audioContext = null;
+    /**
+     * Stop streaming
+     */
+    stopStreaming() {
+        this.isStreaming = false;
+        this.resumeStreaming = false;
+        this.backfillPending = false;
+        this.audioBuffer = [];
+        this.send({ type: 'stop' });
+
+        if (this.opusUplink) {
+            this.opusUplink.stop();
+            this.opusUplink = null;
         }
+        this.uplinkEncoding = null;
 
-        if (this.mediaStream) {
-            this.mediaStream.getTracks().forEach(track => track.stop());
-            this.mediaStream = null;
+        if (this.pipeline) {
+            this.pipeline.removeConsumer('stt');
+            if (this.ownsPipeline) {
+                this.pipeline.stop();
+            }
+            this.pipeline = null;
         }
 
         console.log('[SpeechClient] Streaming stopped');
@@ -210,6 +548,11 @@ class SpeechClient {
      * Disconnect from server
      */
     disconnect() {
+        this.closedByUser = true;
+        this.isReconnecting = false;
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        this.stopHeartbeat();
         this.stopStreaming();
 
         if (this.ws) {
@@ -226,6 +569,13 @@ class SpeechClient {
     setLanguage(language) {
         this.language = language;
     }
+
+    /**
+     * Request speaker diarization (applies from the next startStreaming)
+     */
+    setDiarization(enabled) {
+        this.diarization = enabled;
+    }
 }
 
 // Export for use
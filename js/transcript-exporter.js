@@ -0,0 +1,227 @@
+/**
+ * Transcript Exporter - Session transcript store and subtitle file export
+ * Keeps every finalized word of a session and writes WebVTT, SRT and JSON
+ */
+
+class TranscriptStore {
+    constructor(options = {}) {
+        this.language = options.language || 'en-US';
+        this.words = [];
+
+        // Cue grouping
+        this.maxWordsPerCue = options.maxWordsPerCue || 7;
+        this.maxCueDurationMs = options.maxCueDurationMs || 5000;
+        this.maxGapMs = options.maxGapMs || 1000;
+        this.minCueDurationMs = options.minCueDurationMs || 700;
+    }
+
+    /**
+     * Add finalized words
+     * Each word: {text, prominenceScore, sizeLevel, confidence, alignmentConfidence, prosody, startTime, endTime, timing,
+     *             speakerTag?, speaker?}
+     * Times are milliseconds relative to the session start; words arriving late
+     * (backfilled after a reconnect) are inserted in start-time order
+     */
+    addWords(words) {
+        for (const word of words) {
+            const entry = {
+                text: word.text,
+                prominenceScore: word.prominenceScore,
+                sizeLevel: word.sizeLevel,
+                confidence: word.confidence !== undefined ? word.confidence : null,
+                alignmentConfidence: word.alignmentConfidence !== undefined ? word.alignmentConfidence : null,
+                prosody: word.prosody || null,
+                startTime: Math.max(0, word.startTime || 0),
+                endTime: Math.max(0, word.endTime || 0),
+                timing: word.timing || 'estimated',
+                speakerTag: word.speakerTag || null,
+                speaker: word.speaker || null
+            };
+
+            let index = this.words.length;
+            while (index > 0 && this.words[index - 1].startTime > entry.startTime) {
+                index--;
+            }
+            this.words.splice(index, 0, entry);
+        }
+    }
+
+    /**
+     * Clear the transcript
+     */
+    clear() {
+        this.words = [];
+    }
+
+    /**
+     * Group words into subtitle cues
+     * A new cue starts after a pause, at sentence punctuation, at a speaker change, or when the cue gets too long
+     */
+    toCues() {
+        const cues = [];
+        let current = null;
+
+        this.words.forEach((word, index) => {
+            const previous = index > 0 ? this.words[index - 1] : null;
+            const startNewCue = !current ||
+                current.words.length >= this.maxWordsPerCue ||
+                word.endTime - current.startTime > this.maxCueDurationMs ||
+                word.startTime - previous.endTime > this.maxGapMs ||
+                word.speakerTag !== previous.speakerTag ||
+                /[.!?。！？]$/.test(previous.text);
+
+            if (startNewCue) {
+                current = { startTime: word.startTime, endTime: word.endTime, speaker: word.speaker, words: [] };
+                cues.push(current);
+            }
+
+            current.words.push(word);
+            current.endTime = Math.max(current.endTime, word.endTime);
+        });
+
+        // Enforce a minimum display duration without overlapping the next cue
+        cues.forEach((cue, index) => {
+            const next = cues[index + 1];
+            let endTime = Math.max(cue.endTime, cue.startTime + this.minCueDurationMs);
+            if (next) {
+                endTime = Math.min(endTime, next.startTime);
+            }
+            cue.endTime = Math.max(endTime, cue.startTime + 1);
+        });
+
+        return cues;
+    }
+}
+
+class TranscriptExporter {
+    /**
+     * WebVTT with per-word size classes (<c.size-large>), word timestamp tags and speaker voice tags (<v>)
+     */
+    static toWebVTT(store) {
+        const lines = [
+            'WEBVTT',
+            '',
+            'STYLE',
+            '::cue(.size-small) { font-size: 67%; opacity: 0.85; }',
+            '::cue(.size-normal) { font-size: 100%; }',
+            '::cue(.size-large) { font-size: 133%; font-weight: bold; }',
+            ''
+        ];
+
+        const format = ms => TranscriptExporter.formatTimestamp(ms, '.');
+        const separator = TranscriptExporter.wordSeparator(store.language);
+
+        store.toCues().forEach((cue, index) => {
+            lines.push(String(index + 1));
+            lines.push(`${format(cue.startTime)} --> ${format(cue.endTime)}`);
+
+            const parts = cue.words.map((word, wordIndex) => {
+                const text = `<c.size-${word.sizeLevel}>${TranscriptExporter.escapeCueText(word.text)}</c>`;
+                // Timestamp tags must lie strictly inside the cue
+                if (wordIndex > 0 && word.startTime > cue.startTime && word.startTime < cue.endTime) {
+                    return `<${format(word.startTime)}>${text}`;
+                }
+                return text;
+            });
+            const voice = cue.speaker ? `<v ${TranscriptExporter.escapeCueText(cue.speaker)}>` : '';
+            lines.push(voice + parts.join(separator));
+            lines.push('');
+        });
+
+        return lines.join('\n');
+    }
+
+    /**
+     * SRT - no class support, so large words are bold and small words are dimmed
+     * Speakers are written as a "Name: " prefix
+     */
+    static toSRT(store) {
+        const lines = [];
+        const format = ms => TranscriptExporter.formatTimestamp(ms, ',');
+        const separator = TranscriptExporter.wordSeparator(store.language);
+
+        store.toCues().forEach((cue, index) => {
+            lines.push(String(index + 1));
+            lines.push(`${format(cue.startTime)} --> ${format(cue.endTime)}`);
+            const prefix = cue.speaker ? `${TranscriptExporter.escapeCueText(cue.speaker)}: ` : '';
+            lines.push(prefix + cue.words.map(word => {
+                const text = TranscriptExporter.escapeCueText(word.text);
+                if (word.sizeLevel === 'large') return `<b>${text}</b>`;
+                if (word.sizeLevel === 'small') return `<font color="#cccccc">${text}</font>`;
+                return text;
+            }).join(separator));
+            lines.push('');
+        });
+
+        return lines.join('\n');
+    }
+
+    /**
+     * JSON sidecar with the full per-word prominence data
+     */
+    static toJSON(store, metadata = {}) {
+        return JSON.stringify({
+            version: 1,
+            language: store.language,
+            createdAt: new Date().toISOString(),
+            ...metadata,
+            words: store.words.map(word => ({
+                text: word.text,
+                startTime: Math.round(word.startTime),
+                endTime: Math.round(word.endTime),
+                timing: word.timing,
+                prominenceScore: word.prominenceScore,
+                sizeLevel: word.sizeLevel,
+                confidence: word.confidence,
+                ...(word.speakerTag ? { speakerTag: word.speakerTag, speaker: word.speaker } : {})
+            }))
+        }, null, 2);
+    }
+
+    /**
+     * Trigger a browser download of the exported text (or a Blob)
+     */
+    static download(content, filename, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Format milliseconds as HH:MM:SS.mmm (WebVTT) or HH:MM:SS,mmm (SRT)
+     */
+    static formatTimestamp(ms, separator) {
+        const total = Math.max(0, Math.round(ms));
+        const hours = Math.floor(total / 3600000);
+        const minutes = Math.floor((total % 3600000) / 60000);
+        const seconds = Math.floor((total % 60000) / 1000);
+        const millis = total % 1000;
+        const pad = (n, width = 2) => String(n).padStart(width, '0');
+        return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(millis, 3)}`;
+    }
+
+    /**
+     * Cue words are joined without spaces in Japanese, Chinese, ...
+     */
+    static wordSeparator(language) {
+        return WordSegmenter.isSpacelessLanguage(language) ? '' : ' ';
+    }
+
+    /**
+     * Escape characters that have meaning in cue text
+     */
+    static escapeCueText(text) {
+        return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TranscriptStore, TranscriptExporter };
+}
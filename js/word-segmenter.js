@@ -0,0 +1,111 @@
+/**
+ * Word Segmenter - Language-aware splitting of recognized text into caption units
+ * Space-delimited languages split on whitespace. Japanese, Chinese, Thai etc.
+ * use Intl.Segmenter word boundaries; for Japanese, particles, auxiliaries
+ * and punctuation are then attached to the preceding word, giving roughly
+ * bunsetsu-sized units (今日は / 良い / 天気ですね) that are sized as a whole.
+ * Without Intl.Segmenter, Japanese falls back to script runs (kanji +
+ * trailing kana) and Chinese to single characters.
+ */
+
+const SPACELESS_LANGUAGES = ['ja', 'zh', 'yue', 'th', 'lo', 'km', 'my'];
+
+class WordSegmenter {
+    constructor(language = 'en-US') {
+        this.maxAttachedKana = 3; // Hiragana-only tokens up to this length count as function words
+        this.setLanguage(language);
+    }
+
+    setLanguage(language) {
+        this.language = language;
+        this.lang = language.split('-')[0].toLowerCase();
+        this.segmenter = null;
+
+        if (this.isSpaceless && typeof Intl !== 'undefined' && Intl.Segmenter) {
+            try {
+                this.segmenter = new Intl.Segmenter(language, { granularity: 'word' });
+            } catch (error) {
+                console.warn(`[Segmenter] Intl.Segmenter unavailable for ${language}, using character fallback`);
+            }
+        }
+    }
+
+    static isSpacelessLanguage(language) {
+        return SPACELESS_LANGUAGES.includes((language || '').split('-')[0].toLowerCase());
+    }
+
+    /**
+     * Whether words are written without spaces between them
+     */
+    get isSpaceless() {
+        return SPACELESS_LANGUAGES.includes(this.lang);
+    }
+
+    /**
+     * String placed between caption units when joining them
+     */
+    get separator() {
+        return this.isSpaceless ? '' : ' ';
+    }
+
+    /**
+     * Split text into caption units
+     */
+    segment(text) {
+        const trimmed = text.trim();
+        if (!this.isSpaceless) {
+            return trimmed.split(/\s+/).filter(w => w.length > 0);
+        }
+
+        // Recognizers sometimes put spaces between tokens; they carry no meaning here
+        const tokens = [];
+        for (const chunk of trimmed.split(/\s+/).filter(w => w.length > 0)) {
+            tokens.push(...this.splitChunk(chunk));
+        }
+        return this.groupTokens(tokens).map(group => group.map(i => tokens[i]).join(''));
+    }
+
+    /**
+     * Tokens of one space-free chunk
+     */
+    splitChunk(chunk) {
+        if (this.segmenter) {
+            return [...this.segmenter.segment(chunk)].map(s => s.segment);
+        }
+        if (this.lang === 'ja') {
+            return chunk.match(/[\p{Script=Han}々〆ヶ]+[\p{Script=Hiragana}ー]*|[\p{Script=Katakana}ー]+|[\p{Script=Hiragana}ー]+|[^\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}ー々〆ヶ]+/gu) || [chunk];
+        }
+        // Character level, keeping runs of other scripts together
+        return chunk.match(/\p{Script=Han}|\P{Script=Han}+/gu) || [chunk];
+    }
+
+    /**
+     * Group consecutive tokens into caption units
+     * Returns arrays of token indexes. Punctuation always joins the preceding
+     * unit; in Japanese, short hiragana-only tokens (particles, auxiliaries) do too.
+     */
+    groupTokens(tokens) {
+        const groups = [];
+        tokens.forEach((token, index) => {
+            if (groups.length > 0 && this.attachesToPrevious(token)) {
+                groups[groups.length - 1].push(index);
+            } else {
+                groups.push([index]);
+            }
+        });
+        return groups;
+    }
+
+    attachesToPrevious(token) {
+        if (/^[\p{P}\p{S}]+$/u.test(token)) return true;
+        if (!this.isSpaceless) return false;
+        return this.lang === 'ja' &&
+            token.length <= this.maxAttachedKana &&
+            /^[\p{Script=Hiragana}ー]+$/u.test(token);
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WordSegmenter;
+}
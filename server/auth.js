@@ -0,0 +1,117 @@
+/**
+ * Access control for the STT proxy
+ * With AUTH_SECRET set, clients must present a token: the shared secret
+ * itself (trusted tools), or a short-lived token signed with it and issued by
+ * POST /api/token (for browsers, so the secret never reaches them). Tokens are
+ * sent as "Authorization: Bearer <token>" over HTTP and as ?token=<token> on
+ * the WebSocket URL. Browser origins can be restricted with ALLOWED_ORIGINS.
+ *
+ * Signed token: base64url(JSON {sub, exp}) + "." + base64url(HMAC-SHA256)
+ */
+
+const crypto = require('crypto');
+
+class AuthManager {
+    constructor(options = {}) {
+        this.secret = options.secret || null;
+        this.tokenTtlSeconds = options.tokenTtlSeconds || 3600;
+        this.maxTokenTtlSeconds = 24 * 3600;
+        this.allowedOrigins = options.allowedOrigins || []; // Empty: any origin
+    }
+
+    get enabled() {
+        return this.secret !== null;
+    }
+
+    /**
+     * Whether a browser origin may use the server (requests without Origin are not from a browser page)
+     */
+    isOriginAllowed(origin) {
+        if (!origin || this.allowedOrigins.length === 0) return true;
+        return this.allowedOrigins.includes(origin);
+    }
+
+    /**
+     * Sign a token for a client name, valid ttlSeconds
+     */
+    issue(subject, ttlSeconds = this.tokenTtlSeconds) {
+        const ttl = Math.min(Math.max(1, ttlSeconds), this.maxTokenTtlSeconds);
+        const expiresAt = Math.floor(Date.now() / 1000) + ttl;
+        const payload = base64url(JSON.stringify({ sub: subject, exp: expiresAt }));
+        return { token: `${payload}.${this.sign(payload)}`, expiresAt };
+    }
+
+    /**
+     * Check a token; returns {ok, subject, shared} or {ok: false, reason}
+     * subject is the client name of a signed token, null for the shared secret
+     */
+    verify(token) {
+        if (!this.enabled) return { ok: true, subject: null, shared: false };
+        if (!token) return { ok: false, reason: 'An access token is required' };
+
+        if (safeEqual(token, this.secret)) {
+            return { ok: true, subject: null, shared: true };
+        }
+
+        const [payload, signature] = token.split('.');
+        if (!payload || !signature || !safeEqual(signature, this.sign(payload))) {
+            return { ok: false, reason: 'Invalid access token' };
+        }
+
+        let claims;
+        try {
+            claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        } catch (error) {
+            return { ok: false, reason: 'Invalid access token' };
+        }
+        if (typeof claims.exp !== 'number' || claims.exp * 1000 < Date.now()) {
+            return { ok: false, reason: 'Access token expired' };
+        }
+        return { ok: true, subject: typeof claims.sub === 'string' ? claims.sub : null, shared: false };
+    }
+
+    /**
+     * Token from an HTTP request (Authorization header, or ?token= as a fallback)
+     */
+    static tokenFromRequest(req) {
+        const header = req.headers.authorization || '';
+        if (header.startsWith('Bearer ')) {
+            return header.slice(7).trim();
+        }
+        return new URL(req.url, 'http://localhost').searchParams.get('token');
+    }
+
+    /**
+     * Express middleware rejecting requests without a valid token
+     */
+    middleware() {
+        return (req, res, next) => {
+            const result = this.verify(AuthManager.tokenFromRequest(req));
+            if (!result.ok) {
+                res.status(401).json({ error: 'unauthorized', message: result.reason });
+                return;
+            }
+            req.authSubject = result.subject;
+            next();
+        };
+    }
+
+    sign(payload) {
+        return crypto.createHmac('sha256', this.secret).update(payload).digest('base64url');
+    }
+}
+
+function base64url(text) {
+    return Buffer.from(text, 'utf8').toString('base64url');
+}
+
+/**
+ * Constant-time string comparison
+ */
+function safeEqual(a, b) {
+    const left = Buffer.from(String(a));
+    const right = Buffer.from(String(b));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+module.exports = AuthManager;
@@ -1,63 +1,167 @@
 /**
  * Prominence Subtitle - Backend Proxy Server
- * Bridges browser audio to Google Cloud Speech-to-Text API
+ * Bridges browser audio to a Speech-to-Text provider
+ * (Google Cloud STT, local Vosk, or a scripted mock - see providers/)
+ * and relays presenter captions to viewers in broadcast rooms (see rooms.js)
+ * Access is controlled by tokens, an origin allowlist and per-client quotas
+ * (see auth.js, quotas.js). Every recognition session is logged as one JSON
+ * record and usage is exposed for Prometheus at /metrics (see logger.js, metrics.js)
+ * Messages follow the versioned schema in ../js/protocol.js, shared with the browser clients
  */
 
 require('dotenv').config();
+const path = require('path');
 const express = require('express');
 const cors = require('cors');
 const http = require('http');
 const WebSocket = require('ws');
-const speech = require('@google-cloud/speech');
+const { createProvider } = require('./providers');
+const RecognitionSession = require('./recognition-session');
+const OpusDecoder = require('./opus-decoder');
+const RoomManager = require('./rooms');
+const AuthManager = require('./auth');
+const QuotaManager = require('./quotas');
+const Logger = require('./logger');
+const Metrics = require('./metrics');
+const Protocol = require('../js/protocol');
 
 const app = express();
+const SERVER_NAME = `prominence-subtitle-server/${require('./package.json').version}`;
 const PORT = process.env.PORT || 3001;
+const MAX_BACKFILL_MS = 120000; // Longest outage backlog a client may replay
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+
+// Uplink encodings a client may request in the start message
+const UPLINK_ENCODINGS = ['LINEAR16', 'OGG_OPUS', 'WEBM_OPUS'];
+const OPUS_SAMPLE_RATES = [8000, 12000, 16000, 24000, 48000];
+
+// Frontend files only - never the server directory (.env, credentials)
+const FRONTEND_ROOT = path.join(__dirname, '..');
+const FRONTEND_DIRS = ['css', 'js', 'wasm'];
+
+// Access control
+const auth = new AuthManager({
+    secret: process.env.AUTH_SECRET || null,
+    tokenTtlSeconds: parseInt(process.env.AUTH_TOKEN_TTL) || 3600,
+    allowedOrigins: (process.env.ALLOWED_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean)
+});
+
+const quotas = new QuotaManager({
+    maxConcurrentStreams: envInt('STT_MAX_STREAMS_PER_CLIENT', 2),
+    maxMinutesPerDay: envInt('STT_MAX_MINUTES_PER_DAY', 0)
+});
 
 // Middleware
-app.use(cors());
+app.use(cors({
+    origin: (origin, callback) => callback(null, auth.isOriginAllowed(origin))
+}));
 app.use(express.json());
-app.use(express.static('../')); // Serve frontend files
+app.get(['/', '/index.html'], (req, res) => res.sendFile(path.join(FRONTEND_ROOT, 'index.html')));
+for (const dir of FRONTEND_DIRS) {
+    app.use(`/${dir}`, express.static(path.join(FRONTEND_ROOT, dir)));
+}
 
 // Create HTTP server
 const server = http.createServer(app);
 
-// WebSocket server
-const wss = new WebSocket.Server({ server });
+// WebSocket server; upgrades from origins outside the allowlist are refused
+const wss = new WebSocket.Server({ noServer: true });
 
-// Google Cloud Speech client
-let speechClient = null;
+server.on('upgrade', (req, socket, head) => {
+    if (!auth.isOriginAllowed(req.headers.origin)) {
+        console.warn(`[WS] Rejected connection from origin ${req.headers.origin}`);
+        socket.write('HTTP/1.1 403 Forbidden\r\nConnection: close\r\n\r\n');
+        socket.destroy();
+        return;
+    }
+    wss.handleUpgrade(req, socket, head, (ws) => wss.emit('connection', ws, req));
+});
 
-try {
-    speechClient = new speech.SpeechClient();
-    console.log('[STT] Google Cloud Speech client initialized');
-} catch (error) {
-    console.error('[STT] Failed to initialize Speech client:', error.message);
-    console.error('[STT] Make sure GOOGLE_APPLICATION_CREDENTIALS is set');
-}
+// Speech-to-Text provider (STT_PROVIDER=google|vosk|mock)
+const provider = createProvider(process.env.STT_PROVIDER || 'google');
 
 // Store active recognition streams per client
 const activeStreams = new Map();
 
+// Caption broadcast rooms (presenter -> viewers)
+const rooms = new RoomManager({
+    historySize: parseInt(process.env.BROADCAST_HISTORY_WORDS) || 200
+});
+
+// Per-session records (LOG_FORMAT=json|text)
+const logger = new Logger({ format: process.env.LOG_FORMAT, fields: { provider: provider.name } });
+
+// Prometheus metrics (GET /metrics)
+const metrics = new Metrics()
+    .gauge('stt_active_streams', 'Recognition streams currently running', () => activeStreams.size)
+    .gauge('ws_connections', 'Open WebSocket connections', () => wss.clients.size)
+    .gauge('broadcast_rooms', 'Caption broadcast rooms', () => rooms.stats().rooms)
+    .gauge('broadcast_viewers', 'Viewers subscribed to caption broadcast rooms', () => rooms.stats().viewers)
+    .counter('stt_sessions_total', 'Recognition sessions started')
+    .counter('stt_audio_seconds_total', 'Seconds of audio passed to the provider')
+    .counter('stt_audio_bytes_total', 'Bytes of audio received from clients (before decoding)')
+    .counter('stt_results_total', 'Recognition results sent to clients')
+    .counter('stt_stream_rotations_total', 'Provider streams replaced before the length limit')
+    .counter('stt_errors_total', 'Errors sent to clients, by code')
+    .histogram('stt_provider_latency_seconds', 'Time from receiving audio to the first result covering it, per utterance',
+        [0.1, 0.25, 0.5, 0.75, 1, 1.5, 2, 3, 5, 10]);
+
 /**
  * Handle WebSocket connections
  */
 wss.on('connection', (ws, req) => {
     const clientId = Date.now().toString();
-    console.log(`[WS] Client connected: ${clientId}`);
 
-    let recognizeStream = null;
-    let streamingConfig = null;
+    // No token: viewer-only when auth is on. A bad or expired token is turned away
+    const token = new URL(req.url, 'http://localhost').searchParams.get('token');
+    const access = token || !auth.enabled ? auth.verify(token) : { ok: true, subject: null, anonymous: true };
+    if (!access.ok) {
+        console.warn(`[WS] Rejected client ${clientId}: ${access.reason}`);
+        metrics.inc('stt_errors_total', { code: Protocol.ERRORS.UNAUTHORIZED });
+        ws.send(JSON.stringify({ type: 'error', code: Protocol.ERRORS.UNAUTHORIZED, message: access.reason }));
+        ws.close(Protocol.CLOSE_CODES.UNAUTHORIZED, access.reason);
+        return;
+    }
+    const isAnonymous = access.anonymous === true;
+    const quotaClient = access.subject ? `token:${access.subject}` : `ip:${req.socket.remoteAddress}`;
+    console.log(`[WS] Client connected: ${clientId} (${isAnonymous ? 'anonymous' : quotaClient})`);
+
+    // Negotiated by the client's `hello`; clients that start without one get protocol 0
+    let protocolVersion = null;
+    let nextSequence = 0; // Expected sequence number of the next audio frame
 
-    ws.on('message', (message) => {
+    // Text frames are JSON control messages, binary frames are audio
+    ws.on('message', (message, isBinary) => {
+        if (ws.readyState !== WebSocket.OPEN) return; // Closed by us (rejected token or protocol)
         try {
-            // Check if it's a control message (JSON) or audio data (binary)
-            if (typeof message === 'string' || message instanceof Buffer && message[0] === 123) {
-                const data = JSON.parse(message.toString());
-                handleControlMessage(ws, clientId, data);
-            } else {
-                // Binary audio data
-                handleAudioData(ws, clientId, message);
+            if (isBinary) {
+                handleAudioFrame(ws, clientId, message);
+                return;
             }
+
+            let data;
+            try {
+                data = JSON.parse(message.toString());
+            } catch (error) {
+                sendError(ws, Protocol.ERRORS.INVALID_MESSAGE, 'Text frames must be JSON');
+                return;
+            }
+
+            if (protocolVersion === null) {
+                if (data && data.type === 'hello') {
+                    handleHello(ws, data);
+                    return;
+                }
+                protocolVersion = 0;
+                console.log(`[WS] Client ${clientId} did not send hello, using protocol 0`);
+            }
+
+            const invalid = Protocol.validate(data, 'client');
+            if (invalid) {
+                sendError(ws, invalid.code, invalid.message);
+                return;
+            }
+            handleControlMessage(ws, clientId, data);
         } catch (error) {
             console.error(`[WS] Error processing message:`, error);
         }
@@ -65,7 +169,8 @@ wss.on('connection', (ws, req) => {
 
     ws.on('close', () => {
         console.log(`[WS] Client disconnected: ${clientId}`);
-        stopRecognition(clientId);
+        stopRecognition(clientId, 'disconnected');
+        rooms.leave(ws);
     });
 
     ws.on('error', (error) => {
@@ -73,22 +178,113 @@ wss.on('connection', (ws, req) => {
     });
 
     /**
-     * Handle control messages (start, stop, config)
+     * Protocol handshake: settle on a version and advertise what this server can do
+     */
+    function handleHello(ws, data) {
+        const invalid = Protocol.validate(data, 'client');
+        const version = invalid ? null : Protocol.negotiate(data.protocol);
+        if (version === null) {
+            const message = invalid ? invalid.message
+                : `Protocol ${data.protocol} is not supported (server speaks ${Protocol.MIN_VERSION}-${Protocol.VERSION})`;
+            sendError(ws, Protocol.ERRORS.UNSUPPORTED_VERSION, message);
+            ws.close(Protocol.CLOSE_CODES.UNSUPPORTED_VERSION, 'Unsupported protocol version');
+            return;
+        }
+
+        protocolVersion = version;
+        console.log(`[WS] Client ${clientId} speaks protocol ${version}${data.client ? ` (${data.client})` : ''}`);
+        ws.send(JSON.stringify({
+            type: 'hello',
+            protocol: version,
+            server: SERVER_NAME,
+            capabilities: {
+                provider: provider.name,
+                ready: provider.isReady(),
+                encodings: UPLINK_ENCODINGS.filter(e => e === 'LINEAR16' || provider.encodings.includes(e) ||
+                    OpusDecoder.isAvailable(FFMPEG_PATH)),
+                opusSampleRates: OPUS_SAMPLE_RATES,
+                diarization: provider.diarization === true,
+                languages: provider.languages || null,
+                maxBackfillMs: MAX_BACKFILL_MS,
+                rooms: true,
+                anonymous: isAnonymous
+            }
+        }));
+    }
+
+    /**
+     * Send an error message (codes: Protocol.ERRORS)
+     */
+    function sendError(ws, code, message) {
+        metrics.inc('stt_errors_total', { code });
+        if (ws.readyState === WebSocket.OPEN) {
+            ws.send(JSON.stringify({ type: 'error', code, message }));
+        }
+    }
+
+    /**
+     * Handle control messages (start, stop, ping, and the broadcast room messages)
      */
     function handleControlMessage(ws, clientId, data) {
+        // Anonymous sockets may only watch broadcast rooms
+        if (isAnonymous && !['subscribe', 'leave', 'ping'].includes(data.type)) {
+            sendError(ws, Protocol.ERRORS.UNAUTHORIZED, 'An access token is required (add ?token=... to the server URL)');
+            if (data.type === 'start') {
+                ws.close(Protocol.CLOSE_CODES.UNAUTHORIZED, 'Access token required');
+            }
+            return;
+        }
+
         switch (data.type) {
             case 'start':
-                startRecognition(ws, clientId, data.config);
+                startRecognition(ws, clientId, data.config || {});
                 break;
             case 'stop':
-                stopRecognition(clientId);
+                stopRecognition(clientId, 'stopped');
+                break;
+            case 'backfill':
+                markBackfill(clientId, data.durationMs);
                 break;
             case 'ping':
                 ws.send(JSON.stringify({ type: 'pong' }));
                 break;
-            default:
-                console.log(`[WS] Unknown message type: ${data.type}`);
+            case 'publish':
+                rooms.publish(ws, data.room);
+                break;
+            case 'subscribe':
+                rooms.subscribe(ws, data.room);
+                break;
+            case 'captions':
+                rooms.captions(ws, data);
+                break;
+            case 'leave':
+                rooms.leave(ws);
+                break;
+            case 'hello':
+                sendError(ws, Protocol.ERRORS.INVALID_MESSAGE, 'hello must be the first message');
+                break;
+        }
+    }
+
+    /**
+     * Unwrap a binary frame: protocol 1 frames carry a header, protocol 0 frames are raw audio
+     */
+    function handleAudioFrame(ws, clientId, frame) {
+        if (protocolVersion === null || protocolVersion === 0) {
+            handleAudioData(ws, clientId, frame);
+            return;
+        }
+
+        const audio = Protocol.decodeAudio(frame);
+        if (!audio) {
+            sendError(ws, Protocol.ERRORS.INVALID_MESSAGE, 'Binary frames must be audio frames');
+            return;
         }
+        if (audio.sequence !== nextSequence) {
+            console.warn(`[WS] Client ${clientId}: audio frame ${audio.sequence}, expected ${nextSequence}`);
+        }
+        nextSequence = audio.sequence + 1;
+        handleAudioData(ws, clientId, audio.payload);
     }
 
     /**
@@ -96,136 +292,279 @@ wss.on('connection', (ws, req) => {
      */
     function handleAudioData(ws, clientId, audioBuffer) {
         const stream = activeStreams.get(clientId);
-        if (stream && stream.recognizeStream) {
-            stream.recognizeStream.write(audioBuffer);
+        if (stream && stream.session) {
+            stream.stats.bytes += audioBuffer.length;
+            metrics.inc('stt_audio_bytes_total', { encoding: stream.stats.encoding }, audioBuffer.length);
+            (stream.decoder || stream.session).write(audioBuffer);
         }
     }
 
+    /**
+     * Choose the uplink encoding for a start request: passed through when the
+     * provider accepts it, decoded to LINEAR16 when ffmpeg is available,
+     * otherwise the client is told to fall back to LINEAR16
+     */
+    function negotiateEncoding(requested) {
+        if (requested === 'LINEAR16' || !UPLINK_ENCODINGS.includes(requested)) {
+            return { encoding: 'LINEAR16', decode: false };
+        }
+        if (provider.encodings.includes(requested)) {
+            return { encoding: requested, decode: false };
+        }
+        if (OpusDecoder.isAvailable(FFMPEG_PATH)) {
+            return { encoding: requested, decode: true };
+        }
+        console.warn(`[STT] ${requested} requested but ${provider.name} needs LINEAR16 and ffmpeg is unavailable`);
+        return { encoding: 'LINEAR16', decode: false };
+    }
+
     /**
      * Start speech recognition stream
      */
-    function startRecognition(ws, clientId, config = {}) {
-        if (!speechClient) {
-            ws.send(JSON.stringify({
-                type: 'error',
-                message: 'Speech client not initialized. Check server configuration.'
-            }));
+    function startRecognition(ws, clientId, config) {
+        if (!provider.isReady()) {
+            sendError(ws, Protocol.ERRORS.NOT_READY,
+                `Speech provider "${provider.name}" not initialized. Check server configuration.`);
             return;
         }
 
         // Stop existing stream if any
-        stopRecognition(clientId);
-
-        const streamingConfig = {
-            config: {
-                encoding: 'LINEAR16',
-                sampleRateHertz: config.sampleRate || 16000,
-                languageCode: config.language || 'en-US',
-                enableWordTimeOffsets: true,      // KEY: Get word timestamps
-                enableWordConfidence: true,
-                enableAutomaticPunctuation: true,
-                model: 'default',
-            },
-            interimResults: true,  // Get interim results for real-time display
+        stopRecognition(clientId, 'restarted');
+
+        const sampleRate = config.sampleRate || 16000;
+        const uplink = negotiateEncoding(config.encoding || 'LINEAR16');
+        const configError = (config.channels || 1) !== 1
+            ? 'Only mono audio (channels: 1) is supported'
+            : uplink.encoding !== 'LINEAR16' && !OPUS_SAMPLE_RATES.includes(sampleRate)
+                ? `Opus sample rate must be one of ${OPUS_SAMPLE_RATES.join(', ')}`
+                : null;
+        if (configError) {
+            sendError(ws, Protocol.ERRORS.INVALID_CONFIG, configError);
+            return;
+        }
+
+        const quotaError = quotas.acquireStream(quotaClient);
+        if (quotaError) {
+            console.warn(`[STT] ${quotaClient}: ${quotaError.message}`);
+            sendError(ws, quotaError.code, quotaError.message);
+            return;
+        }
+
+        const recognitionConfig = {
+            language: config.language || 'en-US',
+            encoding: uplink.decode ? 'LINEAR16' : uplink.encoding,
+            sampleRate,
+            diarization: config.diarization === true
         };
 
-        console.log(`[STT] Starting recognition for ${clientId}:`, streamingConfig.config.languageCode);
+        console.log(`[STT] Starting ${provider.name} recognition for ${clientId}:`, recognitionConfig.language,
+            `${uplink.encoding}${uplink.decode ? ' -> LINEAR16' : ''}`,
+            recognitionConfig.diarization ? '(diarization)' : '');
 
-        const recognizeStream = speechClient.streamingRecognize(streamingConfig)
-            .on('error', (error) => {
-                console.error(`[STT] Recognition error:`, error);
-                ws.send(JSON.stringify({
-                    type: 'error',
-                    message: error.message
-                }));
-                stopRecognition(clientId);
-            })
-            .on('data', (response) => {
-                handleRecognitionResult(ws, response);
-            });
+        const onError = (error) => {
+            if (!activeStreams.has(clientId) || activeStreams.get(clientId).session !== session) return; // Stale decoder
+            console.error(`[STT] Recognition error:`, error);
+            stats.errors.push(error.message);
+            sendError(ws, Protocol.ERRORS.PROVIDER_ERROR, error.message);
+            stopRecognition(clientId, 'error');
+        };
 
-        activeStreams.set(clientId, { recognizeStream, ws });
+        // Per-session record, logged when the session ends
+        const stats = {
+            startedAt: Date.now(),
+            language: recognitionConfig.language,
+            encoding: uplink.encoding,
+            bytes: 0,
+            audioMs: 0,
+            interims: 0,
+            finals: 0,
+            rotations: 0,
+            latenciesMs: [],
+            errors: []
+        };
 
-        ws.send(JSON.stringify({ type: 'started' }));
+        const session = new RecognitionSession(provider, recognitionConfig, {
+            onResult: (result) => {
+                stats[result.isFinal ? 'finals' : 'interims']++;
+                metrics.inc('stt_results_total', { type: result.isFinal ? 'final' : 'interim' });
+                handleRecognitionResult(ws, result);
+            },
+            onError,
+            onRotate: ({ offsetMs, rotations }) => {
+                console.log(`[STT] Rotated stream for ${clientId} at ${(offsetMs / 1000).toFixed(1)}s (#${rotations})`);
+                stats.rotations = rotations;
+                metrics.inc('stt_stream_rotations_total');
+            },
+            onLatency: (latencyMs) => {
+                stats.latenciesMs.push(latencyMs);
+                metrics.observe('stt_provider_latency_seconds', {}, latencyMs / 1000);
+            },
+            onAudio: (durationMs) => {
+                stats.audioMs += durationMs;
+                metrics.inc('stt_audio_seconds_total', {}, durationMs / 1000);
+                const limitError = quotas.consume(quotaClient, durationMs);
+                if (limitError && activeStreams.has(clientId)) {
+                    console.warn(`[STT] ${quotaClient}: ${limitError.message}`);
+                    stats.errors.push(limitError.code);
+                    sendError(ws, limitError.code, limitError.message);
+                    stopRecognition(clientId, limitError.code);
+                }
+            }
+        });
+
+        // Compressed uplink for a LINEAR16-only provider
+        const decoder = uplink.decode ? new OpusDecoder({
+            encoding: uplink.encoding,
+            sampleRate,
+            ffmpegPath: FFMPEG_PATH,
+            onData: (pcm) => session.write(pcm),
+            onError
+        }) : null;
+
+        activeStreams.set(clientId, { session, decoder, ws, stats });
+        metrics.inc('stt_sessions_total', { encoding: uplink.encoding });
+        logger.info('stt_session_start', {
+            clientId,
+            client: quotaClient,
+            language: stats.language,
+            encoding: stats.encoding,
+            decoded: uplink.decode,
+            diarization: recognitionConfig.diarization
+        });
+
+        nextSequence = 0;
+        ws.send(JSON.stringify({ type: 'started', encoding: uplink.encoding, sampleRate, channels: 1 }));
     }
 
     /**
-     * Stop recognition stream
+     * Flag results for the audio the client replays after a reconnect
      */
-    function stopRecognition(clientId) {
+    function markBackfill(clientId, durationMs) {
+        const stream = activeStreams.get(clientId);
+        if (!stream || typeof durationMs !== 'number' || !Number.isFinite(durationMs) || durationMs <= 0) return;
+
+        stream.session.markBackfill(Math.min(durationMs, MAX_BACKFILL_MS));
+        console.log(`[STT] Backfilling ${(durationMs / 1000).toFixed(1)}s of audio for ${clientId}`);
+    }
+
+    /**
+     * Stop recognition stream; reason ends up in the session record
+     */
+    function stopRecognition(clientId, reason = 'stopped') {
         const stream = activeStreams.get(clientId);
         if (stream) {
-            if (stream.recognizeStream) {
-                stream.recognizeStream.end();
+            if (stream.decoder) {
+                stream.decoder.end();
+            }
+            if (stream.session) {
+                stream.session.end();
             }
             activeStreams.delete(clientId);
+            quotas.releaseStream(quotaClient);
             console.log(`[STT] Stopped recognition for ${clientId}`);
+            logSession(clientId, stream.stats, reason);
         }
     }
 
     /**
-     * Handle recognition results from Google Cloud
+     * One structured record per session for capacity planning
      */
-    function handleRecognitionResult(ws, response) {
-        if (!response.results || response.results.length === 0) return;
-
-        for (const result of response.results) {
-            if (!result.alternatives || result.alternatives.length === 0) continue;
-
-            const alternative = result.alternatives[0];
-
-            // Extract word-level timing information
-            const words = [];
-            if (alternative.words) {
-                for (const wordInfo of alternative.words) {
-                    words.push({
-                        word: wordInfo.word,
-                        startTime: parseTimeOffset(wordInfo.startTime),
-                        endTime: parseTimeOffset(wordInfo.endTime),
-                        confidence: wordInfo.confidence || 0
-                    });
-                }
-            }
-
-            // Send result to client
-            ws.send(JSON.stringify({
-                type: 'result',
-                transcript: alternative.transcript,
-                words: words,
-                isFinal: result.isFinal,
-                confidence: alternative.confidence || 0
-            }));
+    function logSession(clientId, stats, reason) {
+        const latencies = [...stats.latenciesMs].sort((a, b) => a - b);
+        const record = {
+            clientId,
+            client: quotaClient,
+            language: stats.language,
+            encoding: stats.encoding,
+            reason,
+            durationMs: Date.now() - stats.startedAt,
+            audioMs: Math.round(stats.audioMs),
+            bytesReceived: stats.bytes,
+            results: stats.interims + stats.finals,
+            finals: stats.finals,
+            rotations: stats.rotations,
+            latencyMsP50: latencies.length > 0 ? latencies[Math.floor(latencies.length / 2)] : null,
+            errors: stats.errors
+        };
+        if (stats.errors.length > 0) {
+            logger.warn('stt_session_end', record);
+        } else {
+            logger.info('stt_session_end', record);
         }
     }
 
     /**
-     * Parse Google's time offset format to milliseconds
+     * Forward a provider-neutral recognition result to the client
      */
-    function parseTimeOffset(timeOffset) {
-        if (!timeOffset) return 0;
-        const seconds = parseInt(timeOffset.seconds || 0);
-        const nanos = parseInt(timeOffset.nanos || 0);
-        return seconds * 1000 + nanos / 1000000;
+    function handleRecognitionResult(ws, result) {
+        if (ws.readyState !== WebSocket.OPEN) return;
+
+        ws.send(JSON.stringify({
+            type: 'result',
+            transcript: result.transcript,
+            words: result.words,
+            isFinal: result.isFinal,
+            confidence: result.confidence,
+            backfilled: result.backfilled === true
+        }));
     }
 });
 
+// Streaming overlay route (OBS browser source): /overlay?view=<room>&position=top...
+app.get('/overlay', (req, res) => {
+    const params = new URLSearchParams(req.query);
+    params.set('overlay', '1');
+    res.redirect(`/index.html?${params}`);
+});
+
 // Health check endpoint
 app.get('/health', (req, res) => {
     res.json({
         status: 'ok',
-        speechClient: speechClient !== null,
-        activeConnections: wss.clients.size
+        provider: provider.name,
+        speechClient: provider.isReady(),
+        activeConnections: wss.clients.size,
+        broadcast: rooms.stats()
     });
 });
 
+// Short-lived token for a browser client; authorized with the shared secret
+app.post('/api/token', (req, res) => {
+    if (!auth.enabled) {
+        res.status(404).json({ error: 'disabled', message: 'Authentication is disabled (AUTH_SECRET not set)' });
+        return;
+    }
+    if (!auth.verify(AuthManager.tokenFromRequest(req)).shared) {
+        res.status(401).json({ error: 'unauthorized', message: 'Tokens are issued to the shared secret only' });
+        return;
+    }
+
+    // The client name is the token's quota key, so every token holder needs its own
+    const body = req.body || {};
+    if (typeof body.client !== 'string' || !/^[\w.@-]{1,64}$/.test(body.client)) {
+        res.status(400).json({ error: 'invalid_client', message: 'client must be 1-64 letters, digits, "_", ".", "@" or "-"' });
+        return;
+    }
+    res.json(auth.issue(body.client, parseInt(body.ttl) || undefined));
+});
+
 // API status endpoint
-app.get('/api/status', (req, res) => {
+app.get('/api/status', auth.middleware(), (req, res) => {
     res.json({
-        ready: speechClient !== null,
-        message: speechClient ? 'Speech-to-Text API ready' : 'API credentials not configured'
+        ready: provider.isReady(),
+        provider: provider.name,
+        message: provider.isReady()
+            ? `Speech-to-Text provider "${provider.name}" ready`
+            : `Provider "${provider.name}" not configured`
     });
 });
 
+// Prometheus scrape endpoint (needs a token like /api/status when AUTH_SECRET is set)
+app.get('/metrics', auth.middleware(), (req, res) => {
+    res.set('Content-Type', Metrics.CONTENT_TYPE);
+    res.send(metrics.render());
+});
+
 // Start server
 server.listen(PORT, () => {
     console.log(`\n========================================`);
@@ -233,6 +572,16 @@ server.listen(PORT, () => {
     console.log(`  http://localhost:${PORT}`);
     console.log(`========================================`);
     console.log(`  WebSocket: ws://localhost:${PORT}`);
-    console.log(`  Speech API: ${speechClient ? '✓ Ready' : '✗ Not configured'}`);
+    console.log(`  Speech API: ${provider.name} ${provider.isReady() ? '✓ Ready' : '✗ Not configured'}`);
+    console.log(`  Auth: ${auth.enabled ? 'token required' : 'OFF (set AUTH_SECRET)'}`);
+    console.log(`  Metrics: http://localhost:${PORT}/metrics`);
     console.log(`========================================\n`);
 });
+
+/**
+ * Integer from the environment; unset or malformed values use the fallback (0 is kept)
+ */
+function envInt(name, fallback) {
+    const value = parseInt(process.env[name]);
+    return Number.isNaN(value) ? fallback : value;
+}
@@ -0,0 +1,41 @@
+/**
+ * Structured logging - one JSON object per line for log shippers
+ * Used for per-session records (see index.js); the human-readable console
+ * lines stay as they are. LOG_FORMAT=text prints the same records as
+ * "[event] key=value ..." for local development.
+ */
+
+class Logger {
+    constructor(options = {}) {
+        this.format = options.format === 'text' ? 'text' : 'json';
+        this.fields = options.fields || {}; // Added to every record (e.g. provider)
+    }
+
+    info(event, fields = {}) {
+        this.write('info', event, fields);
+    }
+
+    warn(event, fields = {}) {
+        this.write('warn', event, fields);
+    }
+
+    error(event, fields = {}) {
+        this.write('error', event, fields);
+    }
+
+    write(level, event, fields) {
+        const record = { time: new Date().toISOString(), level, event, ...this.fields, ...fields };
+        const output = level === 'error' ? console.error : console.log;
+
+        if (this.format === 'text') {
+            const pairs = Object.entries(record)
+                .filter(([key]) => !['time', 'level', 'event'].includes(key))
+                .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`);
+            output(`[${event}] ${pairs.join(' ')}`);
+            return;
+        }
+        output(JSON.stringify(record));
+    }
+}
+
+module.exports = Logger;
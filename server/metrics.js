@@ -0,0 +1,129 @@
+/**
+ * Metrics - Counters, gauges and histograms in the Prometheus text format
+ * Served at GET /metrics for capacity planning. Values live in memory and
+ * start over when the server restarts; gauges that mirror server state are
+ * read from a collect() callback at scrape time.
+ */
+
+const DEFAULT_BUCKETS = [0.1, 0.25, 0.5, 1, 2, 5, 10];
+
+class Metrics {
+    constructor() {
+        this.metrics = new Map(); // name -> {type, help, buckets, collect, series: Map(labelKey -> value)}
+    }
+
+    counter(name, help) {
+        return this.define(name, 'counter', help);
+    }
+
+    /**
+     * collect: optional () => number | [{labels, value}] evaluated on every scrape
+     */
+    gauge(name, help, collect = null) {
+        return this.define(name, 'gauge', help, { collect });
+    }
+
+    histogram(name, help, buckets = DEFAULT_BUCKETS) {
+        return this.define(name, 'histogram', help, { buckets: [...buckets].sort((a, b) => a - b) });
+    }
+
+    define(name, type, help, options = {}) {
+        this.metrics.set(name, {
+            type,
+            help,
+            buckets: options.buckets || null,
+            collect: options.collect || null,
+            series: new Map()
+        });
+        return this;
+    }
+
+    inc(name, labels = {}, value = 1) {
+        const series = this.series(name, labels, 'counter');
+        series.value += value;
+    }
+
+    set(name, labels, value) {
+        this.series(name, labels, 'gauge').value = value;
+    }
+
+    observe(name, labels, value) {
+        const metric = this.metrics.get(name);
+        const series = this.series(name, labels, 'histogram');
+        if (!series.counts) {
+            series.counts = new Array(metric.buckets.length).fill(0);
+            series.sum = 0;
+            series.count = 0;
+        }
+        metric.buckets.forEach((bound, i) => {
+            if (value <= bound) series.counts[i]++;
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    series(name, labels, type) {
+        const metric = this.metrics.get(name);
+        if (!metric || metric.type !== type) {
+            throw new Error(`Unknown ${type} metric: ${name}`);
+        }
+        const key = labelString(labels);
+        let series = metric.series.get(key);
+        if (!series) {
+            series = { labels, value: 0 };
+            metric.series.set(key, series);
+        }
+        return series;
+    }
+
+    /**
+     * Exposition text for a scrape
+     */
+    render() {
+        const lines = [];
+        for (const [name, metric] of this.metrics) {
+            if (metric.collect) {
+                const collected = metric.collect();
+                const samples = Array.isArray(collected) ? collected : [{ labels: {}, value: collected }];
+                samples.forEach(sample => this.set(name, sample.labels, sample.value));
+            }
+
+            lines.push(`# HELP ${name} ${metric.help}`);
+            lines.push(`# TYPE ${name} ${metric.type}`);
+            if (metric.series.size === 0 && metric.type !== 'histogram') {
+                lines.push(`${name} 0`);
+            }
+
+            for (const series of metric.series.values()) {
+                if (metric.type !== 'histogram') {
+                    lines.push(`${name}${labelString(series.labels)} ${formatValue(series.value)}`);
+                    continue;
+                }
+                metric.buckets.forEach((bound, i) => {
+                    const labels = labelString({ ...series.labels, le: String(bound) });
+                    lines.push(`${name}_bucket${labels} ${series.counts[i]}`);
+                });
+                lines.push(`${name}_bucket${labelString({ ...series.labels, le: '+Inf' })} ${series.count}`);
+                lines.push(`${name}_sum${labelString(series.labels)} ${formatValue(series.sum)}`);
+                lines.push(`${name}_count${labelString(series.labels)} ${series.count}`);
+            }
+        }
+        return lines.join('\n') + '\n';
+    }
+}
+
+function labelString(labels) {
+    const pairs = Object.keys(labels).sort().map(key => {
+        const value = String(labels[key]).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+        return `${key}="${value}"`;
+    });
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value) {
+    return Number.isInteger(value) ? String(value) : value.toFixed(6).replace(/0+$/, '').replace(/\.$/, '');
+}
+
+Metrics.CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+module.exports = Metrics;
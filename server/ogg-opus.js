@@ -0,0 +1,98 @@
+/**
+ * Ogg Opus tracking for the compressed uplink
+ * Clients send whole Ogg pages per message. The tracker keeps the header
+ * pages (OpusHead, OpusTags), so a replacement provider stream can be opened
+ * with them, and measures the audio in each message from the Opus packets'
+ * TOC bytes (granule positions don't restart when a client replays pages it
+ * buffered during an outage).
+ */
+
+const OGG_CAPTURE = Buffer.from('OggS');
+
+class OggOpusTracker {
+    constructor() {
+        this.headers = []; // Header pages, in order
+    }
+
+    /**
+     * Record header pages; returns the duration (ms) of the audio pages in buffer
+     */
+    track(buffer) {
+        let durationMs = 0;
+
+        for (const page of readPages(buffer)) {
+            const first = page.packets[0];
+            if (first && (startsWith(first, 'OpusHead') || startsWith(first, 'OpusTags'))) {
+                if (startsWith(first, 'OpusHead')) {
+                    this.headers = [];
+                }
+                this.headers.push(page.bytes);
+                continue;
+            }
+            for (const packet of page.packets) {
+                durationMs += packetDurationMs(packet);
+            }
+        }
+
+        return durationMs;
+    }
+}
+
+/**
+ * Split a buffer into Ogg pages with their complete packets
+ * A packet continued on the next page is not counted (the uplink never splits packets)
+ */
+function* readPages(buffer) {
+    let offset = 0;
+
+    while (offset + 27 <= buffer.length && buffer.compare(OGG_CAPTURE, 0, 4, offset, offset + 4) === 0) {
+        const segments = buffer[offset + 26];
+        const bodyStart = offset + 27 + segments;
+        const packets = [];
+
+        let packetStart = bodyStart;
+        let packetLength = 0;
+        for (let i = 0; i < segments; i++) {
+            const lacing = buffer[offset + 27 + i];
+            packetLength += lacing;
+            if (lacing < 255) {
+                packets.push(buffer.subarray(packetStart, packetStart + packetLength));
+                packetStart += packetLength;
+                packetLength = 0;
+            }
+        }
+
+        const end = packetStart + packetLength;
+        if (end > buffer.length) return;
+
+        yield { bytes: buffer.subarray(offset, end), packets };
+        offset = end;
+    }
+}
+
+/**
+ * Duration of an Opus packet from its TOC byte (RFC 6716, section 3.1)
+ */
+function packetDurationMs(packet) {
+    if (packet.length === 0) return 0;
+
+    const config = packet[0] >> 3;
+    let frameMs;
+    if (config < 12) {
+        frameMs = [10, 20, 40, 60][config % 4];        // SILK
+    } else if (config < 16) {
+        frameMs = [10, 20][config % 2];                // Hybrid
+    } else {
+        frameMs = [2.5, 5, 10, 20][config % 4];        // CELT
+    }
+
+    const code = packet[0] & 0x03;
+    const frames = code === 0 ? 1 : code < 3 ? 2 : (packet.length > 1 ? packet[1] & 0x3f : 0);
+    return frameMs * frames;
+}
+
+function startsWith(packet, magic) {
+    return packet.length >= magic.length && packet.toString('latin1', 0, magic.length) === magic;
+}
+
+module.exports = { OggOpusTracker, readPages, packetDurationMs };
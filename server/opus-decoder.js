@@ -0,0 +1,71 @@
+/**
+ * Opus decoder - turns a compressed uplink back into LINEAR16 for providers
+ * that only accept raw PCM (Vosk, mock). Runs ffmpeg as a child process
+ * (FFMPEG_PATH, default "ffmpeg" on the PATH) reading the Ogg/WebM stream on
+ * stdin and writing 16-bit mono PCM at the requested rate to stdout.
+ */
+
+const { spawn, spawnSync } = require('child_process');
+
+const CONTAINER_FORMATS = { OGG_OPUS: 'ogg', WEBM_OPUS: 'webm' };
+const availability = new Map(); // ffmpegPath -> boolean
+
+class OpusDecoder {
+    constructor({ encoding, sampleRate, ffmpegPath = 'ffmpeg', onData, onError }) {
+        this.ended = false;
+        this.remainder = null; // Odd trailing byte of the last PCM chunk
+
+        this.process = spawn(ffmpegPath, [
+            '-hide_banner', '-loglevel', 'error',
+            '-probesize', '32', '-analyzeduration', '0', // Start decoding right away
+            '-f', CONTAINER_FORMATS[encoding], '-i', 'pipe:0',
+            '-f', 's16le', '-ac', '1', '-ar', String(sampleRate),
+            '-flush_packets', '1', 'pipe:1'
+        ]);
+
+        this.process.stdout.on('data', (chunk) => {
+            // Providers expect whole samples
+            const data = this.remainder ? Buffer.concat([this.remainder, chunk]) : chunk;
+            const usable = data.length - (data.length % 2);
+            this.remainder = usable < data.length ? data.subarray(usable) : null;
+            if (usable > 0) {
+                onData(data.subarray(0, usable));
+            }
+        });
+        this.process.stderr.on('data', (data) => {
+            console.warn('[Decoder]', data.toString().trim());
+        });
+        this.process.stdin.on('error', () => { }); // EPIPE once ffmpeg has exited; reported below
+        this.process.on('error', onError);
+        this.process.on('exit', (code) => {
+            if (!this.ended && code !== 0) {
+                onError(new Error(`ffmpeg exited with code ${code}`));
+            }
+        });
+    }
+
+    /**
+     * Whether ffmpeg can be run (checked once per path)
+     */
+    static isAvailable(ffmpegPath = 'ffmpeg') {
+        if (!availability.has(ffmpegPath)) {
+            const result = spawnSync(ffmpegPath, ['-version'], { stdio: 'ignore' });
+            availability.set(ffmpegPath, result.status === 0);
+        }
+        return availability.get(ffmpegPath);
+    }
+
+    write(audioBuffer) {
+        if (!this.ended) {
+            this.process.stdin.write(audioBuffer);
+        }
+    }
+
+    end() {
+        if (this.ended) return;
+        this.ended = true;
+        this.process.stdin.end();
+    }
+}
+
+module.exports = OpusDecoder;
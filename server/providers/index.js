@@ -0,0 +1,51 @@
+/**
+ * STT provider registry
+ *
+ * Every provider implements:
+ *   name                                  - provider id
+ *   isReady()                             - true when credentials/models loaded
+ *   maxStreamMs                           - longest audio a single stream accepts (Infinity if unlimited);
+ *                                           RecognitionSession rotates streams before it
+ *   isStreamLimitError(error)             - optional: error means the stream hit that limit
+ *   encodings                             - audio encodings createStream accepts (LINEAR16 at least);
+ *                                           other uplink encodings are decoded to LINEAR16 first
+ *   diarization                           - whether streams can tag speakers
+ *   languages                             - BCP-47 tags it recognizes, or null for any the service knows
+ *                                           (advertised to clients in the `hello` reply)
+ *   createStream(config, {onResult, onError})
+ *       config:   {language, encoding, sampleRate, diarization}  - mono audio
+ *       returns:  {write(audioBuffer), end()}
+ *       onResult: {transcript, words: [{word, startTime, endTime, confidence, speakerTag?}], isFinal, confidence}
+ *                 with word times in ms from the start of the stream; speakerTag (1, 2, ...)
+ *                 only when diarization was requested and the provider could tell
+ */
+
+const PROVIDERS = {
+    google: () => require('./google'),
+    vosk: () => require('./vosk'),
+    mock: () => require('./mock')
+};
+
+/**
+ * Create the provider selected by name (STT_PROVIDER)
+ */
+function createProvider(name, env = process.env) {
+    const load = PROVIDERS[name];
+    if (!load) {
+        throw new Error(`Unknown STT provider "${name}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+
+    const Provider = load();
+    return new Provider({
+        model: env.GOOGLE_STT_MODEL,
+        modelPath: env.VOSK_MODEL_PATH,
+        speakerModelPath: env.VOSK_SPK_MODEL_PATH,
+        language: env.VOSK_LANGUAGE,
+        maxSpeakers: parseInt(env.STT_MAX_SPEAKERS) || undefined,
+        maxStreamMs: parseInt(env.STT_MAX_STREAM_MS) || undefined,
+        scriptPath: env.MOCK_SCRIPT,
+        loop: env.MOCK_LOOP !== 'false'
+    });
+}
+
+module.exports = { createProvider, providerNames: Object.keys(PROVIDERS) };
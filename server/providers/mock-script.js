@@ -0,0 +1,35 @@
+/**
+ * Default transcript replayed by the mock provider
+ * Times are milliseconds of audio from the start of the stream;
+ * the two utterances come from different speakers
+ */
+
+module.exports = {
+    utterances: [
+        {
+            speaker: 1,
+            words: [
+                { word: 'The', startTime: 500, endTime: 700 },
+                { word: 'quick', startTime: 700, endTime: 1050 },
+                { word: 'brown', startTime: 1050, endTime: 1400 },
+                { word: 'fox', startTime: 1400, endTime: 1800 },
+                { word: 'jumps', startTime: 1800, endTime: 2150 },
+                { word: 'over', startTime: 2150, endTime: 2500 },
+                { word: 'the', startTime: 2500, endTime: 2650 },
+                { word: 'lazy', startTime: 2650, endTime: 3050 },
+                { word: 'dog.', startTime: 3050, endTime: 3500 }
+            ]
+        },
+        {
+            speaker: 2,
+            words: [
+                { word: 'Stressed', startTime: 4500, endTime: 4950 },
+                { word: 'words', startTime: 4950, endTime: 5300 },
+                { word: 'appear', startTime: 5300, endTime: 5700 },
+                { word: 'larger', startTime: 5700, endTime: 6200 },
+                { word: 'on', startTime: 6200, endTime: 6350 },
+                { word: 'screen.', startTime: 6350, endTime: 6900 }
+            ]
+        }
+    ]
+};
@@ -0,0 +1,164 @@
+/**
+ * Mock provider - replays a scripted transcript with word timestamps
+ * Deterministic: progress is driven by the amount of audio received,
+ * not by wall-clock time, so the same audio always yields the same results.
+ * Utterances (or single words) may name a `speaker`; with diarization
+ * requested it is reported as the words' speakerTag.
+ */
+
+const fs = require('fs');
+const defaultScript = require('./mock-script');
+
+class MockProvider {
+    constructor(options = {}) {
+        this.name = 'mock';
+        this.loop = options.loop !== false;
+        this.finalDelayMs = options.finalDelayMs || 300;
+        this.maxStreamMs = options.maxStreamMs || Infinity; // Set STT_MAX_STREAM_MS to exercise stream rotation
+        this.encodings = ['LINEAR16'];
+        this.diarization = true; // Scripted speakers
+        this.languages = null;   // The script is replayed whatever the language
+        this.script = null;
+
+        try {
+            this.script = options.scriptPath
+                ? JSON.parse(fs.readFileSync(options.scriptPath, 'utf8'))
+                : defaultScript;
+            validateScript(this.script);
+            console.log(`[STT] Mock provider initialized (${this.script.utterances.length} utterances)`);
+        } catch (error) {
+            this.script = null;
+            console.error('[STT] Failed to load mock script:', error.message);
+        }
+    }
+
+    isReady() {
+        return this.script !== null;
+    }
+
+    /**
+     * Open a replay session
+     * Returns a stream with write(audioBuffer) and end()
+     */
+    createStream(config, { onResult, onError }) {
+        const utterances = this.script.utterances;
+        const scriptDuration = utterances[utterances.length - 1].words.slice(-1)[0].endTime + 1000;
+        const bytesPerMs = (config.sampleRate * 2) / 1000; // LINEAR16 mono
+
+        let receivedBytes = 0;
+        let loopIndex = 0;
+        let utteranceIndex = 0;
+        let emittedWords = 0;
+        let ended = false;
+
+        const loopOffset = () => loopIndex * scriptDuration;
+
+        // Emit every result that the audio received so far has "reached"
+        const advance = () => {
+            const audioMs = receivedBytes / bytesPerMs;
+
+            while (!ended) {
+                const utterance = utterances[utteranceIndex];
+                const offset = loopOffset();
+                const words = utterance.words.map(w => {
+                    const word = {
+                        word: w.word,
+                        startTime: w.startTime + offset,
+                        endTime: w.endTime + offset,
+                        confidence: w.confidence !== undefined ? w.confidence : 0.9
+                    };
+                    const speaker = w.speaker || utterance.speaker;
+                    if (config.diarization && speaker) {
+                        word.speakerTag = speaker;
+                    }
+                    return word;
+                });
+
+                // Interim: words whose end time has been covered by audio
+                const heard = words.filter(w => w.endTime <= audioMs).length;
+                if (heard > emittedWords && heard < words.length) {
+                    emittedWords = heard;
+                    onResult(buildResult(words.slice(0, heard), false));
+                }
+
+                // Final: shortly after the last word
+                const lastEnd = words[words.length - 1].endTime;
+                if (audioMs < lastEnd + this.finalDelayMs) break;
+
+                if (emittedWords < words.length) {
+                    onResult(buildResult(words, false));
+                }
+                onResult(buildResult(words, true));
+
+                emittedWords = 0;
+                utteranceIndex++;
+                if (utteranceIndex >= utterances.length) {
+                    utteranceIndex = 0;
+                    loopIndex++;
+                    if (!this.loop) {
+                        ended = true;
+                    }
+                }
+            }
+        };
+
+        return {
+            write: (audioBuffer) => {
+                if (ended) return;
+                try {
+                    receivedBytes += audioBuffer.length;
+                    advance();
+                } catch (error) {
+                    onError(error);
+                }
+            },
+            end: () => {
+                ended = true;
+            }
+        };
+    }
+}
+
+/**
+ * Build a provider-neutral result from scripted words
+ */
+function buildResult(words, isFinal) {
+    return {
+        transcript: words.map(w => w.word).join(' '),
+        words: words,
+        isFinal: isFinal,
+        confidence: isFinal ? 0.95 : 0
+    };
+}
+
+/**
+ * Check that a script has utterances with timed words in order
+ */
+function validateScript(script) {
+    if (!script || !Array.isArray(script.utterances) || script.utterances.length === 0) {
+        throw new Error('Script must contain a non-empty "utterances" array');
+    }
+
+    const isSpeaker = value => value === undefined || (Number.isInteger(value) && value > 0);
+
+    let previousEnd = 0;
+    for (const utterance of script.utterances) {
+        if (!Array.isArray(utterance.words) || utterance.words.length === 0) {
+            throw new Error('Every utterance needs a non-empty "words" array');
+        }
+        if (!isSpeaker(utterance.speaker)) {
+            throw new Error(`Speaker must be a positive integer: ${JSON.stringify(utterance.speaker)}`);
+        }
+        for (const word of utterance.words) {
+            if (typeof word.word !== 'string' || !(word.startTime >= previousEnd) || !(word.endTime >= word.startTime)) {
+                throw new Error(`Invalid or out-of-order word timing: ${JSON.stringify(word)}`);
+            }
+            if (!isSpeaker(word.speaker)) {
+                throw new Error(`Speaker must be a positive integer: ${JSON.stringify(word)}`);
+            }
+            previousEnd = word.endTime;
+        }
+    }
+}
+
+module.exports = MockProvider;
@@ -0,0 +1,178 @@
+/**
+ * Vosk provider - offline recognition with a local Kaldi model
+ * Requires the optional `vosk` package and a downloaded model:
+ *   npm install vosk
+ *   VOSK_MODEL_PATH=./models/vosk-model-small-en-us-0.15
+ * Speaker diarization additionally needs a speaker model:
+ *   VOSK_SPK_MODEL_PATH=./models/vosk-model-spk-0.4
+ */
+
+class VoskProvider {
+    constructor(options = {}) {
+        this.name = 'vosk';
+        this.vosk = null;
+        this.model = null;
+        this.speakerModel = null;
+        this.maxSpeakers = options.maxSpeakers || 6;
+        this.maxStreamMs = options.maxStreamMs || Infinity; // Local engine, no stream limit
+        this.encodings = ['LINEAR16'];
+        this.languages = options.language ? [options.language] : null; // A model knows one language (VOSK_LANGUAGE)
+
+        try {
+            if (!options.modelPath) {
+                throw new Error('VOSK_MODEL_PATH is not set');
+            }
+            this.vosk = require('vosk');
+            this.vosk.setLogLevel(-1);
+            this.model = new this.vosk.Model(options.modelPath);
+            console.log(`[STT] Vosk model loaded from ${options.modelPath}`);
+
+            if (options.speakerModelPath) {
+                this.speakerModel = new this.vosk.SpeakerModel(options.speakerModelPath);
+                console.log(`[STT] Vosk speaker model loaded from ${options.speakerModelPath}`);
+            }
+        } catch (error) {
+            this.model = null;
+            console.error('[STT] Failed to initialize Vosk:', error.message);
+            console.error('[STT] Install it with `npm install vosk` and set VOSK_MODEL_PATH');
+        }
+    }
+
+    isReady() {
+        return this.model !== null;
+    }
+
+    get diarization() {
+        return this.speakerModel !== null;
+    }
+
+    /**
+     * Open a recognition session
+     * Returns a stream with write(audioBuffer) and end()
+     */
+    createStream(config, { onResult, onError }) {
+        const diarize = config.diarization && this.speakerModel !== null;
+        if (config.diarization && !diarize) {
+            console.warn('[STT] Diarization requested but VOSK_SPK_MODEL_PATH is not set');
+        }
+
+        const recognizer = new this.vosk.Recognizer({
+            model: this.model,
+            sampleRate: config.sampleRate,
+            ...(diarize ? { speakerModel: this.speakerModel } : {})
+        });
+        const speakers = diarize ? new SpeakerClusters(this.maxSpeakers) : null;
+        recognizer.setWords(true);
+        if (typeof recognizer.setPartialWords === 'function') {
+            recognizer.setPartialWords(true);
+        }
+
+        let lastPartial = '';
+        let closed = false;
+
+        return {
+            write: (audioBuffer) => {
+                if (closed) return;
+                try {
+                    if (recognizer.acceptWaveform(audioBuffer)) {
+                        const result = parseResult(recognizer.result(), true, speakers);
+                        lastPartial = '';
+                        if (result) onResult(result);
+                    } else {
+                        const partial = recognizer.partialResult();
+                        if (partial.partial && partial.partial !== lastPartial) {
+                            lastPartial = partial.partial;
+                            onResult(parseResult(partial, false));
+                        }
+                    }
+                } catch (error) {
+                    onError(error);
+                }
+            },
+            end: () => {
+                if (closed) return;
+                closed = true;
+                const result = parseResult(recognizer.finalResult(), true, speakers);
+                if (result) onResult(result);
+                recognizer.free();
+            }
+        };
+    }
+}
+
+/**
+ * Online clustering of Vosk speaker x-vectors into speaker tags
+ * Each utterance joins the most similar speaker (cosine similarity above
+ * the threshold) or starts a new one while fewer than maxSpeakers exist.
+ */
+class SpeakerClusters {
+    constructor(maxSpeakers, threshold = 0.5) {
+        this.maxSpeakers = maxSpeakers;
+        this.threshold = threshold;
+        this.centroids = []; // {sum, count}; tag = index + 1
+    }
+
+    assign(vector) {
+        let best = -1;
+        let bestSimilarity = -Infinity;
+        this.centroids.forEach((centroid, index) => {
+            const similarity = cosineSimilarity(vector, centroid.sum);
+            if (similarity > bestSimilarity) {
+                bestSimilarity = similarity;
+                best = index;
+            }
+        });
+
+        if (best === -1 || (bestSimilarity < this.threshold && this.centroids.length < this.maxSpeakers)) {
+            this.centroids.push({ sum: [...vector], count: 1 });
+            return this.centroids.length;
+        }
+
+        const centroid = this.centroids[best];
+        vector.forEach((value, i) => { centroid.sum[i] += value; });
+        centroid.count++;
+        return best + 1;
+    }
+}
+
+function cosineSimilarity(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Convert a Vosk result/partial to a provider-neutral result
+ * Vosk reports word times in seconds; final results carry an x-vector
+ * (spk) when a speaker model is loaded, which tags the whole utterance
+ */
+function parseResult(raw, isFinal, speakers = null) {
+    const transcript = isFinal ? raw.text : raw.partial;
+    if (!transcript) return null;
+
+    const speakerTag = speakers && Array.isArray(raw.spk) ? speakers.assign(raw.spk) : null;
+
+    const words = (isFinal ? raw.result : raw.partial_result) || [];
+    return {
+        transcript,
+        words: words.map(w => ({
+            word: w.word,
+            startTime: w.start * 1000,
+            endTime: w.end * 1000,
+            confidence: w.conf || 0,
+            ...(speakerTag ? { speakerTag } : {})
+        })),
+        isFinal,
+        confidence: words.length > 0
+            ? words.reduce((sum, w) => sum + (w.conf || 0), 0) / words.length
+            : 0
+    };
+}
+
+module.exports = VoskProvider;
@@ -0,0 +1,108 @@
+/**
+ * Per-client STT quotas
+ * A client (token subject, or remote address for the shared secret / no auth)
+ * may run at most maxConcurrentStreams recognition streams and send at most
+ * maxMinutesPerDay minutes of audio per UTC day. Usage is kept in memory and
+ * starts over when the server restarts. A limit of 0 disables it. Clients
+ * without open streams are forgotten once their day is over.
+ */
+
+const Protocol = require('../js/protocol');
+
+class QuotaManager {
+    constructor(options = {}) {
+        this.maxConcurrentStreams = options.maxConcurrentStreams ?? 2;
+        this.maxMinutesPerDay = options.maxMinutesPerDay ?? 0;
+        this.clients = new Map(); // client -> {streams, day, usedMs}
+        this.day = null;          // UTC day of the last prune
+    }
+
+    getClient(client) {
+        const day = this.pruneStale();
+        let usage = this.clients.get(client);
+        if (!usage) {
+            usage = { streams: 0, day, usedMs: 0 };
+            this.clients.set(client, usage);
+        }
+        if (usage.day !== day) {
+            usage.day = day;
+            usage.usedMs = 0;
+        }
+        return usage;
+    }
+
+    /**
+     * Reserve a stream; returns null or the error to send back
+     */
+    acquireStream(client) {
+        const usage = this.getClient(client);
+
+        if (this.maxConcurrentStreams > 0 && usage.streams >= this.maxConcurrentStreams) {
+            return {
+                code: Protocol.ERRORS.STREAM_LIMIT,
+                message: `Too many concurrent recognition streams (limit ${this.maxConcurrentStreams} per client)`
+            };
+        }
+        if (this.isOverDailyLimit(usage)) {
+            return this.dailyLimitError();
+        }
+
+        usage.streams++;
+        return null;
+    }
+
+    releaseStream(client) {
+        const usage = this.getClient(client);
+        usage.streams = Math.max(0, usage.streams - 1);
+        if (usage.streams === 0 && usage.usedMs === 0) {
+            this.clients.delete(client);
+        }
+    }
+
+    /**
+     * Count received audio; returns null or the error once the daily limit is used up
+     */
+    consume(client, durationMs) {
+        const usage = this.getClient(client);
+        usage.usedMs += durationMs;
+        return this.isOverDailyLimit(usage) ? this.dailyLimitError() : null;
+    }
+
+    isOverDailyLimit(usage) {
+        return this.maxMinutesPerDay > 0 && usage.usedMs >= this.maxMinutesPerDay * 60000;
+    }
+
+    dailyLimitError() {
+        return {
+            code: Protocol.ERRORS.QUOTA_EXCEEDED,
+            message: `Daily limit of ${this.maxMinutesPerDay} minutes of audio reached (resets at 00:00 UTC)`
+        };
+    }
+
+    /**
+     * On a new UTC day, drop the clients from earlier days that have no open streams; returns the day
+     */
+    pruneStale() {
+        const day = new Date().toISOString().slice(0, 10);
+        if (day === this.day) return day;
+
+        this.day = day;
+        for (const [client, usage] of this.clients) {
+            if (usage.day !== day && usage.streams === 0) {
+                this.clients.delete(client);
+            }
+        }
+        return day;
+    }
+
+    stats() {
+        this.pruneStale();
+        let streams = 0;
+        for (const usage of this.clients.values()) {
+            streams += usage.streams;
+        }
+        return { clients: this.clients.size, streams };
+    }
+}
+
+module.exports = QuotaManager;
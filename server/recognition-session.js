@@ -0,0 +1,169 @@
+/**
+ * Recognition session - one client's continuous recognition across provider streams
+ * Providers cap the length of a single stream (Google: about 5 minutes), so the
+ * session replaces the stream before the cap: preferably right after a final
+ * result, at the latest shortly before the limit. Word times of every stream
+ * are shifted by the audio sent before it started, so the client sees one
+ * stream whose offsets count from its first audio chunk.
+ * After a reconnect the client first replays audio it buffered during the
+ * outage (markBackfill); results starting inside that span are flagged
+ * `backfilled` so the client can slot them into the transcript.
+ * Ogg Opus passthrough is measured page by page and every new stream starts
+ * with the stored header pages; a WebM stream can't be split and is not rotated.
+ * Provider latency is the time from receiving the audio a result ends at to
+ * receiving the result, taken once per utterance at its first result that
+ * carries word times (Google: the final, which alone has them).
+ */
+
+const { OggOpusTracker } = require('./ogg-opus');
+
+const ARRIVAL_HISTORY_MS = 60000; // Audio arrival times kept for latency lookups
+
+class RecognitionSession {
+    constructor(provider, config, { onResult, onError, onRotate = () => { }, onAudio = () => { }, onLatency = () => { } }) {
+        this.provider = provider;
+        this.config = config;
+        this.onResult = onResult;
+        this.onError = onError;
+        this.onRotate = onRotate;
+        this.onAudio = onAudio;   // Duration (ms) of every chunk received, for usage accounting
+        this.onLatency = onLatency; // Provider latency (ms), once per utterance
+
+        this.encoding = config.encoding || 'LINEAR16';
+        this.ogg = this.encoding === 'OGG_OPUS' ? new OggOpusTracker() : null;
+        const canRotate = this.encoding === 'LINEAR16' || this.ogg !== null;
+
+        // Rotate after a final result past softLimitMs, unconditionally at hardLimitMs
+        const maxStreamMs = canRotate ? (provider.maxStreamMs || Infinity) : Infinity;
+        this.softLimitMs = maxStreamMs * 0.8;
+        this.hardLimitMs = maxStreamMs * 0.95;
+
+        this.bytesPerMs = (config.sampleRate * 2) / 1000; // LINEAR16 mono
+        this.audioMs = 0;          // Audio received over the whole session
+        this.stream = null;        // Active provider stream
+        this.streamOffsetMs = 0;   // Session time at which the active stream started
+        this.rotationPending = false;
+        this.rotations = 0;
+        this.backfillUntilMs = 0;  // Session time up to which audio is replayed backlog
+        this.arrivals = [];        // {untilMs, at}: wall time at which the session had audio up to untilMs
+        this.ended = false;
+
+        this.openStream();
+    }
+
+    /**
+     * Start a provider stream whose word times begin at the current session time
+     */
+    openStream() {
+        const offsetMs = this.audioMs;
+        const handle = { awaitingFirstResult: true };
+
+        handle.stream = this.provider.createStream(this.config, {
+            onResult: (result) => {
+                const isActive = this.stream === handle;
+
+                // A retired stream only delivers the finals for audio it already had
+                if (this.ended || (!isActive && !result.isFinal)) return;
+
+                const words = result.words.map(word => ({
+                    ...word,
+                    startTime: word.startTime + offsetMs,
+                    endTime: word.endTime + offsetMs
+                }));
+                if (isActive && handle.awaitingFirstResult && words.length > 0) {
+                    handle.awaitingFirstResult = false;
+                    this.measureLatency(words[words.length - 1].endTime);
+                }
+                if (result.isFinal) {
+                    handle.awaitingFirstResult = true;
+                }
+
+                this.onResult({
+                    ...result,
+                    words,
+                    backfilled: words.length > 0 && words[0].startTime < this.backfillUntilMs
+                });
+
+                if (isActive && result.isFinal && this.audioMs - offsetMs >= this.softLimitMs) {
+                    this.rotationPending = true;
+                }
+            },
+            onError: (error) => {
+                if (this.ended || this.stream !== handle) {
+                    console.warn('[STT] Error from retired stream ignored:', error.message);
+                    return;
+                }
+                if (this.provider.isStreamLimitError && this.provider.isStreamLimitError(error)) {
+                    console.warn('[STT] Stream limit reached early, rotating');
+                    this.rotate();
+                    return;
+                }
+                this.onError(error);
+            }
+        });
+
+        if (this.ogg) {
+            this.ogg.headers.forEach(page => handle.stream.write(page));
+        }
+
+        this.stream = handle;
+        this.streamOffsetMs = offsetMs;
+    }
+
+    /**
+     * Replace the active stream; the old one is ended and may still send finals
+     */
+    rotate() {
+        const previous = this.stream;
+        this.rotationPending = false;
+        this.rotations++;
+        this.openStream();
+        previous.stream.end();
+        this.onRotate({ offsetMs: this.streamOffsetMs, rotations: this.rotations });
+    }
+
+    /**
+     * Report how long ago the audio up to endMs (session time) arrived
+     */
+    measureLatency(endMs) {
+        const arrival = this.arrivals.find(a => a.untilMs >= endMs);
+        if (arrival) {
+            this.onLatency(Date.now() - arrival.at);
+        }
+    }
+
+    /**
+     * The next durationMs of audio is backlog buffered by the client during an outage
+     */
+    markBackfill(durationMs) {
+        this.backfillUntilMs = this.audioMs + durationMs;
+    }
+
+    write(audioBuffer) {
+        if (this.ended) return;
+
+        const streamMs = this.audioMs - this.streamOffsetMs;
+        if (this.rotationPending || streamMs >= this.hardLimitMs) {
+            this.rotate();
+        }
+
+        const durationMs = this.ogg ? this.ogg.track(audioBuffer) : audioBuffer.length / this.bytesPerMs;
+        // Recorded before writing: a provider may answer synchronously
+        this.arrivals.push({ untilMs: this.audioMs + durationMs, at: Date.now() });
+        while (this.arrivals[0].untilMs < this.audioMs - ARRIVAL_HISTORY_MS) {
+            this.arrivals.shift();
+        }
+
+        this.stream.stream.write(audioBuffer);
+        this.audioMs += durationMs;
+        this.onAudio(durationMs);
+    }
+
+    end() {
+        if (this.ended) return;
+        this.ended = true;
+        this.stream.stream.end();
+    }
+}
+
+module.exports = RecognitionSession;
@@ -0,0 +1,293 @@
+/**
+ * Caption broadcast rooms
+ * A presenter publishes its aligned caption words into a named room and any
+ * number of viewers subscribe to it. Each room keeps the recent finalized
+ * words, the current interim words and the presenter's display settings,
+ * so late joiners start from the same captions.
+ */
+
+const WebSocket = require('ws');
+const Protocol = require('../js/protocol');
+
+const ROOM_NAME_PATTERN = /^[\w-]{1,64}$/;
+const MAX_WORD_LENGTH = 100;
+
+// Display settings viewers accept from a presenter (see sanitizeSettings)
+const RENDER_MODES = ['discrete', 'continuous'];
+const PROSODY_PRESETS = ['prominence', 'prosody', 'slant', 'pitch'];
+const CAPTION_MODES = ['roll-up', 'pop-on'];
+const LANGUAGE_PATTERN = /^[A-Za-z]{2,3}(-[A-Za-z0-9]{2,8}){0,2}$/;
+const MAX_NORMALIZATION_KNOTS = 64;
+
+class RoomManager {
+    constructor(options = {}) {
+        this.historySize = options.historySize || 200; // Finalized words replayed to late joiners
+        this.rooms = new Map();       // name -> room
+        this.memberships = new Map(); // ws -> {room, role}
+    }
+
+    static isValidName(name) {
+        return typeof name === 'string' && ROOM_NAME_PATTERN.test(name);
+    }
+
+    getOrCreate(name) {
+        if (!this.rooms.has(name)) {
+            this.rooms.set(name, {
+                name,
+                presenters: new Set(),
+                viewers: new Set(),
+                history: [],
+                interim: [],
+                settings: null
+            });
+            console.log(`[Rooms] Created "${name}"`);
+        }
+        return this.rooms.get(name);
+    }
+
+    /**
+     * Join a room as its presenter (a socket is in at most one room)
+     */
+    publish(ws, name) {
+        const room = this.join(ws, name, 'presenter');
+        if (!room) return;
+
+        send(ws, { type: 'published', room: name, viewers: room.viewers.size });
+        this.broadcast(room, { type: 'presenter', room: name, online: true });
+    }
+
+    /**
+     * Join a room as a viewer and replay its recent captions
+     */
+    subscribe(ws, name) {
+        const room = this.join(ws, name, 'viewer');
+        if (!room) return;
+
+        send(ws, {
+            type: 'subscribed',
+            room: name,
+            history: room.history,
+            interim: room.interim,
+            settings: room.settings,
+            presenterOnline: room.presenters.size > 0
+        });
+        this.notifyPresenters(room);
+    }
+
+    join(ws, name, role) {
+        if (!RoomManager.isValidName(name)) {
+            send(ws, {
+                type: 'error',
+                code: Protocol.ERRORS.INVALID_ROOM,
+                message: 'Room names are 1-64 letters, digits, "_" or "-"'
+            });
+            return null;
+        }
+
+        this.leave(ws);
+        const room = this.getOrCreate(name);
+        (role === 'presenter' ? room.presenters : room.viewers).add(ws);
+        this.memberships.set(ws, { room, role });
+        console.log(`[Rooms] ${role} joined "${name}" (${room.viewers.size} viewers)`);
+        return room;
+    }
+
+    /**
+     * Presenter update: {final: [words], interim: [words], settings?}
+     * Finalized words are appended to the history, interim words replace the previous ones
+     */
+    captions(ws, data) {
+        const membership = this.memberships.get(ws);
+        if (!membership || membership.role !== 'presenter') {
+            send(ws, {
+                type: 'error',
+                code: Protocol.ERRORS.NOT_PRESENTER,
+                message: 'Publish to a room before sending captions'
+            });
+            return;
+        }
+
+        const room = membership.room;
+        const final = sanitizeWords(data.final);
+        room.interim = sanitizeWords(data.interim);
+        const settings = sanitizeSettings(data.settings);
+        if (settings) {
+            room.settings = settings;
+        }
+
+        room.history.push(...final);
+        if (room.history.length > this.historySize) {
+            room.history.splice(0, room.history.length - this.historySize);
+        }
+
+        this.broadcast(room, {
+            type: 'captions',
+            room: room.name,
+            final,
+            interim: room.interim,
+            ...(settings ? { settings } : {})
+        });
+    }
+
+    /**
+     * Remove a socket from its room; empty rooms are dropped
+     */
+    leave(ws) {
+        const membership = this.memberships.get(ws);
+        if (!membership) return;
+
+        const { room, role } = membership;
+        this.memberships.delete(ws);
+
+        if (role === 'presenter') {
+            room.presenters.delete(ws);
+            if (room.presenters.size === 0) {
+                room.interim = [];
+                this.broadcast(room, { type: 'presenter', room: room.name, online: false });
+            }
+        } else {
+            room.viewers.delete(ws);
+            this.notifyPresenters(room);
+        }
+
+        if (room.presenters.size === 0 && room.viewers.size === 0) {
+            this.rooms.delete(room.name);
+            console.log(`[Rooms] Closed "${room.name}"`);
+        }
+    }
+
+    /**
+     * Tell the presenters how many viewers are watching
+     */
+    notifyPresenters(room) {
+        for (const presenter of room.presenters) {
+            send(presenter, { type: 'room-status', room: room.name, viewers: room.viewers.size });
+        }
+    }
+
+    broadcast(room, message) {
+        const payload = JSON.stringify(message);
+        for (const viewer of room.viewers) {
+            if (viewer.readyState === WebSocket.OPEN) {
+                viewer.send(payload);
+            }
+        }
+    }
+
+    stats() {
+        let viewers = 0;
+        for (const room of this.rooms.values()) {
+            viewers += room.viewers.size;
+        }
+        return { rooms: this.rooms.size, viewers };
+    }
+}
+
+function send(ws, message) {
+    if (ws.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify(message));
+    }
+}
+
+/**
+ * Keep only the caption fields viewers render
+ */
+function sanitizeWords(words) {
+    if (!Array.isArray(words)) return [];
+
+    const number = value => (typeof value === 'number' && Number.isFinite(value) ? value : undefined);
+
+    return words
+        .filter(word => word && typeof word.text === 'string')
+        .map(word => ({
+            text: word.text.slice(0, MAX_WORD_LENGTH),
+            prominenceScore: number(word.prominenceScore),
+            sizeLevel: ['small', 'normal', 'large'].includes(word.sizeLevel) ? word.sizeLevel : undefined,
+            alignmentConfidence: number(word.alignmentConfidence),
+            prosody: word.prosody && typeof word.prosody === 'object' ? {
+                loudness: number(word.prosody.loudness) ?? null,
+                pitch: number(word.prosody.pitch) ?? null,
+                lengthening: number(word.prosody.lengthening) ?? null
+            } : undefined,
+            speakerTag: Number.isInteger(word.speakerTag) ? word.speakerTag : undefined,
+            speaker: typeof word.speaker === 'string' ? word.speaker.slice(0, MAX_WORD_LENGTH) : undefined,
+            isInterim: word.isInterim === true,
+            startTime: number(word.startTime),
+            endTime: number(word.endTime)
+        }));
+}
+
+/**
+ * Keep only the display settings viewers apply, type-checked; null when none is usable
+ * Viewers merge these into their own settings, so nothing else may get through
+ */
+function sanitizeSettings(settings) {
+    if (!isObject(settings)) return null;
+
+    const number = (value, min, max) =>
+        (typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max ? value : undefined);
+    const oneOf = (value, values) => (values.includes(value) ? value : undefined);
+    const continuous = isObject(settings.continuous) ? settings.continuous : {};
+    const captions = isObject(settings.captions) ? settings.captions : {};
+    const thresholds = isObject(settings.sensitivityThreshold) ? settings.sensitivityThreshold : {};
+
+    const clean = compact({
+        language: typeof settings.language === 'string' && LANGUAGE_PATTERN.test(settings.language)
+            ? settings.language : undefined,
+        baseSize: number(settings.baseSize, 8, 128),
+        renderMode: oneOf(settings.renderMode, RENDER_MODES),
+        prosodyPreset: oneOf(settings.prosodyPreset, PROSODY_PRESETS),
+        multiSpeaker: typeof settings.multiSpeaker === 'boolean' ? settings.multiSpeaker : undefined,
+        continuous: compact({
+            minSize: number(continuous.minSize, 8, 128),
+            maxSize: number(continuous.maxSize, 8, 128),
+            minWeight: number(continuous.minWeight, 100, 900),
+            maxWeight: number(continuous.maxWeight, 100, 900),
+            maxLetterSpacing: number(continuous.maxLetterSpacing, 0, 1)
+        }),
+        captions: compact({
+            mode: oneOf(captions.mode, CAPTION_MODES),
+            lines: Number.isInteger(captions.lines) ? number(captions.lines, 1, 4) : undefined,
+            maxCharsPerLine: Number.isInteger(captions.maxCharsPerLine) ? number(captions.maxCharsPerLine, 8, 200) : undefined,
+            minDisplayMs: number(captions.minDisplayMs, 0, 60000)
+        }),
+        // Sizing from prominence scores (0-1), so viewers size words as the presenter does
+        sensitivityThreshold: compact({
+            smallMax: number(thresholds.smallMax, 0, 1),
+            normalMax: number(thresholds.normalMax, 0, 1)
+        }),
+        calibratedMin: number(settings.calibratedMin, 0, 1),
+        calibratedMax: number(settings.calibratedMax, 0, 1),
+        minAlignmentConfidence: number(settings.minAlignmentConfidence, 0, 1),
+        scoreNormalization: sanitizeNormalization(settings.scoreNormalization)
+    });
+    return clean || null;
+}
+
+/**
+ * Calibration curve {knots: [[raw, normalized], ...]} with raw scores increasing; null clears it
+ */
+function sanitizeNormalization(curve) {
+    if (curve === null) return null;
+    if (!isObject(curve) || !Array.isArray(curve.knots) || curve.knots.length > MAX_NORMALIZATION_KNOTS) return undefined;
+
+    const valid = curve.knots.every((knot, i) =>
+        Array.isArray(knot) && knot.length === 2 &&
+        knot.every(value => typeof value === 'number' && Number.isFinite(value)) &&
+        (i === 0 || knot[0] > curve.knots[i - 1][0]));
+    return valid ? { knots: curve.knots.map(([raw, normalized]) => [raw, normalized]) } : undefined;
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Drop undefined fields; undefined when nothing is left
+ */
+function compact(object) {
+    const entries = Object.entries(object).filter(([, value]) => value !== undefined);
+    return entries.length > 0 ? Object.fromEntries(entries) : undefined;
+}
+
+module.exports = RoomManager;
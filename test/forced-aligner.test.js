@@ -0,0 +1,76 @@
+/**
+ * ForcedAligner confidence: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const ForcedAligner = require('../js/forced-aligner');
+
+const SENTENCE = 'the quick brown fox jumps over the lazy dog'.split(' ');
+const MIN_ALIGNMENT_CONFIDENCE = 0.3; // ProminenceSubtitle settings.minAlignmentConfidence
+
+// One onset per expected syllable, 200 ms apart, with a short gap between words
+// pauses: word index -> extra silence (ms) before that word
+function onsetsFor(aligner, words, pauses = {}) {
+    const syllables = [];
+    const starts = [];
+    let time = 0;
+    words.forEach((word, index) => {
+        time += pauses[index] || 0;
+        starts.push(time);
+        for (let i = 0; i < aligner.countSyllables(word); i++) {
+            syllables.push({ timestamp: time, score: 0.5, isProminent: word === 'fox' });
+            time += 200;
+        }
+        time += 150;
+    });
+    syllables.starts = starts;
+    return syllables;
+}
+
+test('exact onsets align every word with confidence above the threshold', () => {
+    const aligner = new ForcedAligner();
+    const syllables = onsetsFor(aligner, SENTENCE);
+    const aligned = aligner.align(SENTENCE, syllables);
+
+    let next = 0;
+    for (const word of aligned) {
+        assert.deepStrictEqual(word.events, syllables.slice(next, next + word.expectedSyllables), word.text);
+        next += word.expectedSyllables;
+        assert.ok(word.confidence >= MIN_ALIGNMENT_CONFIDENCE, `${word.text}: ${word.confidence}`);
+    }
+
+    const fox = aligned.find(word => word.text === 'fox');
+    assert.ok(fox.events.some(event => event.isProminent));
+});
+
+test('sparse onsets leave words without events at zero confidence', () => {
+    const aligner = new ForcedAligner();
+    const aligned = aligner.align(SENTENCE, [{ timestamp: 500, score: 0.9, isProminent: true }]);
+
+    for (const word of aligned) {
+        if (word.events.length === 0) {
+            assert.strictEqual(word.confidence, 0, word.text);
+        }
+        assert.ok(word.confidence < MIN_ALIGNMENT_CONFIDENCE, `${word.text}: ${word.confidence}`);
+    }
+});
+
+test('no onsets at all give zero confidence', () => {
+    const aligned = new ForcedAligner().align(['hello', 'world'], []);
+    assert.deepStrictEqual(aligned.map(word => word.confidence), [0, 0]);
+});
+
+test('a long recording is aligned across pauses', () => {
+    const aligner = new ForcedAligner();
+    const words = [];
+    for (let i = 0; i < 12; i++) words.push(...SENTENCE);
+    const pauses = { 27: 3000, 54: 1500, 81: 4000 };
+    const syllables = onsetsFor(aligner, words, pauses);
+
+    const aligned = aligner.alignRecording(words, syllables);
+    assert.strictEqual(aligned.length, words.length);
+    aligned.forEach((word, i) => {
+        assert.strictEqual(word.startTime, syllables.starts[i], `${i} ${word.text}`);
+    });
+});
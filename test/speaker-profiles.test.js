@@ -0,0 +1,86 @@
+/**
+ * SpeakerProfileStore validation and storage: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const SpeakerProfileStore = require('../js/speaker-profiles');
+
+// In-memory stand-in for localStorage; setItem throws when full
+function memoryStorage({ full = false } = {}) {
+    const items = new Map();
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => {
+            if (full) throw new Error('QuotaExceededError');
+            items.set(key, String(value));
+        },
+        removeItem: key => items.delete(key)
+    };
+}
+
+function profileJson(name, settings = { baseSize: 30 }) {
+    return JSON.stringify({ format: 'prominence-subtitle-profile', version: 1, name, settings, detector: {} });
+}
+
+test('reserved names are rejected and the store stays usable', () => {
+    const store = new SpeakerProfileStore({ storage: memoryStorage() });
+    for (const name of ['__proto__', 'constructor', 'toString']) {
+        assert.throws(() => store.importProfile(profileJson(name)), /cannot be used as a profile name/);
+    }
+
+    store.importProfile(profileJson('Alice'));
+    assert.deepStrictEqual(store.names(), ['Alice']);
+    assert.strictEqual(store.get('toString'), null);
+    assert.throws(() => store.setActive('constructor'), /Unknown profile/);
+});
+
+test('imported settings keep only known keys of the right type and range', () => {
+    const store = new SpeakerProfileStore({ storage: memoryStorage() });
+    const profile = store.importProfile(profileJson('Bob', {
+        baseSize: 'huge',
+        language: 'de-DE',
+        captions: 'x',
+        continuous: { minSize: 18, maxWeight: 5000 },
+        sensitivityThreshold: { smallMax: 0.3, normalMax: null },
+        renderMode: 'continuous',
+        scoreNormalization: { knots: [[0.5, 0], [0.2, 1]] },
+        innerHTML: '<b>'
+    }));
+
+    assert.deepStrictEqual(profile.settings, {
+        language: 'de-DE',
+        sensitivityThreshold: { smallMax: 0.3 },
+        renderMode: 'continuous',
+        continuous: { minSize: 18 }
+    });
+    assert.throws(() => store.importProfile(profileJson('Carol', { baseSize: NaN, extra: 1 })), /no settings/);
+});
+
+test('stored profiles are validated on load', () => {
+    const storage = memoryStorage();
+    storage.setItem('prominence-subtitle.profiles', JSON.stringify({
+        active: 'Dan',
+        profiles: {
+            Dan: JSON.parse(profileJson('Dan', { baseSize: 20, multiSpeaker: 'yes' })),
+            Eve: { format: 'something-else' }
+        }
+    }));
+
+    const store = new SpeakerProfileStore({ storage });
+    assert.deepStrictEqual(store.names(), ['Dan']);
+    assert.deepStrictEqual(store.getActive().settings, { baseSize: 20 });
+});
+
+test('a failing storage write keeps profiles in memory', () => {
+    const store = new SpeakerProfileStore({ storage: memoryStorage({ full: true }) });
+    const warn = console.warn;
+    console.warn = () => { };
+    try {
+        store.save('Frank', { baseSize: 24 }, { snrThreshold: 6 });
+        store.setActive('Frank');
+    } finally {
+        console.warn = warn;
+    }
+    assert.strictEqual(store.getActive().name, 'Frank');
+});